@@ -0,0 +1,193 @@
+const PAGE_SIZE = 50;
+
+// Actions the server records, as shown in the filter and the list
+const ACTION_LABELS = {
+  ban: 'Ban',
+  unban: 'Unban',
+  kick: 'Kick',
+  mute: 'Mute',
+  unmute: 'Unmute',
+  setRole: 'Role change',
+  deleteMessage: 'Message deleted',
+  approveJoin: 'Join approved',
+  denyJoin: 'Join denied',
+  removeMember: 'Member removed',
+  createInvite: 'Invite created',
+  revokeInvite: 'Invite revoked',
+  archive: 'Room archived',
+  addAutomodRule: 'Automod rule added',
+  deleteAutomodRule: 'Automod rule deleted',
+  approveHeld: 'Held message approved',
+  rejectHeld: 'Held message rejected',
+  automodBlock: 'Automod blocked',
+  automodMute: 'Automod muted',
+  automodHold: 'Automod held'
+};
+
+export class AuditLogManager {
+  constructor(app) {
+    this.app = app;
+    this.entries = [];
+    this.nextBefore = null;
+
+    this.modal = document.getElementById('audit-modal');
+    this.auditBtn = document.getElementById('audit-btn');
+    this.list = document.getElementById('audit-list');
+    this.filterForm = document.getElementById('audit-filters');
+    this.actionSelect = document.getElementById('audit-action');
+    this.userInput = document.getElementById('audit-user');
+    this.sinceInput = document.getElementById('audit-since');
+    this.untilInput = document.getElementById('audit-until');
+    this.loadMoreBtn = document.getElementById('audit-load-more');
+
+    this.buildActionOptions();
+    this.setupEventListeners();
+  }
+
+  buildActionOptions() {
+    if (!this.actionSelect) return;
+
+    Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+      const option = document.createElement('option');
+      option.value = action;
+      option.textContent = label;
+      this.actionSelect.appendChild(option);
+    });
+  }
+
+  setupEventListeners() {
+    if (this.auditBtn) {
+      this.auditBtn.addEventListener('click', () => this.openModal());
+    }
+    if (!this.filterForm) return;
+
+    this.filterForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.load();
+    });
+    this.loadMoreBtn.addEventListener('click', () => this.load(true));
+    document.getElementById('audit-download-csv').addEventListener('click', () => this.download('csv'));
+    document.getElementById('audit-download-json').addEventListener('click', () => this.download('json'));
+  }
+
+  // Moderators only; archived rooms keep their history, so the button stays
+  updateVisibility(room) {
+    if (!this.auditBtn) return;
+    const show = !!room && this.app.modTools.isModerator(this.app.user);
+    this.auditBtn.style.display = show ? 'flex' : 'none';
+  }
+
+  async openModal() {
+    if (!this.modal) return;
+    this.modal.style.display = 'flex';
+    await this.load();
+  }
+
+  closeModal() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  // The filters as query parameters; dates cover whole days in local time
+  getFilterParams() {
+    const params = new URLSearchParams({ user: this.app.user });
+    if (this.actionSelect.value) params.set('action', this.actionSelect.value);
+    // Whoever acted or was acted on
+    if (this.userInput.value.trim()) params.set('person', this.userInput.value.trim());
+
+    if (this.sinceInput.value) {
+      params.set('since', new Date(`${this.sinceInput.value}T00:00`).getTime());
+    }
+    if (this.untilInput.value) {
+      const until = new Date(`${this.untilInput.value}T00:00`);
+      until.setDate(until.getDate() + 1);
+      params.set('until', until.getTime());
+    }
+    return params;
+  }
+
+  auditURL(params) {
+    const room = this.app.elements.roomSelect.value;
+    return `${this.app.baseURL}/mod/${room}/audit?${params}`;
+  }
+
+  async fetchAudit(params) {
+    const res = await fetch(this.auditURL(params), { headers: this.app.getAuthHeaders(false) });
+    if (res.status === 401) {
+      this.app.auth.handleUnauthorized();
+      return null;
+    }
+    if (!res.ok) {
+      throw new Error(await res.text());
+    }
+    return res;
+  }
+
+  async load(more = false) {
+    const params = this.getFilterParams();
+    params.set('limit', PAGE_SIZE);
+    if (more && this.nextBefore) params.set('before', this.nextBefore);
+
+    try {
+      const res = await this.fetchAudit(params);
+      if (!res) return;
+      const data = await res.json();
+      this.entries = more ? this.entries.concat(data.entries) : data.entries;
+      this.nextBefore = data.nextBefore;
+      this.render(data.hasMore);
+    } catch (e) {
+      console.error('Loading audit log failed:', e);
+      this.list.textContent = 'Could not load the audit log: ' + e.message;
+    }
+  }
+
+  describeEntry(entry) {
+    const action = ACTION_LABELS[entry.action] || entry.action;
+    const details = entry.details || {};
+    const parts = [`${entry.actor}: ${action}`];
+    if (entry.target) parts.push(entry.target);
+    if (details.role) parts.push(`→ ${details.role}`);
+    if (details.durationMinutes) parts.push(`for ${details.durationMinutes} min`);
+    if (details.minutes) parts.push(`for ${details.minutes} min`);
+    return parts.join(' ');
+  }
+
+  render(hasMore) {
+    const members = this.app.members;
+    members.renderList(this.list, this.entries, 'Nothing recorded yet', (entry) => {
+      const details = entry.details || {};
+      const detail = [
+        new Date(entry.time).toLocaleString(),
+        entry.reason,
+        details.text ? `"${details.text}"` : ''
+      ].filter(Boolean).join(' - ');
+      return members.createRow(this.describeEntry(entry), detail, []);
+    });
+    this.loadMoreBtn.style.display = hasMore ? '' : 'none';
+  }
+
+  // Everything matching the filters, saved as a file
+  async download(format) {
+    const params = this.getFilterParams();
+    params.set('format', format);
+
+    try {
+      const res = await this.fetchAudit(params);
+      if (!res) return;
+      const blob = await res.blob();
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = match ? match[1] : `audit.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    } catch (e) {
+      console.error('Downloading audit log failed:', e);
+      alert('Download failed: ' + e.message);
+    }
+  }
+}
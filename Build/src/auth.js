@@ -0,0 +1,226 @@
+export class AuthManager {
+  constructor(app) {
+    this.app = app;
+    this.session = null; // { token, expires, user: { username, guest, createdAt } }
+    this.nickname = null; // Used instead of a session when the server has no accounts
+    this.storageKey = 'htmlchat_session';
+    this.pendingSignIn = null;
+
+    this.modal = document.getElementById('login-modal');
+    this.form = document.getElementById('login-form');
+    this.usernameInput = document.getElementById('login-username');
+    this.passwordInput = document.getElementById('login-password');
+    this.errorText = document.getElementById('login-error');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (!this.form) return;
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit('login');
+    });
+
+    const registerBtn = document.getElementById('register-btn');
+    if (registerBtn) {
+      registerBtn.addEventListener('click', () => this.submit('register'));
+    }
+
+    const guestBtn = document.getElementById('guest-btn');
+    if (guestBtn) {
+      guestBtn.addEventListener('click', () => this.submit('guest'));
+    }
+
+    const signOutBtn = document.getElementById('sign-out-btn');
+    if (signOutBtn) {
+      signOutBtn.addEventListener('click', () => this.signOut());
+    }
+  }
+
+  getUsername() {
+    return this.session ? this.session.user.username : this.nickname;
+  }
+
+  getToken() {
+    return this.session ? this.session.token : null;
+  }
+
+  isGuest() {
+    return !!this.session && this.session.user.guest;
+  }
+
+  // Resolves once there is a usable identity, showing the login modal if needed
+  async ensureSignedIn() {
+    // Old builds kept the shared moderator password here; it no longer grants anything
+    localStorage.removeItem('htmlchat_auth_token');
+
+    const stored = await this.app.loadFromStorage(this.storageKey);
+    if (stored && stored.token && stored.expires > Date.now()) {
+      const status = await this.checkSession(stored.token);
+      if (status === 'valid') {
+        this.session = stored;
+        return;
+      }
+      if (status === 'unsupported') {
+        this.nickname = stored.user.username;
+        return;
+      }
+    } else if (stored && stored.user && !stored.token) {
+      // Nickname from a server without accounts - keep using it while that's still the case
+      if (await this.checkSession(null) === 'unsupported') {
+        this.nickname = stored.user.username;
+        return;
+      }
+    }
+
+    // Pre-fill the name people used before accounts existed
+    const previousName = (stored && stored.user && stored.user.username) || await this.app.loadFromStorage('htmlchat_user');
+    await this.showLogin('', previousName);
+  }
+
+  // 'valid', 'invalid', or 'unsupported' when the server doesn't do accounts
+  async checkSession(token) {
+    try {
+      const res = await fetch(`${this.app.baseURL}/auth/session`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
+      if (res.ok) return 'valid';
+      if (res.status === 401) return 'invalid';
+      return 'unsupported';
+    } catch (e) {
+      // Offline - trust the stored session until the server says otherwise
+      return 'valid';
+    }
+  }
+
+  showLogin(message = '', prefill = null) {
+    if (!this.pendingSignIn) {
+      this.pendingSignIn = new Promise((resolve) => {
+        this.resolveSignIn = resolve;
+      });
+    }
+
+    if (this.modal) {
+      this.modal.style.display = 'flex';
+      this.showError(message);
+      if (this.usernameInput) {
+        this.usernameInput.value = prefill || this.app.user || '';
+        this.usernameInput.focus();
+      }
+    }
+
+    return this.pendingSignIn;
+  }
+
+  hideLogin() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+    if (this.passwordInput) {
+      this.passwordInput.value = '';
+    }
+  }
+
+  showError(message) {
+    if (this.errorText) {
+      this.errorText.textContent = message;
+    }
+  }
+
+  async submit(mode) {
+    const username = this.usernameInput.value.trim();
+    const password = this.passwordInput.value;
+
+    if (!username) {
+      this.showError('Enter a username.');
+      return;
+    }
+    if (mode !== 'guest' && !password) {
+      this.showError('Enter a password, or join as a guest.');
+      return;
+    }
+
+    const buttons = this.form.querySelectorAll('button');
+    buttons.forEach(btn => { btn.disabled = true; });
+
+    try {
+      const res = await fetch(`${this.app.baseURL}/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(mode === 'guest' ? { username } : { username, password })
+      });
+
+      if (res.ok) {
+        this.session = await res.json();
+        this.nickname = null;
+        await this.app.saveToStorage(this.storageKey, this.session);
+        this.finishSignIn();
+        return;
+      }
+
+      // Servers without accounts configured still let people chat under a nickname
+      if (mode === 'guest' && (res.status === 503 || res.status === 404)) {
+        this.session = null;
+        this.nickname = username.substring(0, 20);
+        await this.app.saveToStorage(this.storageKey, { user: { username: this.nickname, guest: true } });
+        this.finishSignIn();
+        return;
+      }
+
+      this.showError(res.status === 503 ? 'Accounts are not enabled on this server. Join as a guest instead.' : await res.text());
+    } catch (e) {
+      console.error('Sign in failed:', e);
+      this.showError('Could not reach the server. Please try again.');
+    } finally {
+      buttons.forEach(btn => { btn.disabled = false; });
+    }
+  }
+
+  finishSignIn() {
+    this.hideLogin();
+    this.updateAccountSettings();
+
+    const resolve = this.resolveSignIn;
+    this.pendingSignIn = null;
+    this.resolveSignIn = null;
+    if (resolve) resolve();
+
+    this.app.onSignedIn();
+  }
+
+  // Called when the server rejects our session (expired or revoked)
+  handleUnauthorized() {
+    this.session = null;
+    localStorage.removeItem(this.storageKey);
+    this.showLogin('Your session has expired. Please sign in again.');
+  }
+
+  async signOut() {
+    await this.app.leaveRoom();
+    this.session = null;
+    this.nickname = null;
+    localStorage.removeItem(this.storageKey);
+    window.location.reload();
+  }
+
+  // Account section of the settings modal
+  updateAccountSettings() {
+    const nameEl = document.getElementById('account-name');
+    const descriptionEl = document.getElementById('account-description');
+
+    if (nameEl) {
+      nameEl.textContent = this.getUsername() || '-';
+    }
+    if (descriptionEl) {
+      if (this.session && !this.session.user.guest) {
+        descriptionEl.textContent = `Registered account. Session expires ${new Date(this.session.expires).toLocaleString()}.`;
+      } else if (this.session) {
+        descriptionEl.textContent = 'Guest session - your messages are marked as guest messages. Register to keep this name.';
+      } else {
+        descriptionEl.textContent = 'This server does not have accounts enabled; you are chatting under a nickname.';
+      }
+    }
+  }
+}
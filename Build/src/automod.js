@@ -0,0 +1,233 @@
+// Rule types the server knows, with how the form's single value field maps onto each one's config
+const RULE_TYPES = {
+  bannedWords: {
+    label: 'Banned words',
+    placeholder: 'word, another phrase',
+    hint: 'Comma-separated; matched as whole words in any case.',
+    toConfig: value => ({ words: value.split(',').map(word => word.trim()).filter(Boolean) }),
+    describe: config => `Banned words: ${config.words.join(', ')}`
+  },
+  regex: {
+    label: 'Pattern',
+    placeholder: 'buy\\s+now',
+    hint: 'A JavaScript regular expression, case-insensitive.',
+    toConfig: value => ({ pattern: value, flags: 'i' }),
+    describe: config => `Matches /${config.pattern}/${config.flags}`
+  },
+  maxLinks: {
+    label: 'Max links',
+    placeholder: '2',
+    hint: 'Most links one message may contain.',
+    toConfig: value => ({ max: parseInt(value, 10) }),
+    describe: config => `More than ${config.max} link${config.max === 1 ? '' : 's'}`
+  },
+  capsRatio: {
+    label: 'Max capitals %',
+    placeholder: '70',
+    hint: 'Share of capital letters allowed, in messages with at least 10 letters.',
+    toConfig: value => ({ max: parseFloat(value) / 100 }),
+    describe: config => `More than ${Math.round(config.max * 100)}% capitals`
+  },
+  maxMentions: {
+    label: 'Max mentions',
+    placeholder: '5',
+    hint: 'Most @mentions one message may contain.',
+    toConfig: value => ({ max: parseInt(value, 10) }),
+    describe: config => `More than ${config.max} mention${config.max === 1 ? '' : 's'}`
+  },
+  repeatedChars: {
+    label: 'Repeated characters',
+    placeholder: '8',
+    hint: 'Most times one character may repeat in a row.',
+    toConfig: value => ({ max: parseInt(value, 10) }),
+    describe: config => `A character repeated more than ${config.max} times`
+  },
+  newAccount: {
+    label: 'New accounts',
+    placeholder: '60',
+    hint: 'Minimum account age in minutes. Guests always count as new.',
+    toConfig: (value, scope) => ({ minAgeMinutes: parseInt(value, 10), scope }),
+    describe: config => `Accounts under ${config.minAgeMinutes} min old posting ${
+      { all: 'anything', links: 'links', attachments: 'files' }[config.scope]
+    }`
+  }
+};
+
+const ACTION_LABELS = { hold: 'hold for review', block: 'block', mute: 'block and mute' };
+
+export class AutomodManager {
+  constructor(app) {
+    this.app = app;
+    this.rules = [];
+    this.heldMessages = [];
+    this.mutedUsers = [];
+
+    this.modal = document.getElementById('automod-modal');
+    this.automodBtn = document.getElementById('automod-btn');
+    this.rulesList = document.getElementById('automod-rules-list');
+    this.heldList = document.getElementById('held-messages-list');
+    this.mutedList = document.getElementById('muted-users-list');
+    this.form = document.getElementById('automod-rule-form');
+    this.typeSelect = document.getElementById('automod-type');
+    this.valueInput = document.getElementById('automod-value');
+    this.scopeSelect = document.getElementById('automod-scope');
+    this.actionSelect = document.getElementById('automod-action');
+    this.muteMinutesInput = document.getElementById('automod-mute-minutes');
+    this.hint = document.getElementById('automod-hint');
+
+    this.buildTypeOptions();
+    this.setupEventListeners();
+  }
+
+  buildTypeOptions() {
+    if (!this.typeSelect) return;
+
+    Object.entries(RULE_TYPES).forEach(([type, { label }]) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = label;
+      this.typeSelect.appendChild(option);
+    });
+    this.updateForm();
+  }
+
+  setupEventListeners() {
+    if (this.automodBtn) {
+      this.automodBtn.addEventListener('click', () => this.openModal());
+    }
+    if (!this.form) return;
+
+    this.typeSelect.addEventListener('change', () => this.updateForm());
+    this.actionSelect.addEventListener('change', () => this.updateForm());
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addRule();
+    });
+  }
+
+  // Only the fields the chosen type and action use
+  updateForm() {
+    const type = RULE_TYPES[this.typeSelect.value];
+    this.valueInput.placeholder = type.placeholder;
+    this.hint.textContent = type.hint;
+    this.scopeSelect.style.display = this.typeSelect.value === 'newAccount' ? '' : 'none';
+    this.muteMinutesInput.style.display = this.actionSelect.value === 'mute' ? '' : 'none';
+  }
+
+  // Moderators only; archived rooms take no messages to check
+  updateVisibility(room) {
+    if (!this.automodBtn) return;
+    const show = !!room && !room.archived && this.app.modTools.isModerator(this.app.user);
+    this.automodBtn.style.display = show ? 'flex' : 'none';
+  }
+
+  async openModal() {
+    if (!this.modal) return;
+    this.modal.style.display = 'flex';
+    await this.refresh();
+  }
+
+  closeModal() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  isOpen() {
+    return !!this.modal && this.modal.style.display === 'flex';
+  }
+
+  async refresh() {
+    try {
+      const data = await this.app.members.modRequest();
+      if (!data) return;
+      this.rules = data.automodRules || [];
+      this.heldMessages = data.heldMessages || [];
+      this.mutedUsers = data.mutedUsers || [];
+      this.render();
+    } catch (e) {
+      console.error('Loading automod failed:', e);
+      this.rulesList.textContent = 'Could not load automod rules: ' + e.message;
+    }
+  }
+
+  describeRule(rule) {
+    const type = RULE_TYPES[rule.type];
+    const action = rule.action === 'mute'
+      ? `${ACTION_LABELS.mute} for ${rule.muteMinutes} min`
+      : ACTION_LABELS[rule.action];
+    return `${type ? type.describe(rule.config) : rule.type} → ${action}`;
+  }
+
+  render() {
+    const members = this.app.members;
+
+    members.renderList(this.heldList, this.heldMessages, 'Nothing waiting for review', (held) => {
+      const files = held.attachments ? ` [${held.attachments.length} file${held.attachments.length === 1 ? '' : 's'}]` : '';
+      return members.createRow(`${held.user}: ${held.text}${files}`, held.reason, [
+        { label: 'Approve', onClick: () => this.runAction({ action: 'approveHeld', messageId: held.id }) },
+        { label: 'Reject', onClick: () => this.runAction({ action: 'rejectHeld', messageId: held.id }) }
+      ]);
+    });
+
+    members.renderList(this.mutedList, this.mutedUsers, 'Nobody is muted', (mute) => {
+      const until = mute.expires ? `until ${new Date(mute.expires).toLocaleString()}` : 'until unmuted';
+      return members.createRow(mute.username, [`by ${mute.mutedBy}`, until, mute.reason].filter(Boolean).join(', '), [
+        { label: 'Unmute', onClick: () => this.runAction({ action: 'unmute', targetUser: mute.username }) }
+      ]);
+    });
+
+    members.renderList(this.rulesList, this.rules, 'No rules yet - everything gets through', (rule) =>
+      members.createRow(this.describeRule(rule), `by ${rule.createdBy}`, [
+        { label: 'Delete', onClick: () => this.runAction({ action: 'deleteAutomodRule', ruleId: rule.id }) }
+      ])
+    );
+  }
+
+  async runAction(body) {
+    try {
+      await this.app.members.modRequest(body);
+      await this.refresh();
+    } catch (e) {
+      console.error('Automod action failed:', e);
+      alert('Action failed: ' + e.message);
+    }
+  }
+
+  async addRule() {
+    const type = this.typeSelect.value;
+    const value = this.valueInput.value.trim();
+    if (!value) return;
+
+    const rule = {
+      type,
+      config: RULE_TYPES[type].toConfig(value, this.scopeSelect.value),
+      action: this.actionSelect.value
+    };
+    if (rule.action === 'mute') {
+      rule.muteMinutes = parseInt(this.muteMinutesInput.value, 10) || undefined;
+    }
+
+    try {
+      await this.app.members.modRequest({ action: 'addAutomodRule', rule });
+      this.valueInput.value = '';
+      await this.refresh();
+    } catch (e) {
+      console.error('Adding automod rule failed:', e);
+      alert('Could not add rule: ' + e.message);
+    }
+  }
+
+  // Live 'mute' events, from moderators and automod alike
+  onMutesChanged() {
+    if (this.isOpen()) this.refresh();
+  }
+
+  // Live 'held' events
+  onHeld(username) {
+    if (!this.app.modTools.isModerator(this.app.user) || username === this.app.user) return;
+
+    this.app.showSystemNotice(`Automod held a message from ${username} - open the automod panel to review it`);
+    if (this.isOpen()) this.refresh();
+  }
+}
@@ -93,16 +93,29 @@ export class ContextMenuManager {
         case 'reply':
           show = true; // Always show reply
           break;
+        case 'edit':
+          show = this.canEditMessage();
+          break;
+        case 'react':
+          show = !this.currentMessage.element.classList.contains('system');
+          break;
         case 'delete':
           show = this.canDeleteMessage();
           break;
         case 'pm':
           show = this.currentMessage.user !== this.app.user;
           break;
+        case 'mute':
         case 'kick':
         case 'ban':
           show = this.canModerateUser();
           break;
+        case 'promote':
+          show = this.canManageRoles() && !this.app.modTools.isModerator(this.currentMessage.user);
+          break;
+        case 'demote':
+          show = this.canManageRoles() && this.app.modTools.getRole(this.currentMessage.user) === 'moderator';
+          break;
       }
       
       item.style.display = show ? 'block' : 'none';
@@ -115,6 +128,14 @@ export class ContextMenuManager {
            this.app.modTools.isModerator(this.app.user);
   }
   
+  canEditMessage() {
+    // Own messages with text (a file caption counts), until the server's edit window runs out
+    const message = this.app.messages.find(m => m.id === this.currentMessage.id);
+    return !!message && message.user === this.app.user && !message.system &&
+           !!message.text &&
+           Date.now() - message.time <= this.app.editWindow;
+  }
+  
   canModerateUser() {
     // Can moderate if user is moderator and target is not self or another moderator
     return this.app.modTools.isModerator(this.app.user) &&
@@ -122,6 +143,13 @@ export class ContextMenuManager {
            !this.app.modTools.isModerator(this.currentMessage.user);
   }
   
+  canManageRoles() {
+    // Only room owners hand out roles, and not to themselves
+    return this.app.modTools.isOwner(this.app.user) &&
+           this.currentMessage.user !== this.app.user &&
+           !this.currentMessage.element.classList.contains('system');
+  }
+  
   handleAction(action) {
     if (!this.currentMessage) return;
     
@@ -129,18 +157,37 @@ export class ContextMenuManager {
       case 'reply':
         this.replyToMessage();
         break;
+      case 'edit':
+        this.app.startEditing(this.currentMessage.id);
+        break;
+      case 'react':
+        this.app.reactions.openPicker(
+          this.currentMessage.id,
+          parseInt(this.menu.style.left, 10),
+          parseInt(this.menu.style.top, 10)
+        );
+        break;
       case 'delete':
         this.deleteMessage();
         break;
       case 'pm':
         this.openPrivateMessage();
         break;
+      case 'mute':
+        this.muteUser();
+        break;
       case 'kick':
         this.kickUser();
         break;
       case 'ban':
         this.banUser();
         break;
+      case 'promote':
+        this.changeRole('moderator');
+        break;
+      case 'demote':
+        this.changeRole('member');
+        break;
     }
     
     this.hide();
@@ -176,6 +223,11 @@ export class ContextMenuManager {
           }
         );
         
+        if (res.status === 401) {
+          this.app.auth.handleUnauthorized();
+          return;
+        }
+        
         if (!res.ok) {
           const errorText = await res.text();
           throw new Error(`${res.status}: ${errorText}`);
@@ -198,11 +250,36 @@ export class ContextMenuManager {
     this.app.pmManager.openPrivateMessage(this.currentMessage.user);
   }
   
+  async muteUser() {
+    if (!this.canModerateUser()) return;
+    
+    const reason = prompt(`Mute ${this.currentMessage.user}? They can still read the room. Enter reason (optional):`);
+    if (reason !== null) {
+      const duration = prompt('Mute duration (minutes, or leave empty until unmuted):');
+      if (duration === null) return;
+      
+      try {
+        await this.app.members.modRequest({
+          action: 'mute',
+          targetUser: this.currentMessage.user,
+          reason: reason,
+          duration: duration ? parseInt(duration) : null
+        });
+      } catch(e) {
+        console.error('Mute failed:', e);
+        alert('Failed to mute user: ' + e.message);
+      }
+    }
+  }
+  
   async kickUser() {
     if (!this.canModerateUser()) return;
     
     const reason = prompt(`Kick ${this.currentMessage.user}? Enter reason (optional):`);
     if (reason !== null) { // null means cancelled
+      const duration = prompt('Kick duration (minutes):', '5');
+      if (duration === null) return;
+
       try {
         const res = await fetch(`${this.app.baseURL}/mod/${this.app.elements.roomSelect.value}?user=${encodeURIComponent(this.app.user)}`, {
           method: "POST",
@@ -210,10 +287,16 @@ export class ContextMenuManager {
           body: JSON.stringify({
             action: 'kick',
             targetUser: this.currentMessage.user,
-            reason: reason
+            reason: reason,
+            duration: duration ? parseInt(duration) : null
           })
         });
         
+        if (res.status === 401) {
+          this.app.auth.handleUnauthorized();
+          return;
+        }
+        
         if (!res.ok) {
           const errorText = await res.text();
           throw new Error(errorText);
@@ -248,6 +331,11 @@ export class ContextMenuManager {
           })
         });
         
+        if (res.status === 401) {
+          this.app.auth.handleUnauthorized();
+          return;
+        }
+        
         if (!res.ok) {
           const errorText = await res.text();
           throw new Error(errorText);
@@ -262,4 +350,24 @@ export class ContextMenuManager {
       }
     }
   }
+  
+  async changeRole(role) {
+    const username = this.currentMessage.user;
+    const confirmMsg = role === 'moderator'
+      ? `Make ${username} a moderator of this room?`
+      : `Remove ${username} as moderator?`;
+    
+    if (confirm(confirmMsg)) {
+      try {
+        await this.app.modTools.setRole(username, role);
+        
+        // Refresh messages and users
+        await this.app.fetchMessages(true);
+        
+      } catch(e) {
+        console.error('Role change failed:', e);
+        alert('Failed to change role: ' + e.message);
+      }
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+// How often the countdown on a button is redrawn
+const TICK_INTERVAL = 250;
+
+// The server answers floods with 429 + Retry-After; instead of an alert, the button that was
+// used counts down until it works again
+export class CooldownManager {
+  constructor(app) {
+    this.app = app;
+    this.cooldowns = new Map(); // action -> { until, timer, done: [resolve...] }
+  }
+
+  // Seconds to wait according to a 429 response
+  getRetryAfter(res) {
+    const seconds = parseInt(res.headers.get('Retry-After'), 10);
+    return seconds > 0 ? seconds : 1;
+  }
+
+  isCoolingDown(action) {
+    const cooldown = this.cooldowns.get(action);
+    return !!cooldown && cooldown.until > Date.now();
+  }
+
+  // Disable the button and show the seconds left on it; puts the label back and resolves when it's over
+  start(action, seconds, button, label) {
+    let cooldown = this.cooldowns.get(action);
+    if (cooldown) {
+      clearInterval(cooldown.timer);
+    } else {
+      cooldown = { done: [] };
+      this.cooldowns.set(action, cooldown);
+    }
+    cooldown.until = Date.now() + seconds * 1000;
+
+    const tick = () => {
+      const left = Math.ceil((cooldown.until - Date.now()) / 1000);
+      if (left > 0) {
+        if (button) {
+          button.disabled = true;
+          button.textContent = `Wait ${left}s`;
+        }
+        return;
+      }
+
+      clearInterval(cooldown.timer);
+      this.cooldowns.delete(action);
+      if (button) {
+        button.disabled = false;
+        button.textContent = label;
+      }
+      cooldown.done.forEach(resolve => resolve());
+    };
+
+    tick();
+    cooldown.timer = setInterval(tick, TICK_INTERVAL);
+    return new Promise(resolve => cooldown.done.push(resolve));
+  }
+}
@@ -1,3 +1,7 @@
+const SINGLE_UPLOAD_LIMIT = 5 * 1024 * 1024; // larger files go up in parts
+const MAX_PART_ATTEMPTS = 5;
+const MAX_RETRY_DELAY = 30000;
+
 export class FileUploadManager {
   constructor(app) {
     this.app = app;
@@ -5,8 +9,10 @@ export class FileUploadManager {
     this.uploadArea = document.getElementById('upload-area');
     this.fileInput = document.getElementById('file-input');
     this.preview = document.getElementById('upload-preview');
+    this.captionInput = document.getElementById('upload-caption');
     this.selectedFiles = [];
     this.uploading = false; // Prevent multiple uploads
+    this.pendingKey = 'htmlchat_pending_uploads'; // unfinished uploads in parts, to resume
     
     this.setupEventListeners();
   }
@@ -75,11 +81,14 @@ export class FileUploadManager {
     this.modal.style.display = 'none';
     this.selectedFiles = [];
     this.fileInput.value = '';
+    if (this.captionInput) this.captionInput.value = '';
     this.updatePreview();
   }
   
   handleFiles(fileList) {
-    const maxSize = 5 * 1024 * 1024; // 5MB
+    // Each room says how large a file it takes
+    const room = this.app.rooms.currentRoom;
+    const maxSize = (room && room.maxUploadBytes) || SINGLE_UPLOAD_LIMIT;
     const allowedTypes = [
       'image/jpeg', 'image/png', 'image/gif', 'image/webp',
       'audio/mpeg', 'audio/wav', 'audio/ogg',
@@ -89,7 +98,7 @@ export class FileUploadManager {
     
     for (const file of fileList) {
       if (file.size > maxSize) {
-        alert(`File "${file.name}" is too large. Maximum size is 5MB.`);
+        alert(`File "${file.name}" is too large. Maximum size is ${this.formatFileSize(maxSize)}.`);
         continue;
       }
       
@@ -110,6 +119,10 @@ export class FileUploadManager {
   }
   
   updatePreview() {
+    if (this.captionInput) {
+      this.captionInput.style.display = this.selectedFiles.length > 0 ? 'block' : 'none';
+    }
+
     if (this.selectedFiles.length === 0) {
       this.preview.style.display = 'none';
       return;
@@ -128,6 +141,7 @@ export class FileUploadManager {
           <div class="preview-info">
             <div class="preview-name">${escapedName}</div>
             <div class="preview-size">${size}</div>
+            <progress class="preview-progress" max="1" value="0" style="display: none"></progress>
           </div>
           <button class="preview-remove" data-file-index="${index}">Remove</button>
         </div>
@@ -196,6 +210,8 @@ export class FileUploadManager {
       console.warn('Upload already in progress');
       return;
     }
+    const encryption = this.app.roomEncryption;
+    if (encryption.isLocked() && !(await encryption.promptPassphrase())) return;
     
     this.uploading = true;
     
@@ -208,54 +224,53 @@ export class FileUploadManager {
         uploadBtn.textContent = 'Uploading...';
       }
       
-      // Upload each file to the server
+      const room = this.app.elements.roomSelect.value;
+      const attachmentIds = [];
+
+      // Upload each file to the server; they're all sent together in one message afterwards
       for (let i = 0; i < this.selectedFiles.length; i++) {
         const file = this.selectedFiles[i];
         
         try {
+          // Encrypted rooms get the file (name and type included) as ciphertext
+          const upload = await encryption.encryptFile(file);
+          if (upload.size > SINGLE_UPLOAD_LIMIT) {
+            attachmentIds.push(await this.uploadInParts(upload, room, i, uploadBtn, upload === file));
+            continue;
+          }
+
           const formData = new FormData();
-          formData.append('file', file);
+          formData.append('file', upload);
           formData.append('user', this.app.user);
-          formData.append('room', this.app.elements.roomSelect.value);
+          formData.append('room', room);
           
           // Upload to server
           const uploadRes = await fetch(`${this.app.baseURL}/upload`, {
             method: 'POST',
+            headers: this.app.getAuthHeaders(false),
             body: formData
           });
           
+          if (uploadRes.status === 401) {
+            this.app.auth.handleUnauthorized();
+            throw new Error('Please sign in again');
+          }
+          
+          // Uploading too fast - count down on the button, then try this file again
+          if (uploadRes.status === 429) {
+            await this.app.cooldowns.start('upload', this.app.cooldowns.getRetryAfter(uploadRes), uploadBtn, 'Uploading...');
+            if (uploadBtn) uploadBtn.disabled = true;
+            i--;
+            continue;
+          }
+          
           if (!uploadRes.ok) {
             const error = await uploadRes.json();
             throw new Error(error.error || 'Upload failed');
           }
           
           const uploadData = await uploadRes.json();
-          
-          // Create file message data
-          const fileData = {
-            name: uploadData.originalName || file.name,
-            type: file.type,
-            size: file.size,
-            url: uploadData.url,
-            filename: uploadData.filename,
-            uploadedBy: this.app.user,
-            uploadedAt: uploadData.uploadedAt
-          };
-          
-          // Send as special FILE message
-          const fileMessage = `FILE:${JSON.stringify(fileData)}`;
-          
-          const room = this.app.elements.roomSelect.value;
-          const res = await fetch(`${this.app.baseURL}/chat/${room}?user=${encodeURIComponent(this.app.user)}`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ text: fileMessage }),
-          });
-          
-          if (!res.ok) {
-            const errorText = await res.text();
-            throw new Error(`Failed to send file message: ${errorText}`);
-          }
+          attachmentIds.push(uploadData.attachmentId);
           
           // Update progress
           if (uploadBtn) {
@@ -268,6 +283,37 @@ export class FileUploadManager {
           // Continue with other files
         }
       }
+
+      // The room only accepts attachment ids from our own uploads to it
+      if (attachmentIds.length > 0) {
+        const caption = await encryption.encryptText(this.captionInput ? this.captionInput.value.trim() : '');
+        const send = () => fetch(`${this.app.baseURL}/chat/${room}?user=${encodeURIComponent(this.app.user)}`, {
+          method: "POST",
+          headers: this.app.getAuthHeaders(true),
+          body: JSON.stringify({
+            text: caption,
+            attachments: attachmentIds
+          }),
+        });
+
+        // Sending too fast - the files are already up, so wait out the cooldown and send again
+        let res = await send();
+        while (res.status === 429) {
+          await this.app.cooldowns.start('message', this.app.cooldowns.getRetryAfter(res), uploadBtn, 'Sending...');
+          if (uploadBtn) uploadBtn.disabled = true;
+          res = await send();
+        }
+
+        if (!res.ok) {
+          const errorText = await res.text();
+          throw new Error(`Failed to send file message: ${errorText}`);
+        }
+
+        const data = await res.json();
+        if (data.held) {
+          this.app.showSystemNotice(`Your files are waiting for a moderator to approve them (${data.reason}).`);
+        }
+      }
       
       // Refresh messages to show uploaded files
       await this.app.fetchMessages(true);
@@ -296,6 +342,119 @@ export class FileUploadManager {
     }
   }
   
+  // A file too large for one request goes up part by part. A failed part is tried again (once the
+  // browser is back online, if that's what went wrong); if it still fails, uploading the same file
+  // to the room again later carries on from the parts the server already has.
+  async uploadInParts(file, room, index, uploadBtn, resumable) {
+    const resumeKey = `${room}:${file.name}:${file.size}:${file.lastModified}`;
+    const pending = (await this.app.loadFromStorage(this.pendingKey)) || {};
+
+    let upload = null;
+    if (resumable && pending[resumeKey]) {
+      upload = await this.multipartRequest(this.multipartURL(room, pending[resumeKey])).catch(() => null);
+    }
+    while (!upload) {
+      try {
+        upload = await this.multipartRequest(this.multipartURL(room), {
+          method: 'POST',
+          json: { room, name: file.name, type: file.type, size: file.size }
+        });
+      } catch (e) {
+        // Uploading too fast - count down on the button, then start it again
+        if (e.status !== 429) throw e;
+        await this.app.cooldowns.start('upload', e.retryAfter, uploadBtn, 'Uploading...');
+        if (uploadBtn) uploadBtn.disabled = true;
+      }
+    }
+    if (resumable) {
+      pending[resumeKey] = upload.uploadId;
+      await this.app.saveToStorage(this.pendingKey, pending);
+    }
+
+    const partCount = Math.ceil(file.size / upload.partSize);
+    const stored = new Set(upload.parts);
+    try {
+      for (let part = 1; part <= partCount; part++) {
+        if (!stored.has(part)) {
+          if (uploadBtn) {
+            uploadBtn.textContent = `Uploading ${index + 1}/${this.selectedFiles.length}: part ${part} of ${partCount}...`;
+          }
+          const start = (part - 1) * upload.partSize;
+          await this.sendPart(this.multipartURL(room, upload.uploadId, { part }), file.slice(start, start + upload.partSize));
+          stored.add(part);
+        }
+        this.showProgress(index, stored.size / partCount, `${stored.size} of ${partCount} parts`);
+      }
+
+      const data = await this.multipartRequest(this.multipartURL(room, upload.uploadId), { method: 'POST' });
+      if (resumable) {
+        delete pending[resumeKey];
+        await this.app.saveToStorage(this.pendingKey, pending);
+      }
+      return data.attachmentId;
+    } catch (e) {
+      // Nothing to resume from: encrypted uploads come out different every time
+      if (!resumable) {
+        this.multipartRequest(this.multipartURL(room, upload.uploadId), { method: 'DELETE' }).catch(() => {});
+      } else {
+        e.message += ' - upload it again to carry on where it stopped';
+      }
+      throw e;
+    }
+  }
+
+  async sendPart(url, body) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.multipartRequest(url, { method: 'PUT', body });
+      } catch (e) {
+        // Offline: wait until we're back, however long that takes
+        if (navigator.onLine === false) {
+          await new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+          attempt = 0;
+          continue;
+        }
+        // Otherwise only network errors and server hiccups are worth a few more tries
+        if ((e.status && e.status < 500) || attempt >= MAX_PART_ATTEMPTS) throw e;
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY)));
+      }
+    }
+  }
+
+  multipartURL(room, uploadId, params = {}) {
+    const query = new URLSearchParams({ room, user: this.app.user, ...params });
+    return `${this.app.baseURL}/upload/multipart${uploadId ? `/${encodeURIComponent(uploadId)}` : ''}?${query}`;
+  }
+
+  // Errors carry the response status (none for network errors) and, when rate limited, the wait
+  async multipartRequest(url, { method = 'GET', json, body } = {}) {
+    const res = await fetch(url, {
+      method,
+      headers: this.app.getAuthHeaders(!!json),
+      body: json ? JSON.stringify(json) : body
+    });
+    if (res.status === 401) {
+      this.app.auth.handleUnauthorized();
+    }
+    if (!res.ok) {
+      const info = await res.json().catch(() => ({}));
+      const error = new Error(res.status === 401 ? 'Please sign in again' : info.error || 'Upload failed');
+      error.status = res.status;
+      if (res.status === 429) error.retryAfter = this.app.cooldowns.getRetryAfter(res);
+      throw error;
+    }
+    return res.json();
+  }
+
+  showProgress(index, fraction, label) {
+    const item = this.preview.querySelector(`.preview-item[data-file-index="${index}"]`);
+    if (!item) return;
+    const progress = item.querySelector('.preview-progress');
+    progress.style.display = '';
+    progress.value = fraction;
+    item.querySelector('.preview-size').textContent = `${this.formatFileSize(this.selectedFiles[index].size)} - ${label}`;
+  }
+
   fileToBase64(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
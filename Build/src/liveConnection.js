@@ -0,0 +1,137 @@
+export class LiveConnection {
+  constructor(app) {
+    this.app = app;
+    this.socket = null;
+    this.room = null;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 60000;
+    this.heartbeatInterval = 30000;
+  }
+
+  isSupported() {
+    return typeof WebSocket !== 'undefined';
+  }
+
+  isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  getSocketUrl(room) {
+    // Same host as the HTTP API, just over ws:// or wss://
+    const base = this.app.baseURL.replace(/^http/, 'ws');
+    let url = `${base}/chat/${encodeURIComponent(room)}?user=${encodeURIComponent(this.app.user)}`;
+
+    // Browsers can't set headers on a WebSocket, so the session goes in the query string
+    const token = this.app.auth && this.app.auth.getToken();
+    if (token) {
+      url += `&token=${encodeURIComponent(token)}`;
+    }
+    return url;
+  }
+
+  connect(room) {
+    if (!this.isSupported()) return;
+
+    this.disconnect();
+    this.room = room;
+
+    let socket;
+    try {
+      socket = new WebSocket(this.getSocketUrl(room));
+    } catch (e) {
+      console.warn('WebSocket connection failed:', e);
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      if (socket !== this.socket) return;
+      this.reconnectDelay = 1000;
+      this.startHeartbeat();
+      this.app.onLiveConnected();
+    });
+
+    socket.addEventListener('message', (e) => {
+      if (socket !== this.socket) return;
+      try {
+        this.app.handleLiveEvent(JSON.parse(e.data));
+      } catch (err) {
+        console.warn('Bad live event:', err);
+      }
+    });
+
+    socket.addEventListener('close', (e) => {
+      if (socket !== this.socket) return;
+      this.socket = null;
+      this.stopHeartbeat();
+      this.app.onLiveDisconnected(e.code, e.reason);
+
+      // 4003 = kicked or banned, don't hammer the server trying to get back in
+      // 4010 = room archived, nothing left to listen to
+      if (e.code !== 4003 && e.code !== 4010) {
+        this.scheduleReconnect();
+      }
+    });
+
+    // Errors are always followed by a close event, which handles fallback
+    socket.addEventListener('error', () => {});
+  }
+
+  disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopHeartbeat();
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      try {
+        socket.close(1000, 'Leaving room');
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+    }
+
+    const room = this.room;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (room === this.room) {
+        this.connect(room);
+      }
+    }, this.reconnectDelay);
+
+    // Exponential backoff; polling keeps the room fresh in the meantime
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  send(event) {
+    if (!this.isOpen()) return false;
+    this.socket.send(JSON.stringify(event));
+    return true;
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.send({ type: 'heartbeat' });
+    }, this.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+}
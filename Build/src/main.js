@@ -2,71 +2,31 @@
 import { SoundManager } from "./soundManager.js";
 import {
   Volume2, VolumeX, Search, Reply, Trash2, Mail, UserX, Ban, X,
-  Folder, Paperclip, Bell, Image, Music, FileText, Settings
+  Folder, Paperclip, Bell, Image, Music, FileText, Settings, Shield, ShieldOff,
+  Plus, Archive, Lock, Users, Pencil, SmilePlus, MicOff
 } from 'lucide';
 import { MessageRenderer } from "./messageRenderer.js";
 import { PrivateMessageManager } from "./privateMessages.js";
+import { PMEncryptionManager } from "./pmEncryption.js";
+import { RoomEncryptionManager } from "./roomEncryption.js";
 import { FileUploadManager } from "./fileUpload.js";
 import { SearchManager } from "./search.js";
 import { NotificationManager } from "./notifications.js";
 import { ContextMenuManager } from "./contextMenu.js";
 import { ModeratorTools } from "./moderatorTools.js";
-
-// WebCrypto-based encrypt/decrypt helpers for sensitive values
-async function getKeyFromPassphrase(passphrase, salt) {
-  const encoder = new TextEncoder();
-  const keyMaterial = await window.crypto.subtle.importKey(
-    "raw",
-    encoder.encode(passphrase),
-    "PBKDF2",
-    false,
-    ["deriveKey"]
-  );
-  return window.crypto.subtle.deriveKey(
-    {
-      name: "PBKDF2",
-      salt: salt,
-      iterations: 50000,
-      hash: "SHA-256"
-    },
-    keyMaterial,
-    { name: "AES-GCM", length: 256 },
-    false,
-    ["encrypt", "decrypt"]
-  );
-}
-
-async function encryptData(plain, passphrase) {
-  const encoder = new TextEncoder();
-  const iv = window.crypto.getRandomValues(new Uint8Array(12));
-  const salt = window.crypto.getRandomValues(new Uint8Array(16));
-  const key = await getKeyFromPassphrase(passphrase, salt);
-  const ciphertext = await window.crypto.subtle.encrypt(
-    { name: "AES-GCM", iv },
-    key,
-    encoder.encode(plain)
-  );
-  // Return salt + iv + ciphertext as Base64
-  const dataBuffer = new Uint8Array(salt.length + iv.length + ciphertext.byteLength);
-  dataBuffer.set(salt, 0);
-  dataBuffer.set(iv, salt.length);
-  dataBuffer.set(new Uint8Array(ciphertext), salt.length + iv.length);
-  return btoa(String.fromCharCode.apply(null, dataBuffer));
-}
-
-async function decryptData(data_b64, passphrase) {
-  const raw = Uint8Array.from(atob(data_b64), c => c.charCodeAt(0));
-  const salt = raw.slice(0, 16);
-  const iv = raw.slice(16, 28);
-  const ciphertext = raw.slice(28);
-  const key = await getKeyFromPassphrase(passphrase, salt);
-  const decrypted = await window.crypto.subtle.decrypt(
-    { name: "AES-GCM", iv },
-    key,
-    ciphertext
-  );
-  return new TextDecoder().decode(decrypted);
-}
+import { LiveConnection } from "./liveConnection.js";
+import { AuthManager } from "./auth.js";
+import { RoomDirectoryManager } from "./roomDirectory.js";
+import { RoomMembersManager } from "./roomMembers.js";
+import { ReactionManager } from "./reactions.js";
+import { TypingIndicatorManager } from "./typingIndicator.js";
+import { ReadMarkerManager } from "./readMarkers.js";
+import { CooldownManager } from "./cooldowns.js";
+import { AutomodManager } from "./automod.js";
+import { AuditLogManager } from "./auditLog.js";
+
+// SVG elements lucide icons are drawn with
+const SVG_SHAPES = ['path', 'circle', 'line', 'rect', 'polyline', 'polygon', 'ellipse'];
 
 // Global app state
 class HTMLChatApp {
@@ -80,6 +40,15 @@ class HTMLChatApp {
     this.lastMessageTime = 0;
     this.lastFetchTime = 0;
     this.currentReplyTo = null;
+    this.editingMessage = null;
+    this.editWindow = 15 * 60 * 1000; // replaced by the server's value
+
+    // Messages currently shown for the active room, kept in sync with the server via a cursor
+    this.messages = [];
+    this.loadedRoom = null;
+    this.cursor = null;
+    this.hasMoreHistory = true;
+    this.loadingOlder = false;
 
     // Icon mappings for lucide
     this.icons = {
@@ -98,21 +67,42 @@ class HTMLChatApp {
       'image': Image,
       'music': Music,
       'file-text': FileText,
-      'settings': Settings
+      'settings': Settings,
+      'shield': Shield,
+      'shield-off': ShieldOff,
+      'plus': Plus,
+      'archive': Archive,
+      'lock': Lock,
+      'users': Users,
+      'pencil': Pencil,
+      'smile-plus': SmilePlus,
+      'mic-off': MicOff
     };
 
     // Initialize managers to null (will be created in init)
     this.soundManager = null;
     this.messageRenderer = null;
     this.pmManager = null;
+    this.pmEncryption = null;
+    this.roomEncryption = null;
     this.fileManager = null;
     this.searchManager = null;
     this.notificationManager = null;
     this.contextMenu = null;
     this.modTools = null;
-
-    // Server-side moderator status (authoritative)
+    this.live = null;
+    this.auth = null;
+    this.rooms = null;
+    this.members = null;
+    this.automod = null;
+    this.auditLog = null;
+    this.reactions = null;
+    this.typing = null;
+    this.readMarkers = null;
+
+    // Server-side role in the current room (authoritative)
     this.serverIsModerator = false;
+    this.serverRole = 'member';
 
     // DOM elements
     this.elements = {
@@ -151,26 +141,13 @@ class HTMLChatApp {
     svg.setAttribute('stroke-linecap', 'round');
     svg.setAttribute('stroke-linejoin', 'round');
 
-    // Add paths from the icon component
+    // Add the icon's shapes - lucide draws with paths, circles and lines, but also rects (Lock,
+    // Archive), polylines, polygons and ellipses
     IconComponent.forEach(pathData => {
-      if (pathData && pathData[0] === 'path') {
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', pathData[1].d || '');
-        svg.appendChild(path);
-      } else if (pathData && pathData[0] === 'circle') {
-        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        circle.setAttribute('cx', pathData[1].cx || '');
-        circle.setAttribute('cy', pathData[1].cy || '');
-        circle.setAttribute('r', pathData[1].r || '');
-        svg.appendChild(circle);
-      } else if (pathData && pathData[0] === 'line') {
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', pathData[1].x1 || '');
-        line.setAttribute('y1', pathData[1].y1 || '');
-        line.setAttribute('x2', pathData[1].x2 || '');
-        line.setAttribute('y2', pathData[1].y2 || '');
-        svg.appendChild(line);
-      }
+      if (!pathData || !SVG_SHAPES.includes(pathData[0])) return;
+      const shape = document.createElementNS('http://www.w3.org/2000/svg', pathData[0]);
+      Object.entries(pathData[1] || {}).forEach(([name, value]) => shape.setAttribute(name, value));
+      svg.appendChild(shape);
     });
 
     if (options.className) {
@@ -215,38 +192,18 @@ class HTMLChatApp {
   }
 
   // Simple storage helpers
-  async saveToStorage(key, data, passphrase = null) {
+  async saveToStorage(key, data) {
     try {
-      if (key === "htmlchat_auth_token") {
-        // Encrypt sensitive token with passphrase before storage
-        if (!passphrase) throw new Error("Missing passphrase for sensitive storage");
-        const encrypted = await encryptData(data, passphrase);
-        localStorage.setItem(key, JSON.stringify({ encrypted: encrypted }));
-      } else {
-        localStorage.setItem(key, JSON.stringify(data));
-      }
+      localStorage.setItem(key, JSON.stringify(data));
     } catch (e) {
       console.warn("Storage failed:", e);
     }
   }
 
-  async loadFromStorage(key, passphrase = null) {
+  async loadFromStorage(key) {
     try {
       const data = localStorage.getItem(key);
-      if (key === "htmlchat_auth_token" && data && passphrase) {
-        const obj = JSON.parse(data);
-        if (obj && obj.encrypted) {
-          try {
-            return await decryptData(obj.encrypted, passphrase);
-          } catch (de) {
-            console.warn("Failed to decrypt auth token:", de);
-            return null;
-          }
-        }
-        return null;
-      } else {
-        return data ? JSON.parse(data) : null;
-      }
+      return data ? JSON.parse(data) : null;
     } catch (e) {
       console.warn("Load failed:", e);
       return null;
@@ -254,63 +211,44 @@ class HTMLChatApp {
   }
 
   async init() {
-    // Get or prompt for username
-    this.user = await this.loadFromStorage("htmlchat_user");
-    this.authToken = null;
-    this._authPassphrase = null;
-
-    // Only prompt if no stored user; otherwise keep stored username.
-    if (!this.user) {
-      do {
-        this.user = prompt("Enter your nickname:") || "";
-        this.user = this.user.trim().substring(0, 20);
-      } while (!this.user);
-      await this.saveToStorage("htmlchat_user", this.user);
-
-      // If user is NellowTCS, prompt for moderator password & passphrase to encrypt
-      if (this.user.toLowerCase() === 'nellowtcs') {
-        let pw = prompt("Enter moderator password:");
-        if (pw) {
-          // Ask for a passphrase to encrypt the saved token (can use same value for simplicity)
-          let passphrase = prompt("Provide a passphrase to protect your moderator token:", "");
-          if (!passphrase) passphrase = pw; // fallback for less friction
-          this._authPassphrase = passphrase;
-          this.authToken = pw;
-          await this.saveToStorage("htmlchat_auth_token", this.authToken, this._authPassphrase);
-        }
-      }
-    } else {
-      // If stored user is nellowtcs, attempt to load auth token if passphrase is available
-      if (this.user.toLowerCase() === 'nellowtcs') {
-        // Try to load existing moderator token (non-blocking)
-        try {
-          const passphrase = prompt("Enter passphrase to unlock moderator password (or leave blank):");
-          this._authPassphrase = passphrase || null;
-          if (passphrase) {
-            this.authToken = await this.loadFromStorage("htmlchat_auth_token", passphrase);
-          }
-        } catch (e) {
-          // ignore
-        }
-      }
-    }
-
-    // Set up room (always)
-    const savedRoom = (await this.loadFromStorage("htmlchat_room")) || "default";
-    if (this.elements.roomSelect) this.elements.roomSelect.value = savedRoom;
+    // Sign in (or join as a guest) before anything talks to the server
+    this.auth = new AuthManager(this);
+    await this.auth.ensureSignedIn();
+    this.user = this.auth.getUsername();
+    this.auth.updateAccountSettings();
+
+    // Set up room (always); the room list shows unread counts
+    this.readMarkers = new ReadMarkerManager(this);
+    this.rooms = new RoomDirectoryManager(this);
+    const invitedRoom = await this.rooms.handleInviteLink();
+    if (invitedRoom) await this.saveToStorage("htmlchat_room", invitedRoom);
+    const savedRoom = invitedRoom || (await this.loadFromStorage("htmlchat_room")) || "default";
+    await this.rooms.loadRooms(savedRoom);
+    this.rooms.init();
 
     this.updateWelcome();
     this.setupEventListeners();
 
     // Initialize managers (always)
     this.soundManager = new SoundManager();
+    this.cooldowns = new CooldownManager(this);
     this.messageRenderer = new MessageRenderer(this);
+    this.roomEncryption = new RoomEncryptionManager(this);
+    await this.roomEncryption.init();
     this.pmManager = new PrivateMessageManager(this);
+    this.pmEncryption = new PMEncryptionManager(this);
+    this.pmEncryption.init();
     this.fileManager = new FileUploadManager(this);
     this.searchManager = new SearchManager(this);
     this.notificationManager = new NotificationManager(this);
     this.contextMenu = new ContextMenuManager(this);
+    this.reactions = new ReactionManager(this);
     this.modTools = new ModeratorTools(this);
+    this.members = new RoomMembersManager(this);
+    this.automod = new AutomodManager(this);
+    this.auditLog = new AuditLogManager(this);
+    this.live = new LiveConnection(this);
+    this.typing = new TypingIndicatorManager(this);
 
     // Initialize notification manager (it checks Notification API)
     await this.notificationManager.init();
@@ -356,9 +294,15 @@ class HTMLChatApp {
     } catch (e) {
       console.warn('Initial fetchMessages failed:', e);
     }
+    this.readMarkers.loadUnread();
+    this.pmManager.refreshInbox();
+    this.pmManager.connectInbox();
     this.scheduleNextRefresh(15000);
     this.elements.input && this.elements.input.focus();
 
+    // Prefer live updates over polling when the server supports them
+    this.live.connect(this.elements.roomSelect.value);
+
     // Set up activity tracking and heartbeat
     this.setupActivityTracking();
     setTimeout(() => this.scheduleHeartbeat(), 60000);
@@ -378,6 +322,15 @@ class HTMLChatApp {
       });
     }
 
+    // Load older history when scrolled to the top
+    if (this.elements.chatBox) {
+      this.elements.chatBox.addEventListener("scroll", () => {
+        if (this.elements.chatBox.scrollTop === 0) {
+          this.loadOlderMessages();
+        }
+      }, { passive: true });
+    }
+
     // Room change
     if (this.elements.roomSelect) {
       this.elements.roomSelect.addEventListener("change", () =>
@@ -390,7 +343,10 @@ class HTMLChatApp {
       this.isVisible = !document.hidden;
 
       if (this.isVisible) {
-        this.fetchMessages(true);
+        if (!this.live.isOpen()) {
+          this.fetchMessages(true);
+        }
+        this.readMarkers.scheduleMarkRead();
         this.scheduleNextRefresh(15000);
       } else {
         this.scheduleNextRefresh(60000);
@@ -453,6 +409,11 @@ class HTMLChatApp {
       });
     });
 
+    // Locked messages in encrypted rooms ask for the passphrase
+    this.elements.chatBox.querySelectorAll('.unlock-room').forEach(link => {
+      link.addEventListener('click', () => this.roomEncryption.promptPassphrase());
+    });
+
     // Add click event listeners for reply references
     const replyRefs = this.elements.chatBox.querySelectorAll('.reply-reference');
     replyRefs.forEach(replyEl => {
@@ -464,6 +425,20 @@ class HTMLChatApp {
       });
     });
 
+    // Clicking a reaction chip adds or takes back our own reaction
+    const reactionChips = this.elements.chatBox.querySelectorAll('.reaction-chip');
+    reactionChips.forEach(chip => {
+      chip.addEventListener('click', () => {
+        this.reactions.toggleReaction(chip.dataset.messageId, chip.dataset.emoji);
+      });
+    });
+
+    // Moderators see the full revision history when hovering "(edited)"
+    const editedTags = this.elements.chatBox.querySelectorAll('.edited-tag');
+    editedTags.forEach(tag => {
+      tag.addEventListener('mouseenter', () => this.messageRenderer.loadEditHistory(tag));
+    });
+
     // Add double-click event listeners for user spans to open private messages
     const userSpans = this.elements.chatBox.querySelectorAll('.user');
     userSpans.forEach(userSpan => {
@@ -487,10 +462,12 @@ class HTMLChatApp {
     });
   }
 
-  // URL validation helper
+  // URL validation helper. blob: URLs are allowed only from this page's origin - that's how
+  // decrypted attachments in encrypted rooms are shown.
   isValidUrl(string) {
     try {
       const url = new URL(string);
+      if (url.protocol === 'blob:') return url.origin === window.location.origin;
       return url.protocol === 'http:' || url.protocol === 'https:';
     } catch (_) {
       return false;
@@ -506,9 +483,12 @@ class HTMLChatApp {
     const welcomeText = document.createTextNode('Welcome to HTMLChat, ');
     const userBold = document.createElement('b');
     userBold.textContent = this.user || 'Guest';
+    if (this.auth && this.auth.isGuest()) {
+      userBold.textContent += ' (guest)';
+    }
     const middleText = document.createTextNode('! You are now in room ');
     const roomBold = document.createElement('b');
-    roomBold.textContent = this.elements.roomSelect ? this.elements.roomSelect.value : 'default';
+    roomBold.textContent = this.elements.roomSelect ? `#${this.rooms ? this.rooms.getRoomName(this.elements.roomSelect.value) : this.elements.roomSelect.value}` : 'default';
     const endText = document.createTextNode('.');
 
     // Append all elements
@@ -525,7 +505,7 @@ class HTMLChatApp {
 
     if (connected) {
       dot.className = "status-dot";
-      text.textContent = "Connected";
+      text.textContent = this.live && this.live.isOpen() ? "Connected (live)" : "Connected";
     } else {
       dot.className = "status-dot disconnected";
       text.textContent = "Disconnected";
@@ -586,7 +566,7 @@ class HTMLChatApp {
     }
   }
 
-  // Helper to get auth headers for moderator actions
+  // Headers for API requests, carrying the session token when signed in
   getAuthHeaders(includeContentType = false) {
     const headers = {};
 
@@ -594,115 +574,216 @@ class HTMLChatApp {
       headers['Content-Type'] = 'application/json';
     }
 
-    if (this.user && this.user.toLowerCase() === 'nellowtcs' && this.authToken) {
-      headers['X-Auth-Token'] = this.authToken;
-      headers['X-Auth-User'] = this.user;
-      console.log('Adding auth headers:', { user: this.user, hasToken: !!this.authToken, includeContentType });
-    } else {
-      console.log('No auth headers added:', {
-        user: this.user,
-        isNellowTCS: this.user && this.user.toLowerCase() === 'nellowtcs',
-        hasToken: !!this.authToken
-      });
+    const token = this.auth && this.auth.getToken();
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
     }
 
     return headers;
   }
 
+  // Signed in for the first time, or again after the session expired
+  onSignedIn() {
+    this.user = this.auth.getUsername();
+    this.updateWelcome();
+
+    // Reconnect so the live socket carries the new session
+    if (this.live) {
+      this.live.connect(this.elements.roomSelect.value);
+    }
+  }
+
   scrollToBottom() {
     this.elements.chatBox.scrollTop = this.elements.chatBox.scrollHeight;
   }
 
+  // Render this.messages into the chat box and wire up interactive elements
+  renderChat(options = {}) {
+    const previousHeight = this.elements.chatBox.scrollHeight;
+    const previousTop = this.elements.chatBox.scrollTop;
+
+    if (this.messageRenderer) {
+      this.elements.chatBox.innerHTML =
+        this.messageRenderer.renderMessages(this.messages);
+    } else {
+      // graceful fallback
+      this.elements.chatBox.innerHTML = '<div class="msg system"><span class="time">[--:--]</span><span class="user">*** System ***</span><span class="text">Messages loaded (renderer missing)</span></div>';
+    }
+
+    if (options.keepScrollPosition) {
+      // Older messages were added above, keep the same messages in view
+      this.elements.chatBox.scrollTop =
+        this.elements.chatBox.scrollHeight - previousHeight + previousTop;
+    } else if (options.preserveScroll) {
+      // Something changed in place (reactions) - stay where we are
+      this.elements.chatBox.scrollTop = previousTop;
+    } else {
+      this.scrollToBottom();
+    }
+
+    // Re-initialize Lucide icons for new messages
+    this.initializeIcons();
+
+    // Attach secure event listeners for interactive elements
+    this.attachMessageEventListeners();
+
+    // Encrypted rooms render placeholders first and again once they're decrypted
+    if (this.roomEncryption) this.roomEncryption.decryptVisible();
+  }
+
+  // Persist the current room's messages (and sync cursor) for search, export and the next visit
+  cacheMessages() {
+    const room = this.elements.roomSelect.value;
+    const cached = this.messages.slice(-1000);
+    this.saveToStorage(`htmlchat_${room}`, cached);
+    this.saveToStorage(`htmlchat_${room}_cursor`, this.cursor);
+    this.saveToStorage("htmlchat_messages", cached);
+  }
+
+  // Merge a sync delta into this.messages; returns the messages that weren't there before and the ones that changed (edits, reactions)
+  mergeMessages(incoming, deletedIds = [], replace = false) {
+    const byId = new Map(replace ? [] : this.messages.map((m) => [m.id, m]));
+    const added = [];
+    const updated = [];
+
+    incoming.forEach((msg) => {
+      const existing = byId.get(msg.id);
+      if (!existing) added.push(msg);
+      else if (existing.updatedAt !== msg.updatedAt) updated.push(msg);
+      byId.set(msg.id, msg);
+    });
+    deletedIds.forEach((id) => byId.delete(id));
+
+    this.messages = [...byId.values()].sort((a, b) => a.time - b.time);
+    return { added, updated };
+  }
+
+  // Page back through history with ?before=
+  async loadOlderMessages() {
+    if (this.loadingOlder || !this.hasMoreHistory || this.messages.length === 0) return;
+
+    const room = this.elements.roomSelect.value;
+    this.loadingOlder = true;
+
+    try {
+      const oldest = this.messages[0];
+      const res = await fetch(
+        `${this.baseURL}/chat/${room}?before=${encodeURIComponent(oldest.time)}&limit=100`,
+        { headers: this.getAuthHeaders(false) }
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+
+      const data = await res.json();
+      if (room !== this.elements.roomSelect.value) return;
+
+      this.hasMoreHistory = !!data.hasMore;
+      const { added } = this.mergeMessages(data.messages || []);
+      if (added.length > 0) {
+        this.renderChat({ keepScrollPosition: true });
+        this.cacheMessages();
+      }
+    } catch (e) {
+      console.warn("Loading older messages failed:", e);
+    } finally {
+      this.loadingOlder = false;
+    }
+  }
+
   async fetchMessages(forceRefresh = false) {
+    const room = this.elements.roomSelect.value;
+
     try {
-      if (!forceRefresh) {
-        const cached = this.loadFromStorage(
-          `htmlchat_${this.elements.roomSelect.value}`
-        );
-        if (cached && Array.isArray(cached) && this.messageRenderer) {
-          this.elements.chatBox.innerHTML =
-            this.messageRenderer.renderMessages(cached);
-          this.scrollToBottom();
-          // Attach event listeners for cached content
-          this.attachMessageEventListeners();
+      // Start from the local cache so we only need to ask for what changed
+      if (this.loadedRoom !== room) {
+        const cached = await this.loadFromStorage(`htmlchat_${room}`);
+        this.messages = Array.isArray(cached) ? cached : [];
+        this.cursor = this.messages.length > 0
+          ? await this.loadFromStorage(`htmlchat_${room}_cursor`)
+          : null;
+        this.hasMoreHistory = true;
+        this.loadedRoom = room;
+
+        if (!forceRefresh && this.messages.length > 0) {
+          this.renderChat();
         }
       }
 
-      const url = `${this.baseURL}/chat/${this.elements.roomSelect.value}`;
+      const since = this.cursor;
+      const url = `${this.baseURL}/chat/${room}${since ? `?since=${encodeURIComponent(since)}` : ''}`;
       const headers = this.getAuthHeaders(false); // No Content-Type for GET requests
 
-      console.log('Fetching messages:', { url, headers });
-
       const res = await fetch(url, { headers });
 
-      console.log('Fetch response:', {
-        ok: res.ok,
-        status: res.status,
-        statusText: res.statusText,
-        headers: Object.fromEntries(res.headers.entries())
-      });
+      // Room was never created (or a stale saved room) - fall back to the default room
+      if (res.status === 404 && room !== 'default') {
+        this.elements.roomSelect.value = 'default';
+        await this.changeRoom();
+        this.showSystemNotice(`Room "${room}" does not exist.`);
+        return;
+      }
+
+      // Private room we don't belong to (or were just removed from)
+      if (res.status === 403) {
+        const info = await res.json().catch(() => null);
+        if (info && info.notMember) {
+          if (room !== this.elements.roomSelect.value) return;
+          this.messages = [];
+          this.cursor = null;
+          localStorage.removeItem(`htmlchat_${room}`);
+          localStorage.removeItem(`htmlchat_${room}_cursor`);
+          this.rooms.showNotMember(info);
+          this.updateUserList([], 0);
+          this.updateStatus(true);
+          return;
+        }
+      }
 
       if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
 
       const data = await res.json();
-      console.log("Received data:", data);
 
-      const messages = data.messages || [];
+      // Room changed while this request was in flight
+      if (room !== this.elements.roomSelect.value) return;
+
       const users = data.users || [];
       const userCount = data.userCount || users.length;
 
       // Store server's moderator status for current user
       if (typeof data.isModerator === 'boolean') {
         this.serverIsModerator = data.isModerator;
-        console.log('Server moderator status:', this.serverIsModerator);
       }
-
-      // Check for new messages for notifications and update stored message IDs
-      const lastMessageCount =
-        this.loadFromStorage(
-          `htmlchat_${this.elements.roomSelect.value}_count`
-        ) || 0;
-      if (
-        messages.length > lastMessageCount &&
-        !this.isVisible &&
-        lastMessageCount > 0
-      ) {
-        const newMessages = messages.slice(lastMessageCount);
+      this.serverRole = data.role || 'member';
+      if (data.editWindow) this.editWindow = data.editWindow;
+      if (data.typing) this.typing.setTypers(data.typing);
+      this.modTools.updateRoles(data.roles);
+      this.rooms.updateRoomInfo(data.room);
+
+      // A full page replaces the cache; a delta (or a reset from the server) is merged into it
+      const fullPage = !since || data.reset;
+      const deleted = data.deleted || [];
+      const { added: newMessages, updated } = this.mergeMessages(data.messages || [], deleted, fullPage);
+      if (typeof data.hasMore === 'boolean') this.hasMoreHistory = data.hasMore;
+      if (data.cursor) this.cursor = data.cursor;
+      this.readMarkers.onRoomLoaded(room, data.lastRead || null);
+
+      // Notify about messages that arrived while the tab was hidden
+      if (!fullPage && !this.isVisible) {
         newMessages.forEach((msg) => {
-          if (msg.user !== this.user) {
-            this.notificationManager.showNotification(msg.user, msg.text);
+          if (msg.user !== this.user && !msg.system) {
+            this.roomEncryption.readText(msg, room).then(text => this.notificationManager.showNotification(msg.user, text));
             this.soundManager.playSound("message");
           }
         });
       }
-      this.saveToStorage(
-        `htmlchat_${this.elements.roomSelect.value}_count`,
-        messages.length
-      );
 
-      // Store messages with proper IDs for deletion
-      if (this.messageRenderer) {
-        this.elements.chatBox.innerHTML =
-          this.messageRenderer.renderMessages(messages);
-      } else {
-        // graceful fallback
-        this.elements.chatBox.innerHTML = '<div class="msg system"><span class="time">[--:--]</span><span class="user">*** System ***</span><span class="text">Messages loaded (renderer missing)</span></div>';
+      if (fullPage || newMessages.length > 0 || updated.length > 0 || deleted.length > 0 || forceRefresh) {
+        this.renderChat();
       }
-      this.scrollToBottom();
-
-      // Re-initialize Lucide icons for new messages
-      this.initializeIcons();
-
-      // Attach secure event listeners for interactive elements
-      this.attachMessageEventListeners();
 
       this.updateUserList(users, userCount);
 
-      this.saveToStorage(
-        `htmlchat_${this.elements.roomSelect.value}`,
-        messages
-      );
-      this.saveToStorage("htmlchat_messages", messages);
+      this.cacheMessages();
+      this.readMarkers.scheduleMarkRead();
       this.updateStatus(true);
     } catch (e) {
       console.error("Fetch failed:", e);
@@ -752,17 +833,21 @@ class HTMLChatApp {
     const messageText = this.elements.input.value.trim();
     if (!messageText) return;
 
+    if (this.editingMessage) {
+      await this.submitEdit(messageText);
+      return;
+    }
+    if (this.cooldowns.isCoolingDown("message")) return;
+    if (this.roomEncryption.isLocked() && !(await this.roomEncryption.promptPassphrase())) return;
+
     this.elements.sendBtn.disabled = true;
     this.elements.sendBtn.textContent = "...";
 
+    const reply = this.currentReplyTo;
     try {
-      let finalMessage = messageText;
-
-      // Add reply reference if replying
-      if (this.currentReplyTo) {
-        finalMessage = `@reply:${this.currentReplyTo.id}:${this.currentReplyTo.user}: ${messageText}`;
-        this.cancelReply();
-      }
+      // The server checks the replied-to message still exists
+      const replyTo = reply ? reply.id : undefined;
+      this.cancelReply();
 
       // Generate message ID for tracking
       const messageId = `msg_${Date.now()}_${Math.random()
@@ -770,38 +855,105 @@ class HTMLChatApp {
         .substr(2, 9)}`;
 
       const room = this.elements.roomSelect.value;
+      const text = await this.roomEncryption.encryptText(messageText);
       const res = await fetch(
         `${this.baseURL}/chat/${room}?user=${encodeURIComponent(this.user)}`,
         {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ text: finalMessage, messageId }),
+          headers: this.getAuthHeaders(true),
+          body: JSON.stringify({ text, messageId, replyTo }),
         }
       );
 
+      if (res.status === 401) {
+        this.auth.handleUnauthorized();
+        return;
+      }
+
+      // Sending too fast - keep the message (and what it replies to) until the cooldown is over
+      if (res.status === 429) {
+        if (reply) this.setReplyTo(reply.id, reply.user, reply.text);
+        this.cooldowns.start("message", this.cooldowns.getRetryAfter(res), this.elements.sendBtn, "Send");
+        return;
+      }
+
       if (!res.ok) {
         const errorText = await res.text();
         throw new Error(`${res.status}: ${errorText}`);
       }
 
       this.elements.input.value = "";
+      this.typing.onMessageSent();
+
+      const data = await res.json();
+      if (data.held) {
+        this.showSystemNotice(`Your message is waiting for a moderator to approve it (${data.reason}).`);
+      }
 
       // Play send sound
       this.soundManager.playSound("message");
 
-      // Fetch new messages
-      await this.fetchMessages(true);
-      this.scheduleNextRefresh(15000);
+      // Live clients get their own message back over the socket
+      if (!this.live.isOpen()) {
+        await this.fetchMessages(true);
+        this.scheduleNextRefresh(15000);
+      }
     } catch (e) {
       console.error("Send failed:", e);
 
       if (e.message && e.message.includes("403")) {
         alert("Message blocked: " + e.message.split(": ")[1]);
+      } else if (e.message && e.message.includes("410")) {
+        alert("This room is archived and no longer accepts messages.");
       } else {
         alert("Message failed to send. Please try again.");
       }
 
       this.updateStatus(false);
+    } finally {
+      if (!this.cooldowns.isCoolingDown("message")) {
+        this.elements.sendBtn.disabled = false;
+        this.elements.sendBtn.textContent = "Send";
+      }
+      this.elements.input.focus();
+    }
+  }
+
+  async submitEdit(messageText) {
+    const { id } = this.editingMessage;
+    const room = this.elements.roomSelect.value;
+
+    this.elements.sendBtn.disabled = true;
+    this.elements.sendBtn.textContent = "...";
+
+    try {
+      const text = await this.roomEncryption.encryptText(messageText);
+      const res = await fetch(
+        `${this.baseURL}/chat/${room}?user=${encodeURIComponent(this.user)}&messageId=${encodeURIComponent(id)}`,
+        {
+          method: "PATCH",
+          headers: this.getAuthHeaders(true),
+          body: JSON.stringify({ text }),
+        }
+      );
+
+      if (res.status === 401) {
+        this.auth.handleUnauthorized();
+        return;
+      }
+
+      if (!res.ok) {
+        throw new Error(await res.text());
+      }
+
+      const data = await res.json();
+      this.cancelReply();
+      this.mergeMessages([data.message]);
+      this.renderChat();
+      this.cacheMessages();
+    } catch (e) {
+      console.error("Edit failed:", e);
+      alert("Failed to edit message: " + e.message);
     } finally {
       this.elements.sendBtn.disabled = false;
       this.elements.sendBtn.textContent = "Send";
@@ -816,7 +968,7 @@ class HTMLChatApp {
     }
 
     // Leave current room
-    const oldRoom = this.loadFromStorage("htmlchat_room") || "default";
+    const oldRoom = (await this.loadFromStorage("htmlchat_room")) || "default";
     if (oldRoom !== this.elements.roomSelect.value) {
       try {
         await fetch(
@@ -825,6 +977,7 @@ class HTMLChatApp {
           )}`,
           {
             method: "DELETE",
+            headers: this.getAuthHeaders(false),
           }
         );
       } catch (e) {
@@ -833,15 +986,23 @@ class HTMLChatApp {
     }
 
     this.saveToStorage("htmlchat_room", this.elements.roomSelect.value);
+    this.rooms.currentRoom = null;
     this.updateWelcome();
     this.elements.chatBox.innerHTML =
       '<div class="msg system"><span class="time">[--:--]</span><span class="user">*** System ***</span><span class="text">Loading messages...</span></div>';
 
     this.lastMessageTime = 0;
     this.lastFetchTime = 0;
+    this.messages = [];
+    this.loadedRoom = null;
+    this.cursor = null;
+    this.typing.reset();
+    this.readMarkers.reset();
 
     await this.fetchMessages(true);
+    this.readMarkers.loadUnread();
     this.scheduleNextRefresh(15000);
+    this.live.connect(this.elements.roomSelect.value);
   }
 
   // Manually trigger a refresh from UI
@@ -851,7 +1012,8 @@ class HTMLChatApp {
       if (this.refreshTimer) {
         clearTimeout(this.refreshTimer);
       }
-      // force fetch latest
+      // drop the sync cursor so we get a full page instead of a delta
+      this.cursor = null;
       await this.fetchMessages(true);
       // schedule next automatic refresh
       this.scheduleNextRefresh(15000);
@@ -863,6 +1025,12 @@ class HTMLChatApp {
   scheduleNextRefresh(delay = 20000) {
     if (this.refreshTimer) {
       clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    // The live socket pushes updates, polling only runs as a fallback
+    if (this.live && this.live.isOpen()) {
+      return;
     }
 
     if (!this.isVisible) {
@@ -871,19 +1039,146 @@ class HTMLChatApp {
 
     this.refreshTimer = setTimeout(async () => {
       await this.fetchMessages();
+      // PMs come over their own socket; poll for them too while it's down
+      if (!this.pmManager.isInboxLive()) {
+        await this.pmManager.refreshInbox();
+      }
       this.scheduleNextRefresh(this.isVisible ? 20000 : 45000);
     }, delay);
   }
 
+  onLiveConnected() {
+    // Stop polling, the socket takes over
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    this.updateStatus(true);
+
+    // Catch up on anything sent while we were polling or reconnecting
+    this.fetchMessages(true);
+  }
+
+  onLiveDisconnected(code, reason) {
+    if (code === 4003) {
+      this.showSystemNotice(`You were disconnected: ${reason || 'removed by a moderator'}`);
+    }
+    this.updateStatus(true);
+    this.scheduleNextRefresh(15000);
+  }
+
+  handleLiveEvent(event) {
+    switch (event.type) {
+      case 'message': {
+        const message = event.message;
+        if (!message || this.messages.some((m) => m.id === message.id)) return;
+        this.messages.push(message);
+        this.cursor = Math.max(this.cursor || 0, message.time);
+        this.typing.clearUser(message.user);
+        this.readMarkers.scheduleMarkRead();
+
+        if (message.user !== this.user && !message.system) {
+          if (!this.isVisible) {
+            this.roomEncryption.readText(message).then(text => this.notificationManager.showNotification(message.user, text));
+          }
+          this.soundManager.playSound("message");
+        }
+        break;
+      }
+      case 'edit':
+        if (!event.message) return;
+        this.mergeMessages([event.message]);
+        this.cursor = Math.max(this.cursor || 0, event.message.editedAt);
+        break;
+      case 'reaction':
+        this.cursor = Math.max(this.cursor || 0, event.updatedAt);
+        this.reactions.applyReactions(event.messageId, event.reactions, event.updatedAt);
+        return;
+      case 'delete':
+        this.messages = this.messages.filter((m) => m.id !== event.messageId);
+        // Replies to it no longer have anything to quote
+        this.messages.forEach((m) => {
+          if (m.replyTo === event.messageId) delete m.replyPreview;
+        });
+        if (event.systemMessage) this.messages.push(event.systemMessage);
+        break;
+      case 'kick':
+        if (event.systemMessage) this.messages.push(event.systemMessage);
+        break;
+      case 'mute':
+        if (event.systemMessage) this.messages.push(event.systemMessage);
+        this.automod.onMutesChanged();
+        break;
+      case 'roles':
+        this.modTools.updateRoles(event.roles);
+        if (event.systemMessage) this.messages.push(event.systemMessage);
+        // Our own role may have changed; refetch for the authoritative value
+        this.fetchMessages(true);
+        break;
+      case 'members':
+        if (event.systemMessage) this.messages.push(event.systemMessage);
+        this.members.onMembersChanged();
+        // Removed from a private room - the next fetch shows the not-a-member screen
+        if (event.action === 'removed' && event.username === this.user) {
+          this.fetchMessages(true);
+        }
+        break;
+      case 'joinRequest':
+        this.members.onJoinRequest(event.username);
+        return;
+      case 'held':
+        this.automod.onHeld(event.user);
+        return;
+      case 'archived':
+        if (event.systemMessage) this.messages.push(event.systemMessage);
+        this.rooms.updateRoomInfo({ ...this.rooms.currentRoom, archived: true });
+        this.rooms.loadRooms();
+        break;
+      case 'presence':
+        this.updateUserList(event.users || [], event.userCount);
+        return;
+      case 'typing':
+        this.typing.onTyping(event.username, event.expiresIn);
+        return;
+      default:
+        return;
+    }
+
+    this.renderChat();
+    this.cacheMessages();
+  }
+
+  // Local-only system line (not sent to the server)
+  showSystemNotice(text) {
+    this.messages.push({
+      id: `notice_${Date.now()}`,
+      user: '*** System ***',
+      text,
+      time: Date.now(),
+      system: true
+    });
+    this.renderChat();
+  }
+
   async sendHeartbeat() {
+    // Live clients heartbeat over the socket
+    if (this.live && this.live.isOpen()) return;
+
     try {
-      await fetch(
+      const res = await fetch(
         `${this.baseURL}/chat/${this.elements.roomSelect.value
         }?user=${encodeURIComponent(this.user)}`,
         {
           method: "PUT",
+          headers: this.getAuthHeaders(false),
         }
       );
+      if (res.status === 401) {
+        this.auth.handleUnauthorized();
+      } else if (res.ok) {
+        const data = await res.json();
+        if (data.typing) this.typing.setTypers(data.typing);
+      }
     } catch (e) {
       console.warn("Heartbeat failed:", e);
     }
@@ -900,20 +1195,24 @@ class HTMLChatApp {
   }
 
   async leaveRoom() {
+    this.live && this.live.disconnect();
     const url = `${this.baseURL}/chat/${this.elements.roomSelect.value
       }?user=${encodeURIComponent(this.user)}`;
+    const headers = this.getAuthHeaders(false);
     try {
-      await fetch(url, { method: "DELETE", keepalive: true });
+      await fetch(url, { method: "DELETE", headers, keepalive: true });
     } catch (e) {
       // Fallback: try again without awaiting in case of network issues
-      fetch(url, { method: "DELETE", keepalive: true }).catch(() => { });
+      fetch(url, { method: "DELETE", headers, keepalive: true }).catch(() => { });
     }
   }
 
   // Reply functionality
   setReplyTo(messageId, user, text) {
+    if (this.editingMessage) this.cancelReply();
     this.currentReplyTo = { id: messageId, user, text };
     this.elements.replyPreview.style.display = "flex";
+    this.elements.replyPreview.querySelector(".reply-label").textContent = "Replying to:";
     this.elements.replyPreview.querySelector(
       ".reply-text"
     ).textContent = `${user}: ${text.substring(0, 50)}${text.length > 50 ? "..." : ""
@@ -922,10 +1221,34 @@ class HTMLChatApp {
   }
 
   cancelReply() {
+    if (this.editingMessage) {
+      this.editingMessage = null;
+      this.elements.input.value = "";
+    }
     this.currentReplyTo = null;
     this.elements.replyPreview.style.display = "none";
   }
 
+  // Editing reuses the reply preview bar; the input holds the text being edited
+  startEditing(messageId) {
+    const message = this.messages.find((m) => m.id === messageId);
+    if (!message) return;
+
+    // Encrypted messages can only be edited once they've been decrypted
+    const text = this.roomEncryption.textFor(message);
+    if (text === null) return;
+
+    this.currentReplyTo = null;
+    this.editingMessage = { id: messageId };
+    this.elements.replyPreview.style.display = "flex";
+    this.elements.replyPreview.querySelector(".reply-label").textContent = "Editing message:";
+    this.elements.replyPreview.querySelector(
+      ".reply-text"
+    ).textContent = `${text.substring(0, 50)}${text.length > 50 ? "..." : ""}`;
+    this.elements.input.value = text;
+    this.elements.input.focus();
+  }
+
   toggleSounds() {
     const isEnabled = this.soundManager.toggleSounds();
     const soundToggle = this.elements.soundToggle;
@@ -963,6 +1286,12 @@ window.app = null;
 
 window.openSearchModal = () => window.app.searchManager.openModal();
 window.closeSearchModal = () => window.app.searchManager.closeModal();
+window.openCreateRoomModal = () => window.app.rooms.openModal();
+window.closeCreateRoomModal = () => window.app.rooms.closeModal();
+window.closeMembersModal = () => window.app.members.closeModal();
+window.closeAutomodModal = () => window.app.automod.closeModal();
+window.closeAuditModal = () => window.app.auditLog.closeModal();
+window.closeInboxModal = () => window.app.pmManager.closeInbox();
 window.openUploadModal = () => window.app.fileManager.openModal();
 window.closeUploadModal = () => window.app.fileManager.closeModal();
 window.openSettingsModal = () => window.app.notificationManager.showSettings();
@@ -8,6 +8,7 @@ export class MessageRenderer {
       '#cc0000', '#00cc00', '#0000cc', '#cc6600', '#cc00cc', 
       '#006666', '#990099', '#009900', '#990000', '#000099'
     ];
+    this.revisionCache = new Map(); // `${messageId}:${editedAt}` -> revisions from the server
   }
   
   // Security utility to escape HTML
@@ -43,18 +44,8 @@ export class MessageRenderer {
   }
   
   processText(text) {
-    // Handle reply references
-    let processedText = text;
-    const replyMatch = text.match(/^@reply:(\d+):([^:]+):\s*(.*)/);
-    
-    if (replyMatch) {
-      const [, messageId, replyUser, actualMessage] = replyMatch;
-      processedText = actualMessage;
-      // We'll handle the reply display in renderMessages
-    }
-    
     // 1. Convert Markdown to HTML
-    let html = marked.parse(processedText);
+    let html = marked.parse(text);
 
     // 2. Sanitize the HTML to prevent XSS
     html = DOMPurify.sanitize(html, {
@@ -86,43 +77,29 @@ export class MessageRenderer {
       return '<div class="msg system"><span class="time">[--:--]</span><span class="user">*** System ***</span><span class="text">Error loading messages.</span></div>';
     }
 
+    const encryption = this.app.roomEncryption;
     return messages.map((message, index) => {
-      const { user, text, time } = message;
+      const { user, time } = message;
+      // Null while an encrypted message hasn't been (or can't be) decrypted
+      const text = encryption.textFor(message);
       const color = this.getUserColor(user);
       const date = new Date(time).toLocaleTimeString([], { 
         hour: '2-digit', 
         minute: '2-digit' 
       });
       
-      // Check if this is a reply and extract the actual message
-      const replyMatch = text.match(/^@reply:([^:]+):([^:]+):\s*(.*)/);
+      // Replies quote the original: the loaded copy if we have it (it may have been edited since), else the server's preview
       let replyInfo = null;
-      let actualText = text;
-      
-      if (replyMatch) {
-        const [fullMatch, messageId, replyUser, messageText] = replyMatch;
-        replyInfo = { messageId, replyUser };
-        actualText = messageText.trim();
-      }
       
-      // Check for file attachments
-      let fileAttachment = null;
-      if (actualText.startsWith('FILE:')) {
-        try {
-          const fileData = JSON.parse(actualText.substring(5));
-          fileAttachment = fileData;
-          // Use appropriate icon based on file type
-          const iconName = this.getFileIconName(fileData.type);
-          const iconHtml = this.createIcon(iconName, { 
-            style: { width: '16px', height: '16px', display: 'inline' }
-          });
-          actualText = `${iconHtml} ${fileData.name}`;
-        } catch(e) {
-          // Not a valid file attachment
-        }
+      if (message.replyTo) {
+        const original = this.app.messages.find(m => m.id === message.replyTo);
+        replyInfo = {
+          messageId: message.replyTo,
+          quote: original ? { user: original.user, text: original.text, encrypted: original.encrypted } : message.replyPreview || null
+        };
       }
       
-      const processedText = this.processText(actualText);
+      const processedText = text === null ? this.renderLocked(message) : this.processText(text);
       const messageId = message.id || `msg-${time}-${index}`;
       const isModerator = this.app.modTools.isModerator(user);
       
@@ -131,7 +108,12 @@ export class MessageRenderer {
       if (message.system) messageClass += ' system';
       if (message.system) messageClass += ' system';
       
-      let messageHtml = `
+      // Where we'd read up to when we opened the room
+      let messageHtml = messageId === this.app.readMarkers.dividerId
+        ? '<div class="new-messages-divider"><span>New messages</span></div>'
+        : '';
+
+      messageHtml += `
         <div class="${messageClass}" id="${this.escapeAttr(messageId)}"
              data-user="${this.escapeAttr(user)}"
              data-time="${this.escapeAttr(String(time))}"
@@ -140,10 +122,13 @@ export class MessageRenderer {
       
       // Add reply reference if this is a reply (before timestamp and user)
       if (replyInfo) {
-        messageHtml += `
+        messageHtml += replyInfo.quote ? `
           <div class="reply-reference" data-message-id="${this.escapeAttr(replyInfo.messageId)}">
-            ↳ Replying to ${this.escapeHtml(replyInfo.replyUser)}
+            ↳ Replying to <span class="reply-author">${this.escapeHtml(replyInfo.quote.user)}</span>:
+            <span class="reply-snippet">${this.escapeHtml(this.getReplySnippet(encryption.textFor(replyInfo.quote) ?? 'Encrypted message'))}</span>
           </div>
+        ` : `
+          <div class="reply-reference deleted">↳ Replying to a deleted message</div>
         `;
       }
       
@@ -151,54 +136,31 @@ export class MessageRenderer {
           <span class="time">[${this.escapeHtml(date)}]</span>
           <span class="user${isModerator ? ' moderator' : ''}"
                 style="color:${this.escapeAttr(color)}"
-                data-user="${this.escapeAttr(user)}">&lt;${this.escapeHtml(user)}&gt;</span>
+                data-user="${this.escapeAttr(user)}">&lt;${this.escapeHtml(user)}&gt;</span>${message.guest ? '<span class="guest-tag" title="Not a registered account">(guest)</span>' : ''}
       `;
       
-      // Add the message content
-      if (fileAttachment) {
-        if (fileAttachment.type.startsWith('image/')) {
-          const imageUrl = this.escapeAttr(fileAttachment.url || fileAttachment.data);
-          const imageName = this.escapeAttr(fileAttachment.name);
-          const uploadedBy = this.escapeHtml(fileAttachment.uploadedBy || 'Unknown');
-          const uploadedAt = fileAttachment.uploadedAt ? this.escapeHtml(new Date(fileAttachment.uploadedAt).toLocaleString()) : '';
-          const titleText = `Uploaded by ${uploadedBy}${uploadedAt ? ' on ' + uploadedAt : ''}`;
-          
-          messageHtml += `
-            <span class="text">
-              <img src="${imageUrl}"
-                   alt="${imageName}"
-                   class="image-attachment clickable-image"
-                   data-url="${imageUrl}"
-                   title="${this.escapeAttr(titleText)}">
-            </span>
-          `;
-        } else {
-          const iconName = this.getFileIconName(fileAttachment.type);
-          const iconHtml = this.createIcon(iconName, { 
-            style: { width: '16px', height: '16px', marginRight: '4px' }
-          });
-          const fileUrl = this.escapeAttr(fileAttachment.url || fileAttachment.data);
-          const fileName = this.escapeHtml(fileAttachment.name);
-          const uploadedBy = this.escapeHtml(fileAttachment.uploadedBy || 'Unknown');
-          const uploadedAt = fileAttachment.uploadedAt ? this.escapeHtml(new Date(fileAttachment.uploadedAt).toLocaleString()) : '';
-          const titleText = `Uploaded by ${uploadedBy}${uploadedAt ? ' on ' + uploadedAt : ''}`;
-          const fileSize = this.formatFileSize(fileAttachment.size);
-          
-          messageHtml += `
-            <span class="text">
-              <a href="${fileUrl}"
-                 ${fileAttachment.filename ? `download="${this.escapeAttr(fileName)}"` : 'target="_blank" rel="noopener noreferrer"'}
-                 class="file-attachment"
-                 title="${this.escapeAttr(titleText)}">
-                ${iconHtml}
-                ${this.escapeHtml(fileName)} (${this.escapeHtml(fileSize)})
-              </a>
-            </span>
-          `;
-        }
+      // Add the message content: the text (a caption when files are attached), then the files
+      const attachments = message.attachments || [];
+      if (attachments.length > 0) {
+        messageHtml += `
+          <span class="text">
+            ${text !== '' ? processedText : ''}
+            <div class="attachments">${attachments.map(attachment => {
+              const file = encryption.fileFor(message, attachment);
+              return file ? this.renderAttachment(file, user) : this.renderLockedAttachment(attachment);
+            }).join('')}</div>
+          </span>
+        `;
       } else {
         messageHtml += `<span class="text">${processedText}</span>`;
       }
+
+      if (message.editedAt) {
+        const editedTime = new Date(message.editedAt).toLocaleString();
+        messageHtml += `<span class="edited-tag" data-message-id="${this.escapeAttr(messageId)}" data-edited-at="${this.escapeAttr(String(message.editedAt))}">(edited)<span class="edit-history">Edited ${this.escapeHtml(editedTime)}</span></span>`;
+      }
+
+      messageHtml += this.renderReactions(message, messageId);
       
       messageHtml += '</div>';
       
@@ -206,6 +168,126 @@ export class MessageRenderer {
     }).join('');
   }
   
+  // An uploaded file - only ever built from the server's attachment records, never from message text
+  renderAttachment(attachment, user) {
+    // Files stored by the worker are served relative to it
+    const url = attachment.url.startsWith('/') ? this.app.baseURL + attachment.url : attachment.url;
+    const uploadedAt = attachment.uploadedAt ? new Date(attachment.uploadedAt).toLocaleString() : '';
+    const titleText = `Uploaded by ${user}${uploadedAt ? ' on ' + uploadedAt : ''}`;
+
+    if (attachment.type.startsWith('image/')) {
+      return `
+        <img src="${this.escapeAttr(url)}"
+             alt="${this.escapeAttr(attachment.name)}"
+             class="image-attachment clickable-image"
+             data-url="${this.escapeAttr(url)}"
+             title="${this.escapeAttr(titleText)}">
+      `;
+    }
+
+    const iconHtml = this.createIcon(this.getFileIconName(attachment.type), {
+      style: { width: '16px', height: '16px', marginRight: '4px' }
+    });
+    return `
+      <a href="${this.escapeAttr(url)}"
+         target="_blank" rel="noopener noreferrer"
+         class="file-attachment"
+         title="${this.escapeAttr(titleText)}">
+        ${iconHtml}
+        ${this.escapeHtml(attachment.name)} (${this.escapeHtml(this.formatFileSize(attachment.size))})
+      </a>
+    `;
+  }
+
+  // In place of an encrypted message's text until it's decrypted
+  renderLocked(message) {
+    const lock = this.createIcon('lock', { style: { width: '14px', height: '14px', marginRight: '4px' } });
+    const state = this.app.roomEncryption.lockedState(message);
+    if (state === 'locked') {
+      return `<em class="locked-message">${lock}Encrypted message - <button type="button" class="unlock-room">enter the room passphrase</button> to read it</em>`;
+    }
+    return state === 'failed'
+      ? `<em class="locked-message">${lock}This message can't be decrypted with the room passphrase</em>`
+      : `<em class="locked-message">${lock}Decrypting...</em>`;
+  }
+
+  renderLockedAttachment(attachment) {
+    const lock = this.createIcon('lock', { style: { width: '16px', height: '16px', marginRight: '4px' } });
+    const failed = this.app.roomEncryption.isFailed(attachment.id);
+    return `<span class="encrypted-attachment">${lock}${failed ? 'Encrypted file (could not be decrypted)' : 'Encrypted file'}</span>`;
+  }
+
+  // One line of the replied-to message for the quote above a reply
+  getReplySnippet(text) {
+    if (!text) return '(attachment)';
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > 80 ? line.substring(0, 80) + '...' : line;
+  }
+
+  // Reaction chips under a message; hovering one lists who reacted
+  renderReactions(message, messageId) {
+    const reactions = message.reactions || {};
+    const emojis = Object.keys(reactions).filter(emoji => reactions[emoji].length > 0);
+    if (emojis.length === 0) return '';
+
+    const me = (this.app.user || '').toLowerCase();
+    const chips = emojis.map(emoji => {
+      const users = reactions[emoji];
+      const mine = users.some(user => user.toLowerCase() === me);
+      return `<button type="button" class="reaction-chip${mine ? ' mine' : ''}"
+                      data-message-id="${this.escapeAttr(messageId)}"
+                      data-emoji="${this.escapeAttr(emoji)}"
+                      title="${this.escapeAttr(users.join(', '))}">${this.escapeHtml(emoji)} <span class="reaction-count">${users.length}</span></button>`;
+    }).join('');
+
+    return `<div class="reactions">${chips}</div>`;
+  }
+
+  // Fill the "(edited)" hover with every earlier version (moderators only - the server checks too)
+  async loadEditHistory(tag) {
+    if (tag.dataset.loaded || !this.app.modTools.isModerator(this.app.user)) return;
+    tag.dataset.loaded = 'true';
+
+    const messageId = tag.dataset.messageId;
+    const cacheKey = `${messageId}:${tag.dataset.editedAt}`;
+
+    try {
+      let data = this.revisionCache.get(cacheKey);
+      if (!data) {
+        const room = this.app.elements.roomSelect.value;
+        const res = await fetch(
+          `${this.app.baseURL}/mod/${room}?user=${encodeURIComponent(this.app.user)}&messageId=${encodeURIComponent(messageId)}`,
+          { headers: this.app.getAuthHeaders(false) }
+        );
+        if (!res.ok) throw new Error(await res.text());
+        data = await res.json();
+        this.revisionCache.set(cacheKey, data);
+      }
+
+      // Revisions saved before replies got their own field may still carry the old "@reply:" prefix
+      const withoutReply = (text) => text.replace(/^@reply:[^:]+:[^:]+:\s*/, '');
+      const popup = tag.querySelector('.edit-history');
+      popup.innerHTML = '';
+
+      // Revisions in encrypted rooms are encrypted too
+      const read = (text) => this.app.roomEncryption.readText({ text, encrypted: data.message.encrypted });
+      const texts = await Promise.all([...data.revisions.map(revision => read(revision.text)), read(data.message.text)]);
+
+      data.revisions.forEach((revision, index) => {
+        const line = document.createElement('div');
+        line.textContent = `${index === 0 ? 'Original' : `Edit ${index}`} (${new Date(revision.writtenAt).toLocaleString()}): ${withoutReply(texts[index])}`;
+        popup.appendChild(line);
+      });
+
+      const current = document.createElement('div');
+      current.textContent = `Current (${new Date(data.message.editedAt).toLocaleString()}): ${withoutReply(texts[texts.length - 1])}`;
+      popup.appendChild(current);
+    } catch (e) {
+      console.warn('Loading edit history failed:', e);
+      delete tag.dataset.loaded;
+    }
+  }
+
   getFileIconName(mimeType) {
     if (mimeType.startsWith('image/')) return 'image';
     if (mimeType.startsWith('audio/')) return 'music';
@@ -1,26 +1,26 @@
 export class ModeratorTools {
   constructor(app) {
     this.app = app;
-    this.moderators = this.loadModerators();
+    this.roles = {}; // lower-cased username -> 'owner' | 'moderator', from the server
+    this.moderators = [];
     this.bannedUsers = this.loadBannedUsers();
   }
   
-  loadModerators() {
-    try {
-      const saved = localStorage.getItem('htmlchat_moderators');
-      return saved ? JSON.parse(saved) : ['nellowtcs']; // Default moderators
-    } catch (e) {
-      console.warn('Failed to load moderators:', e);
-      return ['nellowtcs'];
+  // Roles come from the room's GET response and live 'roles' events
+  updateRoles(roles = {}) {
+    this.roles = {};
+    this.moderators = Object.keys(roles);
+    for (const [username, role] of Object.entries(roles)) {
+      this.roles[username.toLowerCase()] = role;
     }
   }
   
-  saveModerators() {
-    try {
-      localStorage.setItem('htmlchat_moderators', JSON.stringify(this.moderators));
-    } catch(e) {
-      console.warn('Failed to save moderators:', e);
+  getRole(username) {
+    // For the current user, use server's authoritative response
+    if (username === this.app.user && this.app.serverRole) {
+      return this.app.serverRole;
     }
+    return this.roles[username.toLowerCase()] || 'member';
   }
   
   loadBannedUsers() {
@@ -46,33 +46,44 @@ export class ModeratorTools {
       return this.app.serverIsModerator;
     }
     
-    // For other users, fall back to local moderator list
-    return this.moderators.includes(username.toLowerCase());
+    const role = this.getRole(username);
+    return role === 'moderator' || role === 'owner';
   }
   
-  addModerator(username) {
-    if (!this.isModerator(this.app.user)) return false;
-    
-    const normalizedName = username.toLowerCase();
-    if (!this.moderators.includes(normalizedName)) {
-      this.moderators.push(normalizedName);
-      this.saveModerators();
-      return true;
-    }
-    return false;
+  isOwner(username) {
+    return this.getRole(username) === 'owner';
   }
   
-  removeModerator(username) {
-    if (!this.isModerator(this.app.user)) return false;
+  // Owners promote/demote through the room's /mod endpoint
+  async setRole(username, role) {
+    if (!this.isOwner(this.app.user)) return false;
     
-    const normalizedName = username.toLowerCase();
-    const index = this.moderators.indexOf(normalizedName);
-    if (index > -1) {
-      this.moderators.splice(index, 1);
-      this.saveModerators();
-      return true;
+    const room = this.app.elements.roomSelect.value;
+    const res = await fetch(`${this.app.baseURL}/mod/${room}?user=${encodeURIComponent(this.app.user)}`, {
+      method: 'POST',
+      headers: this.app.getAuthHeaders(true),
+      body: JSON.stringify({ action: 'setRole', targetUser: username, role })
+    });
+    
+    if (res.status === 401) {
+      this.app.auth.handleUnauthorized();
+      return false;
     }
-    return false;
+    if (!res.ok) {
+      throw new Error(await res.text());
+    }
+    
+    const data = await res.json();
+    this.updateRoles(data.roles);
+    return true;
+  }
+  
+  async addModerator(username) {
+    return this.setRole(username, 'moderator');
+  }
+  
+  async removeModerator(username) {
+    return this.setRole(username, 'member');
   }
   
   isBanned(username) {
@@ -168,18 +179,7 @@ export class ModeratorTools {
       };
     }
     
-    // Check for banned words (simple implementation)
-    const bannedWords = ['spam', 'badword']; // In real app, this would be more comprehensive
-    const lowercaseMessage = message.toLowerCase();
-    
-    for (const word of bannedWords) {
-      if (lowercaseMessage.includes(word)) {
-        return {
-          allowed: false,
-          reason: 'Message contains inappropriate content'
-        };
-      }
-    }
+    // Content rules (banned words and the like) are the room's automod rules, enforced by the server
     
     // Check for spam (repeated messages)
     if (this.isSpam(message, username)) {
@@ -235,7 +235,7 @@ export class ModeratorTools {
     const panel = `
 MODERATION PANEL
 
-Moderators: ${this.moderators.join(', ')}
+Moderators: ${this.moderators.map(name => `${name} (${this.roles[name.toLowerCase()]})`).join(', ')}
 
 Active Bans:
 ${banList}
@@ -249,7 +249,7 @@ Available Commands:
   }
   
   // Process moderator commands
-  processModCommand(command, args) {
+  async processModCommand(command, args) {
     if (!this.isModerator(this.app.user)) return false;
     
     switch (command.toLowerCase()) {
@@ -277,7 +277,7 @@ Available Commands:
       case 'mod':
         if (args.length > 0) {
           const username = args[0];
-          if (this.addModerator(username)) {
+          if (await this.addModerator(username)) {
             return `Added ${username} as moderator`;
           }
         }
@@ -286,7 +286,7 @@ Available Commands:
       case 'demod':
         if (args.length > 0) {
           const username = args[0];
-          if (this.removeModerator(username)) {
+          if (await this.removeModerator(username)) {
             return `Removed ${username} as moderator`;
           }
         }
@@ -0,0 +1,210 @@
+// End-to-end encrypted private messages. Everyone who opts in publishes an ECDH public key;
+// two such users derive the same AES-GCM key from their own private key and the other's
+// public one, so the server only ever stores ciphertext.
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const FINGERPRINT_BYTES = 16;
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(data) {
+  return Uint8Array.from(atob(data), c => c.charCodeAt(0));
+}
+
+export class PMEncryptionManager {
+  constructor(app) {
+    this.app = app;
+    this.enabled = false;
+    this.keyPair = null; // { privateKey, publicKey (JWK) }
+    this.peers = new Map(); // lowercased username -> { publicKey, sharedKey, fingerprint }, or null without a key
+    this.plaintexts = new Map(); // iv and ciphertext -> decrypted text
+    this.ready = null;
+
+    this.toggle = document.getElementById('pm-encryption-toggle');
+    if (this.toggle) {
+      this.toggle.addEventListener('change', () => this.setEnabled(this.toggle.checked));
+    }
+  }
+
+  get storageKey() {
+    return `htmlchat_pm_keys_${this.app.user.toLowerCase()}`;
+  }
+
+  isSupported() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  // Keys are loaded even while encryption is off, so older encrypted messages stay readable
+  init() {
+    this.ready = (async () => {
+      if (!this.isSupported()) return;
+      const stored = await this.app.loadFromStorage(this.storageKey);
+      if (stored) {
+        this.keyPair = {
+          privateKey: await crypto.subtle.importKey('jwk', stored.privateKey, ECDH_PARAMS, false, ['deriveKey']),
+          publicKey: stored.publicKey
+        };
+        this.enabled = !!stored.enabled;
+      }
+      // Republish in case it was taken down from another tab
+      if (this.enabled) await this.publishKey();
+    })().catch(e => console.warn('Loading PM keys failed:', e));
+
+    this.ready.then(() => {
+      if (this.toggle) this.toggle.checked = this.enabled;
+    });
+    return this.ready;
+  }
+
+  // One key pair per user in this browser, made the first time encryption is turned on
+  async createKeyPair() {
+    const pair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+    const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    this.keyPair = { privateKey: pair.privateKey, publicKey: { kty, crv, x, y } };
+    await this.saveKeys(privateJwk);
+  }
+
+  async saveKeys(privateJwk) {
+    const stored = (await this.app.loadFromStorage(this.storageKey)) || {};
+    await this.app.saveToStorage(this.storageKey, {
+      privateKey: privateJwk || stored.privateKey,
+      publicKey: this.keyPair.publicKey,
+      enabled: this.enabled
+    });
+  }
+
+  async setEnabled(enabled) {
+    await this.ready;
+    try {
+      if (enabled) {
+        if (!this.isSupported()) {
+          throw new Error('This browser cannot encrypt messages (a secure https page is needed)');
+        }
+        if (!this.keyPair) await this.createKeyPair();
+        this.enabled = true;
+        await this.publishKey();
+      } else {
+        // The private key stays so messages already encrypted can still be read
+        this.enabled = false;
+        await this.keyRequest('DELETE');
+      }
+      if (this.keyPair) await this.saveKeys();
+    } catch (e) {
+      console.error('Changing PM encryption failed:', e);
+      alert('Could not change encryption: ' + e.message);
+      this.enabled = !enabled;
+    }
+    if (this.toggle) this.toggle.checked = this.enabled;
+    this.app.pmManager.refreshSecurity();
+  }
+
+  publishKey() {
+    return this.keyRequest('PUT', { publicKey: this.keyPair.publicKey });
+  }
+
+  async keyRequest(method, body) {
+    const res = await fetch(`${this.app.baseURL}/keys/${encodeURIComponent(this.app.user)}?user=${encodeURIComponent(this.app.user)}`, {
+      method,
+      headers: this.app.getAuthHeaders(!!body),
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (res.status === 401) {
+      this.app.auth.handleUnauthorized();
+      throw new Error('Not signed in');
+    }
+    if (!res.ok) {
+      throw new Error(await res.text());
+    }
+  }
+
+  // The other user's published key and what we share with it; null if they haven't opted in
+  async getPeer(username, refresh = false) {
+    await this.ready;
+    const name = username.toLowerCase();
+    if (!refresh && this.peers.has(name)) return this.peers.get(name);
+    if (!this.keyPair) return null;
+
+    let peer = null;
+    try {
+      const res = await fetch(`${this.app.baseURL}/keys/${encodeURIComponent(username)}`);
+      if (!res.ok) throw new Error(await res.text());
+      const { publicKey } = await res.json();
+      if (publicKey) {
+        const key = await crypto.subtle.importKey('jwk', publicKey, ECDH_PARAMS, false, []);
+        peer = {
+          publicKey,
+          sharedKey: await crypto.subtle.deriveKey(
+            { name: 'ECDH', public: key },
+            this.keyPair.privateKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+          ),
+          fingerprint: await this.getFingerprint(publicKey)
+        };
+      }
+    } catch (e) {
+      console.warn(`Loading ${username}'s key failed:`, e);
+      return this.peers.get(name) || null;
+    }
+    this.peers.set(name, peer);
+    return peer;
+  }
+
+  // Both public keys hashed in a fixed order, so the two people in a conversation see the same
+  // value and can compare it elsewhere; it changes if either key does
+  async getFingerprint(peerKey) {
+    const keys = [this.keyPair.publicKey, peerKey].map(key => `${key.x}.${key.y}`).sort();
+    const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(keys.join(':')));
+    const hex = Array.from(new Uint8Array(hash).slice(0, FINGERPRINT_BYTES), b => b.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+  }
+
+  // Whether messages to this user go out encrypted: both of us have to have opted in.
+  // Someone without a key is checked again, in case they've turned it on since.
+  async canEncryptFor(username) {
+    await this.ready;
+    if (!this.enabled) return false;
+    const peer = await this.getPeer(username);
+    return !!(peer || await this.getPeer(username, true));
+  }
+
+  // The request body fields for an encrypted message, or null to send it as it is
+  async encrypt(username, text) {
+    if (!(await this.canEncryptFor(username))) return null;
+
+    const { sharedKey } = await this.getPeer(username);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sharedKey, new TextEncoder().encode(text));
+    const encrypted = { text: toBase64(new Uint8Array(ciphertext)), iv: toBase64(iv) };
+    this.plaintexts.set(`${encrypted.iv}:${encrypted.text}`, text);
+    return encrypted;
+  }
+
+  // A message's text in the clear, or null if it's encrypted with a key this browser doesn't have
+  async decryptText(message, username) {
+    if (!message.iv) return message.text;
+    const cacheKey = `${message.iv}:${message.text}`;
+    if (this.plaintexts.has(cacheKey)) return this.plaintexts.get(cacheKey);
+
+    const peer = await this.getPeer(username);
+    if (!peer) return null;
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(message.iv) }, peer.sharedKey, fromBase64(message.text)
+      );
+      const text = new TextDecoder().decode(plain);
+      this.plaintexts.set(cacheKey, text);
+      return text;
+    } catch (e) {
+      // Either of us may have made a new key since
+      return null;
+    }
+  }
+}
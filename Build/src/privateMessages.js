@@ -1,9 +1,42 @@
+const INBOX_HEARTBEAT_INTERVAL = 30000;
+const MAX_RECONNECT_DELAY = 60000;
+
 export class PrivateMessageManager {
   constructor(app) {
     this.app = app;
-    this.windows = new Map();
+    this.windows = new Map(); // lowercased username -> open window, so any casing finds it
     this.windowContainer = document.getElementById('pm-windows');
     this.windowZIndex = 1600;
+    this.inbox = { conversations: [], unread: 0 };
+    this.inboxLoaded = false;
+
+    // Live connection to our inbox
+    this.socket = null;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = 1000;
+
+    this.inboxModal = document.getElementById('inbox-modal');
+    this.inboxList = document.getElementById('inbox-list');
+    this.inboxBadge = document.getElementById('inbox-badge');
+
+    const inboxBtn = document.getElementById('inbox-btn');
+    if (inboxBtn) {
+      inboxBtn.addEventListener('click', () => this.openInbox());
+    }
+  }
+
+  // Sorted lowercased usernames, the same id the server checks the other participant against
+  getConversationId(username) {
+    return [this.app.user.toLowerCase(), username.toLowerCase()].sort().join('_');
+  }
+
+  getWindow(username) {
+    return this.windows.get(username.toLowerCase());
+  }
+
+  hasWindow(username) {
+    return this.windows.has(username.toLowerCase());
   }
 
   escapeHTML(s) {
@@ -20,20 +53,24 @@ export class PrivateMessageManager {
   
   openPrivateMessage(username) {
     if (username === this.app.user) return; // Can't PM yourself
+    if (this.app.auth.isGuest()) {
+      alert('Register an account to send private messages.');
+      return;
+    }
     
     // Check if window already exists
-    if (this.windows.has(username)) {
+    if (this.hasWindow(username)) {
       this.bringToFront(username);
       return;
     }
     
     // Create new PM window
     const window = this.createPMWindow(username);
-    this.windows.set(username, window);
+    this.windows.set(username.toLowerCase(), window);
     this.windowContainer.appendChild(window.element);
     
-    // Load PM history
-    this.loadPMHistory(username);
+    // Load PM history, with their current key in case it changed
+    this.updateSecurity(username, true).then(() => this.loadPMHistory(username));
     
     // Focus input
     window.input.focus();
@@ -53,9 +90,6 @@ export class PrivateMessageManager {
     windowElement.style.left = `${100 + offset}px`;
     windowElement.style.top = `${100 + offset}px`;
     
-    // Create close icon via app helper
-    const closeIconHtml = this.app.createIconHTML('x', { size: 12 });
-
     // Create header
     const header = document.createElement('div');
     header.className = 'pm-header';
@@ -65,12 +99,17 @@ export class PrivateMessageManager {
     
     const closeBtn = document.createElement('button');
     closeBtn.className = 'pm-close-btn';
-    closeBtn.innerHTML = closeIconHtml;
+    const closeIcon = this.app.createIcon('x', { size: 12 });
+    if (closeIcon) closeBtn.appendChild(closeIcon);
     closeBtn.addEventListener('click', () => this.closePMWindow(username));
     
     header.appendChild(headerSpan);
     header.appendChild(closeBtn);
     
+    // Whether messages are end-to-end encrypted, and the key fingerprint to check if they are
+    const security = document.createElement('div');
+    security.className = 'pm-security';
+    
     // Create chat area
     const chatArea = document.createElement('div');
     chatArea.className = 'pm-chat';
@@ -101,6 +140,7 @@ export class PrivateMessageManager {
     // Clear and assemble window
     windowElement.innerHTML = '';
     windowElement.appendChild(header);
+    windowElement.appendChild(security);
     windowElement.appendChild(chatArea);
     windowElement.appendChild(inputArea);
     
@@ -121,8 +161,10 @@ export class PrivateMessageManager {
     });
     
     return {
+      username,
       element: windowElement,
       chat: chatArea,
+      security: security,
       input: input,
       sendBtn: sendBtn,
       messages: []
@@ -165,42 +207,88 @@ export class PrivateMessageManager {
     }
   }
   
+  async updateSecurity(username, refresh = false) {
+    const window = this.getWindow(username);
+    if (!window) return;
+    
+    const encryption = this.app.pmEncryption;
+    const peer = encryption.enabled ? await encryption.getPeer(username, refresh) : null;
+    
+    window.security.classList.toggle('encrypted', !!peer);
+    window.security.textContent = '';
+    if (peer) {
+      const lock = this.app.createIcon('lock', { size: 12 });
+      if (lock) window.security.prepend(lock);
+      const label = document.createElement('span');
+      label.textContent = 'End-to-end encrypted';
+      const fingerprint = document.createElement('span');
+      fingerprint.className = 'pm-fingerprint';
+      fingerprint.textContent = peer.fingerprint;
+      fingerprint.title = `Key fingerprint - check ${username} sees the same one. It changes if either of you gets a new key.`;
+      window.security.append(label, fingerprint);
+    } else if (encryption.enabled) {
+      window.security.textContent = `Not encrypted - ${username} hasn't turned on encrypted messages`;
+    } else {
+      window.security.textContent = 'Not encrypted - turn on encrypted messages in Settings';
+    }
+  }
+  
+  // Encryption was switched on or off
+  refreshSecurity() {
+    this.windows.forEach(({ username }) => {
+      this.updateSecurity(username).then(() => this.renderPMMessages(username));
+    });
+  }
+  
   bringToFront(username) {
-    const window = this.windows.get(username);
+    const window = this.getWindow(username);
     if (window) {
       window.element.style.zIndex = this.windowZIndex++;
     }
   }
   
   closePMWindow(username) {
-    const window = this.windows.get(username);
+    const window = this.getWindow(username);
     if (window) {
       window.element.remove();
-      this.windows.delete(username);
+      this.windows.delete(username.toLowerCase());
     }
   }
   
   async sendPM(username) {
-    const window = this.windows.get(username);
+    const window = this.getWindow(username);
     if (!window) return;
     
     const message = window.input.value.trim();
-    if (!message) return;
+    if (!message || this.app.cooldowns.isCoolingDown(`pm:${username}`)) return;
     
     window.sendBtn.disabled = true;
     window.sendBtn.textContent = '...';
     
     try {
-      // Generate conversation ID (sorted usernames for consistency)
-      const conversationId = [this.app.user, username].sort().join('_');
+      const conversationId = this.getConversationId(username);
+      
+      // Encrypted when both of us have opted in; the server only gets the ciphertext and iv
+      const encrypted = await this.app.pmEncryption.encrypt(username, message);
       
       // Send PM to server - encode conversationId to handle special characters
       const res = await fetch(`${this.app.baseURL}/pm/${encodeURIComponent(conversationId)}?user=${encodeURIComponent(this.app.user)}`, {
         method: 'POST',
         headers: this.app.getAuthHeaders(true), // Include Content-Type and auth headers
-        body: JSON.stringify({ text: message, to: username })
+        body: JSON.stringify({ text: message, ...encrypted, to: username })
       });
       
+      if (res.status === 401) {
+        this.app.auth.handleUnauthorized();
+        return;
+      }
+      
+      // Too many PMs - the message stays in the box until the countdown on Send runs out
+      if (res.status === 429) {
+        this.app.cooldowns.start(`pm:${username}`, this.app.cooldowns.getRetryAfter(res), window.sendBtn, 'Send');
+        return;
+      }
+      
       if (!res.ok) {
         const errorText = await res.text();
         throw new Error(errorText);
@@ -212,37 +300,47 @@ export class PrivateMessageManager {
       // Play PM sound
       this.app.soundManager.playSound('pm');
       
-      // Refresh PM messages
+      // Refresh PM messages (and whether they're encrypted, which the send may have found changed)
+      await this.updateSecurity(username);
       await this.loadPMHistory(username);
       
     } catch(e) {
       console.error('PM send failed:', e);
       alert('Failed to send private message: ' + e.message);
     } finally {
-      window.sendBtn.disabled = false;
-      window.sendBtn.textContent = 'Send';
+      if (!this.app.cooldowns.isCoolingDown(`pm:${username}`)) {
+        window.sendBtn.disabled = false;
+        window.sendBtn.textContent = 'Send';
+      }
       window.input.focus();
     }
   }
   
-  renderPMMessages(username) {
-    const window = this.windows.get(username);
+  async renderPMMessages(username) {
+    const window = this.getWindow(username);
     if (!window) return;
     
-    const html = window.messages.map(msg => {
+    const messages = window.messages;
+    const texts = await Promise.all(messages.map(msg => this.app.pmEncryption.decryptText(msg, username)));
+    // A newer render got there first
+    if (window.messages !== messages) return;
+    
+    const html = messages.map((msg, i) => {
       const date = new Date(msg.time).toLocaleTimeString([], { 
         hour: '2-digit', 
         minute: '2-digit' 
       });
       const isFromMe = msg.from === this.app.user;
       const color = this.app.messageRenderer.getUserColor(msg.from);
-      const processedText = this.app.messageRenderer.processText(msg.text);
+      const text = texts[i] === null
+        ? '<em class="pm-unreadable">Encrypted with a key this browser doesn\'t have</em>'
+        : this.app.messageRenderer.processText(texts[i]);
       
       return `
-        <div class="msg">
+        <div class="msg${msg.iv ? ' encrypted' : ''}">
           <span class="time">[${this.escapeHTML(date)}]</span>
           <span class="user" style="color:${this.escapeAttr(color)}">&lt;${this.escapeHTML(msg.from)}&gt;</span>
-          <span class="text">${processedText}</span>
+          <span class="text">${text}</span>
         </div>
       `;
     }).join('');
@@ -253,26 +351,28 @@ export class PrivateMessageManager {
   
   async loadPMHistory(username) {
     try {
-      // Generate conversation ID (sorted usernames for consistency)
-      const conversationId = [this.app.user, username].sort().join('_');
+      const conversationId = this.getConversationId(username);
       
       // Fetch from server - encode conversationId to handle special characters
-      const res = await fetch(`${this.app.baseURL}/pm/${encodeURIComponent(conversationId)}?user=${encodeURIComponent(this.app.user)}`, {
-        headers: this.app.getAuthHeaders(false) // No Content-Type for GET requests
-      });
+      const res = await fetch(
+        `${this.app.baseURL}/pm/${encodeURIComponent(conversationId)}?user=${encodeURIComponent(this.app.user)}&with=${encodeURIComponent(username)}`,
+        { headers: this.app.getAuthHeaders(false) } // No Content-Type for GET requests
+      );
       
       if (res.ok) {
         const data = await res.json();
-        const window = this.windows.get(username);
+        const window = this.getWindow(username);
         if (window) {
           window.messages = data.messages || [];
           this.renderPMMessages(username);
         }
+        // The server marked it read
+        this.markInboxRead(username);
       } else {
         console.warn('Failed to load PM history:', res.status);
         // Fallback to local storage
-        const history = this.app.loadFromStorage(`pm_history_${username}`) || [];
-        const window = this.windows.get(username);
+        const history = (await this.app.loadFromStorage(`pm_history_${username}`)) || [];
+        const window = this.getWindow(username);
         if (window) {
           window.messages = history;
           this.renderPMMessages(username);
@@ -281,8 +381,8 @@ export class PrivateMessageManager {
     } catch(e) {
       console.warn('Failed to load PM history:', e);
       // Fallback to local storage
-      const history = this.app.loadFromStorage(`pm_history_${username}`) || [];
-      const window = this.windows.get(username);
+      const history = (await this.app.loadFromStorage(`pm_history_${username}`)) || [];
+      const window = this.getWindow(username);
       if (window) {
         window.messages = history;
         this.renderPMMessages(username);
@@ -300,22 +400,246 @@ export class PrivateMessageManager {
     }
   }
   
-  // Check if user has unread PMs (for future notification features)
+  // Unread PMs from one user, or from anyone
   hasUnreadPMs(username) {
-    // This would be implemented with proper backend support
-    return false;
+    if (!username) return this.inbox.unread > 0;
+    const conversation = this.findConversation(username);
+    return !!conversation && conversation.unread > 0;
+  }
+  
+  findConversation(username) {
+    const name = username.toLowerCase();
+    return this.inbox.conversations.find(c => c.with.toLowerCase() === name);
+  }
+  
+  // Get all PM conversations, latest first, from the server's inbox
+  async getPMConversations() {
+    await this.refreshInbox();
+    return this.inbox.conversations;
+  }
+  
+  // Also how PMs arrive without the inbox socket: anything newer than last time gets announced
+  async refreshInbox() {
+    if (this.app.auth.isGuest()) return; // guests have no inbox
+    try {
+      const res = await fetch(`${this.app.baseURL}/pm?user=${encodeURIComponent(this.app.user)}`, {
+        headers: this.app.getAuthHeaders(false)
+      });
+      if (res.status === 401) {
+        this.app.auth.handleUnauthorized();
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(await res.text());
+      }
+
+      const previous = this.inboxLoaded ? this.inbox : null;
+      this.inbox = await res.json();
+      this.inboxLoaded = true;
+
+      if (previous) {
+        this.inbox.conversations.forEach(conversation => {
+          const { lastMessage } = conversation;
+          const before = previous.conversations.find(c => c.with.toLowerCase() === conversation.with.toLowerCase());
+          if (lastMessage.from !== this.app.user && conversation.unread > 0 &&
+              (!before || lastMessage.time > before.lastMessage.time)) {
+            if (this.hasWindow(conversation.with)) this.loadPMHistory(conversation.with);
+            this.announce(lastMessage);
+          }
+        });
+      }
+      this.renderInbox();
+    } catch (e) {
+      console.warn('Loading PM inbox failed:', e);
+    }
+  }
+  
+  // The server pushes every PM we send or receive over a socket to our inbox
+  connectInbox() {
+    if (typeof WebSocket === 'undefined' || this.socket || this.app.auth.isGuest()) return;
+    
+    const base = this.app.baseURL.replace(/^http/, 'ws');
+    let url = `${base}/pm?user=${encodeURIComponent(this.app.user)}`;
+    const token = this.app.auth && this.app.auth.getToken();
+    if (token) {
+      url += `&token=${encodeURIComponent(token)}`;
+    }
+    
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (e) {
+      console.warn('Inbox connection failed:', e);
+      this.scheduleInboxReconnect();
+      return;
+    }
+    this.socket = socket;
+    
+    socket.addEventListener('open', () => {
+      this.reconnectDelay = 1000;
+      this.heartbeatTimer = setInterval(() => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'heartbeat' }));
+      }, INBOX_HEARTBEAT_INTERVAL);
+      // Catch up on anything sent while we weren't connected
+      this.refreshInbox();
+    });
+    
+    socket.addEventListener('message', (e) => {
+      try {
+        this.handleInboxEvent(JSON.parse(e.data));
+      } catch (err) {
+        console.warn('Bad inbox event:', err);
+      }
+    });
+    
+    socket.addEventListener('close', () => {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+      this.socket = null;
+      this.scheduleInboxReconnect();
+    });
+    
+    // Errors are always followed by a close event
+    socket.addEventListener('error', () => {});
   }
   
-  // Get all PM conversations
-  getPMConversations() {
-    const conversations = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('pm_history_')) {
-        const username = key.replace('pm_history_', '');
-        conversations.push(username);
+  isInboxLive() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+  
+  scheduleInboxReconnect() {
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectInbox();
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+  
+  handleInboxEvent(event) {
+    switch (event.type) {
+      case 'pm':
+        this.inbox.unread = event.unread;
+        this.onPrivateMessage(event.message);
+        break;
+      case 'pmRead': {
+        // Read in another tab
+        const conversation = this.findConversation(event.with);
+        if (conversation) conversation.unread = 0;
+        this.inbox.unread = event.unread;
+        this.renderInbox();
+        break;
       }
     }
-    return conversations;
   }
-}
\ No newline at end of file
+  
+  onPrivateMessage(message) {
+    const incoming = message.from !== this.app.user;
+    const other = incoming ? message.from : message.to;
+    
+    let conversation = this.findConversation(other);
+    if (conversation) {
+      this.inbox.conversations.splice(this.inbox.conversations.indexOf(conversation), 1);
+    } else {
+      conversation = { with: other, conversationId: this.getConversationId(other), unread: 0 };
+    }
+    conversation.lastMessage = { from: message.from, text: message.text, iv: message.iv, time: message.time };
+    if (incoming) conversation.unread += 1;
+    this.inbox.conversations.unshift(conversation);
+    
+    // An open window shows it straight away (and that reads it)
+    if (this.hasWindow(other)) {
+      this.loadPMHistory(other);
+    }
+    if (incoming) {
+      this.announce(message);
+    }
+    this.renderInbox();
+  }
+  
+  // Sound always; a notification unless the conversation is already on screen
+  async announce(message) {
+    this.app.soundManager.playSound('pm');
+    if (!this.hasWindow(message.from) || !this.app.isVisible) {
+      const text = await this.app.pmEncryption.decryptText(message, message.from);
+      this.app.notificationManager.notifyPrivateMessage(message.from, text === null ? 'Encrypted message' : text);
+    }
+  }
+  
+  markInboxRead(username) {
+    const conversation = this.findConversation(username);
+    if (!conversation || conversation.unread === 0) return;
+    this.inbox.unread -= conversation.unread;
+    conversation.unread = 0;
+    this.renderInbox();
+  }
+  
+  async openInbox() {
+    if (!this.inboxModal) return;
+    this.inboxModal.style.display = 'flex';
+    await this.refreshInbox();
+  }
+  
+  closeInbox() {
+    if (this.inboxModal) {
+      this.inboxModal.style.display = 'none';
+    }
+  }
+  
+  renderInbox() {
+    if (this.inboxBadge) {
+      this.inboxBadge.textContent = this.inbox.unread > 99 ? '99+' : String(this.inbox.unread);
+      this.inboxBadge.style.display = this.hasUnreadPMs() ? '' : 'none';
+    }
+    if (!this.inboxList) return;
+    
+    this.inboxList.innerHTML = '';
+    if (this.inbox.conversations.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'setting-description';
+      empty.textContent = 'No private messages yet - right-click a message to start one';
+      this.inboxList.appendChild(empty);
+      return;
+    }
+    
+    this.inbox.conversations.forEach(conversation => {
+      const row = document.createElement('div');
+      row.className = 'inbox-row' + (conversation.unread > 0 ? ' unread' : '');
+      
+      const name = document.createElement('span');
+      name.className = 'inbox-name';
+      name.textContent = conversation.with;
+      
+      const preview = document.createElement('span');
+      preview.className = 'inbox-preview';
+      const { from, text, time } = conversation.lastMessage;
+      const sender = from === this.app.user ? 'You' : from;
+      if (conversation.lastMessage.iv) {
+        preview.textContent = `${sender}: Encrypted message`;
+        this.app.pmEncryption.decryptText(conversation.lastMessage, conversation.with).then(plain => {
+          if (plain !== null) preview.textContent = `${sender}: ${plain}`;
+        });
+      } else {
+        preview.textContent = `${sender}: ${text}`;
+      }
+      
+      const when = document.createElement('span');
+      when.className = 'inbox-time';
+      when.textContent = new Date(time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      
+      row.append(name, preview, when);
+      if (conversation.unread > 0) {
+        const count = document.createElement('span');
+        count.className = 'inbox-badge';
+        count.textContent = conversation.unread;
+        row.appendChild(count);
+      }
+      
+      row.addEventListener('click', () => {
+        this.closeInbox();
+        this.openPrivateMessage(conversation.with);
+      });
+      this.inboxList.appendChild(row);
+    });
+  }
+}
@@ -0,0 +1,125 @@
+// Offered in the picker; the server accepts any single emoji
+const PICKER_EMOJIS = ['👍', '👎', '😂', '❤️', '🎉', '😮', '😢', '🙏', '👀', '✅'];
+
+export class ReactionManager {
+  constructor(app) {
+    this.app = app;
+    this.picker = document.getElementById('reaction-picker');
+    this.pickerMessageId = null;
+
+    this.buildPicker();
+    this.setupEventListeners();
+  }
+
+  buildPicker() {
+    if (!this.picker) return;
+
+    PICKER_EMOJIS.forEach(emoji => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'reaction-option';
+      btn.textContent = emoji;
+      btn.dataset.emoji = emoji;
+      this.picker.appendChild(btn);
+    });
+  }
+
+  setupEventListeners() {
+    if (!this.picker) return;
+
+    this.picker.addEventListener('click', (e) => {
+      const emoji = e.target.dataset.emoji;
+      if (emoji && this.pickerMessageId) {
+        this.toggleReaction(this.pickerMessageId, emoji);
+        this.hidePicker();
+      }
+    });
+
+    // Hide on click outside (the context menu item that opened it doesn't count)
+    document.addEventListener('click', (e) => {
+      if (!this.picker.contains(e.target) && !e.target.closest('[data-action="react"]')) {
+        this.hidePicker();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.hidePicker();
+      }
+    });
+  }
+
+  openPicker(messageId, x, y) {
+    if (!this.picker) return;
+    this.pickerMessageId = messageId;
+    this.picker.style.display = 'flex';
+
+    // Keep it on screen
+    const rect = this.picker.getBoundingClientRect();
+    this.picker.style.left = Math.min(x, window.innerWidth - rect.width - 10) + 'px';
+    this.picker.style.top = Math.min(y, window.innerHeight - rect.height - 10) + 'px';
+  }
+
+  hidePicker() {
+    if (this.picker) {
+      this.picker.style.display = 'none';
+    }
+    this.pickerMessageId = null;
+  }
+
+  hasReacted(message, emoji) {
+    const users = (message.reactions && message.reactions[emoji]) || [];
+    return users.some(user => user.toLowerCase() === (this.app.user || '').toLowerCase());
+  }
+
+  // Add the reaction, or take it back if we already reacted with that emoji
+  async toggleReaction(messageId, emoji) {
+    const message = this.app.messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    const remove = this.hasReacted(message, emoji);
+    const room = this.app.elements.roomSelect.value;
+    const base = `${this.app.baseURL}/chat/${room}/reactions?user=${encodeURIComponent(this.app.user)}`;
+
+    try {
+      const res = remove
+        ? await fetch(`${base}&messageId=${encodeURIComponent(messageId)}&emoji=${encodeURIComponent(emoji)}`, {
+            method: 'DELETE',
+            headers: this.app.getAuthHeaders(false)
+          })
+        : await fetch(base, {
+            method: 'POST',
+            headers: this.app.getAuthHeaders(true),
+            body: JSON.stringify({ messageId, emoji })
+          });
+
+      if (res.status === 401) {
+        this.app.auth.handleUnauthorized();
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(await res.text());
+      }
+
+      const data = await res.json();
+      this.applyReactions(data.messageId, data.reactions, data.updatedAt);
+    } catch (e) {
+      console.error('Reaction failed:', e);
+      alert('Failed to react: ' + e.message);
+    }
+  }
+
+  // From our own requests and live 'reaction' events
+  applyReactions(messageId, reactions, updatedAt) {
+    const message = this.app.messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    // An older update arriving late shouldn't undo a newer one
+    if (message.updatedAt && updatedAt < message.updatedAt) return;
+
+    message.reactions = reactions;
+    message.updatedAt = updatedAt;
+    this.app.renderChat({ preserveScroll: true });
+    this.app.cacheMessages();
+  }
+}
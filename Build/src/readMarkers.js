@@ -0,0 +1,106 @@
+// Wait for things to settle before telling the server how far we've read
+const MARK_READ_DELAY = 1500;
+
+export class ReadMarkerManager {
+  constructor(app) {
+    this.app = app;
+    this.unread = {}; // roomId -> { unread, mentions } from /unread
+    this.lastRead = null; // server's marker for the current room: { messageId, time }
+    this.anchorRoom = null; // room the divider below was placed for
+    this.dividerId = null; // first message after the marker when we opened the room
+    this.markTimer = null;
+  }
+
+  // First response for a room this visit: the "new messages" divider goes above the first unread message
+  // and stays there until we switch rooms, even as we read on
+  onRoomLoaded(room, lastRead) {
+    if (this.anchorRoom === room) return;
+    this.anchorRoom = room;
+    this.lastRead = lastRead;
+
+    const firstUnread = lastRead
+      ? this.app.messages.find(m => m.time > lastRead.time && !m.system && m.user !== this.app.user)
+      : null;
+    this.dividerId = firstUnread ? firstUnread.id : null;
+  }
+
+  reset() {
+    if (this.markTimer) {
+      clearTimeout(this.markTimer);
+      this.markTimer = null;
+    }
+    this.anchorRoom = null;
+    this.lastRead = null;
+    this.dividerId = null;
+  }
+
+  // Called whenever new messages show up or the tab comes back into view
+  scheduleMarkRead() {
+    if (!this.app.isVisible || this.markTimer) return;
+    this.markTimer = setTimeout(() => {
+      this.markTimer = null;
+      this.markRead();
+    }, MARK_READ_DELAY);
+  }
+
+  async markRead() {
+    const room = this.app.elements.roomSelect.value;
+    if (!this.app.isVisible || this.anchorRoom !== room) return;
+
+    // Newest message the server knows about (local notices never reach it)
+    const latest = [...this.app.messages].reverse().find(m => m.id && !m.id.startsWith('notice_'));
+    if (!latest || (this.lastRead && latest.time <= this.lastRead.time)) return;
+
+    try {
+      const res = await fetch(`${this.app.baseURL}/chat/${room}/read?user=${encodeURIComponent(this.app.user)}`, {
+        method: 'PUT',
+        headers: this.app.getAuthHeaders(true),
+        body: JSON.stringify({ messageId: latest.id })
+      });
+      if (!res.ok) return;
+
+      const data = await res.json();
+      if (room !== this.app.elements.roomSelect.value) return;
+      this.lastRead = data.lastRead;
+      if (this.unread[room]) {
+        delete this.unread[room];
+        this.app.rooms.renderOptions(room);
+      }
+    } catch (e) {
+      console.warn('Marking messages read failed:', e);
+    }
+  }
+
+  // Unread counts for every other room in the room list
+  async loadUnread() {
+    const select = this.app.elements.roomSelect;
+    const rooms = Array.from(select.options)
+      .map(option => option.value)
+      .filter(room => room !== select.value);
+    if (rooms.length === 0) return;
+
+    try {
+      const res = await fetch(
+        `${this.app.baseURL}/unread?user=${encodeURIComponent(this.app.user)}&rooms=${encodeURIComponent(rooms.join(','))}`,
+        { headers: this.app.getAuthHeaders(false) }
+      );
+      if (!res.ok) return;
+
+      const data = await res.json();
+      this.unread = data.rooms || {};
+      this.app.rooms.renderOptions(select.value);
+    } catch (e) {
+      console.warn('Loading unread counts failed:', e);
+    }
+  }
+
+  // Suffix for a room's option in #room-select
+  getBadge(roomId) {
+    if (roomId === this.app.elements.roomSelect.value) return '';
+    const counts = this.unread[roomId];
+    if (!counts || counts.unread === 0) return '';
+    return counts.mentions > 0
+      ? ` • ${counts.unread} unread, ${counts.mentions} @you`
+      : ` • ${counts.unread} unread`;
+  }
+}
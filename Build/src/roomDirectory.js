@@ -0,0 +1,330 @@
+export class RoomDirectoryManager {
+  constructor(app) {
+    this.app = app;
+    this.rooms = [];
+    this.currentRoom = null; // settings of the active room, from the room's GET response
+    this.blockedRoom = null; // private room we were turned away from
+    this.refreshInterval = 60000;
+
+    this.modal = document.getElementById('create-room-modal');
+    this.form = document.getElementById('create-room-form');
+    this.nameInput = document.getElementById('room-name-input');
+    this.descriptionInput = document.getElementById('room-description-input');
+    this.visibilitySelect = document.getElementById('room-visibility-select');
+    this.passphraseInput = document.getElementById('room-passphrase-input');
+    this.errorText = document.getElementById('create-room-error');
+    this.archiveBtn = document.getElementById('archive-room-btn');
+    this.lockIcon = document.getElementById('room-lock');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.form) {
+      this.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createRoom();
+      });
+    }
+
+    if (this.archiveBtn) {
+      this.archiveBtn.addEventListener('click', () => this.archiveRoom());
+    }
+  }
+
+  // Keep user counts fresh while the app is open
+  init() {
+    setInterval(async () => {
+      if (!this.app.isVisible) return;
+      await this.loadRooms();
+      await this.app.readMarkers.loadUnread();
+    }, this.refreshInterval);
+  }
+
+  async loadRooms(selected = this.app.elements.roomSelect.value) {
+    try {
+      const res = await fetch(`${this.app.baseURL}/rooms`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      const data = await res.json();
+      this.rooms = data.rooms || [];
+      this.renderOptions(selected);
+    } catch (e) {
+      // Keep whatever options are already there (the built-in rooms in index.html)
+      console.warn('Loading room list failed:', e);
+      this.ensureOption(selected);
+      this.app.elements.roomSelect.value = selected;
+    }
+  }
+
+  getRoomName(roomId) {
+    if (this.currentRoom && this.currentRoom.id === roomId) return this.currentRoom.name;
+    const room = this.rooms.find(r => r.id === roomId);
+    return room ? room.name : roomId;
+  }
+
+  renderOptions(selected) {
+    const select = this.app.elements.roomSelect;
+    const fragment = document.createDocumentFragment();
+
+    this.rooms.forEach(room => {
+      const option = document.createElement('option');
+      option.value = room.id;
+      option.textContent = `#${room.name}${room.userCount ? ` (${room.userCount})` : ''}${this.app.readMarkers.getBadge(room.id)}`;
+      if (room.description) option.title = room.description;
+      fragment.appendChild(option);
+    });
+
+    select.innerHTML = '';
+    select.appendChild(fragment);
+
+    this.ensureOption(selected);
+    select.value = selected;
+  }
+
+  // Unlisted rooms (or the built-ins while offline) still need an option to stay selected
+  ensureOption(roomId) {
+    const select = this.app.elements.roomSelect;
+    if (!roomId || Array.from(select.options).some(o => o.value === roomId)) return;
+
+    const option = document.createElement('option');
+    option.value = roomId;
+    option.textContent = `#${this.getRoomName(roomId)}`;
+    select.appendChild(option);
+  }
+
+  // Called with the `room` field of each GET /chat/:room response
+  updateRoomInfo(room) {
+    if (!room) return;
+    this.currentRoom = room;
+
+    // Let back in (join approved) - pick the live connection back up
+    if (this.blockedRoom === room.id) {
+      this.blockedRoom = null;
+      this.app.live.connect(room.id);
+    }
+
+    if (this.lockIcon) {
+      this.lockIcon.style.display = room.visibility === 'private' ? 'flex' : 'none';
+    }
+    this.app.members.updateVisibility(room);
+    this.app.automod.updateVisibility(room);
+    this.app.auditLog.updateVisibility(room);
+
+    if (this.archiveBtn) {
+      const canArchive = this.app.modTools.isOwner(this.app.user) && !room.archived;
+      this.archiveBtn.style.display = canArchive ? 'flex' : 'none';
+    }
+
+    // Archived rooms are read-only
+    const input = this.app.elements.input;
+    if (input) {
+      input.disabled = !!room.archived;
+      input.placeholder = room.archived ? 'This room is archived (read-only)' : this.app.roomEncryption.getPlaceholder();
+    }
+    this.app.roomEncryption.onRoomInfo(room);
+    if (this.app.elements.sendBtn) {
+      this.app.elements.sendBtn.disabled = !!room.archived;
+    }
+  }
+
+  // Private room we're not a member of: explain instead of showing messages, and offer a join request
+  showNotMember(info) {
+    this.blockedRoom = info.room.id;
+    this.currentRoom = { ...info.room, archived: false };
+    this.app.live.disconnect();
+    this.app.members.updateVisibility(null);
+    this.app.automod.updateVisibility(null);
+    this.app.auditLog.updateVisibility(null);
+
+    if (this.lockIcon) this.lockIcon.style.display = 'flex';
+    if (this.archiveBtn) this.archiveBtn.style.display = 'none';
+
+    const input = this.app.elements.input;
+    if (input) {
+      input.disabled = true;
+      input.placeholder = 'You are not a member of this room';
+    }
+    if (this.app.elements.sendBtn) {
+      this.app.elements.sendBtn.disabled = true;
+    }
+
+    const noticeDiv = document.createElement('div');
+    noticeDiv.className = 'msg system';
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'time';
+    timeSpan.textContent = '[--:--]';
+
+    const userSpan = document.createElement('span');
+    userSpan.className = 'user';
+    userSpan.textContent = '*** System ***';
+
+    const textSpan = document.createElement('span');
+    textSpan.className = 'text';
+    if (info.joinRequested) {
+      textSpan.textContent = `#${info.room.name} is a private room. Your request to join is waiting for a moderator.`;
+    } else if (info.canRequest) {
+      textSpan.textContent = `#${info.room.name} is a private room. Use an invite link, or ask the moderators to let you in. `;
+      const requestBtn = document.createElement('button');
+      requestBtn.className = 'small-btn';
+      requestBtn.textContent = 'Request to join';
+      requestBtn.addEventListener('click', () => this.requestToJoin(info.room.id));
+      textSpan.appendChild(requestBtn);
+    } else {
+      textSpan.textContent = `#${info.room.name} is a private room. Sign in with a registered account to join it.`;
+    }
+
+    noticeDiv.appendChild(timeSpan);
+    noticeDiv.appendChild(userSpan);
+    noticeDiv.appendChild(textSpan);
+
+    this.app.elements.chatBox.innerHTML = '';
+    this.app.elements.chatBox.appendChild(noticeDiv);
+    this.app.updateWelcome();
+  }
+
+  async joinRoom(roomId, body) {
+    const res = await fetch(`${this.app.baseURL}/rooms/${roomId}/join?user=${encodeURIComponent(this.app.user)}`, {
+      method: 'POST',
+      headers: this.app.getAuthHeaders(true),
+      body: JSON.stringify(body)
+    });
+
+    if (res.status === 401) {
+      this.app.auth.handleUnauthorized();
+      return null;
+    }
+    if (!res.ok) {
+      throw new Error(await res.text());
+    }
+    return res.json();
+  }
+
+  async requestToJoin(roomId) {
+    const message = prompt('Add a note for the moderators (optional):');
+    if (message === null) return; // cancelled
+
+    try {
+      await this.joinRoom(roomId, { message });
+      await this.app.fetchMessages(true);
+    } catch (e) {
+      console.error('Join request failed:', e);
+      alert('Failed to send join request: ' + e.message);
+    }
+  }
+
+  // Opened from an invite link (?room=...&invite=...); returns the room to open, or null
+  async handleInviteLink() {
+    const params = new URLSearchParams(window.location.search);
+    const roomId = params.get('room');
+    const invite = params.get('invite');
+    if (!roomId || !invite) return null;
+
+    // Don't leave the token sitting in the address bar or history
+    params.delete('room');
+    params.delete('invite');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    try {
+      await this.joinRoom(roomId, { invite });
+    } catch (e) {
+      console.error('Invite failed:', e);
+      alert('Could not join with this invite: ' + e.message);
+    }
+    return roomId;
+  }
+
+  openModal() {
+    if (!this.modal) return;
+    this.modal.style.display = 'flex';
+    this.errorText.textContent = '';
+    this.nameInput.value = '';
+    this.descriptionInput.value = '';
+    this.visibilitySelect.value = 'public';
+    this.passphraseInput.value = '';
+    this.nameInput.focus();
+  }
+
+  closeModal() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  async createRoom() {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      this.errorText.textContent = 'Give the room a name.';
+      return;
+    }
+
+    // Only a check value leaves the browser, never the passphrase itself
+    const passphrase = this.passphraseInput.value;
+    try {
+      const keyCheck = passphrase ? await this.app.roomEncryption.createKeyCheck(passphrase) : undefined;
+      const res = await fetch(`${this.app.baseURL}/rooms?user=${encodeURIComponent(this.app.user)}`, {
+        method: 'POST',
+        headers: this.app.getAuthHeaders(true),
+        body: JSON.stringify({
+          name,
+          description: this.descriptionInput.value.trim(),
+          visibility: this.visibilitySelect.value,
+          keyCheck
+        })
+      });
+
+      if (res.status === 401) {
+        this.closeModal();
+        this.app.auth.handleUnauthorized();
+        return;
+      }
+      if (!res.ok) {
+        this.errorText.textContent = await res.text();
+        return;
+      }
+
+      const data = await res.json();
+      this.closeModal();
+      if (passphrase) await this.app.roomEncryption.remember(data.room.id, passphrase);
+
+      // Jump straight into the new room
+      this.rooms.push(data.room);
+      await this.loadRooms(data.room.id);
+      this.app.elements.roomSelect.value = data.room.id;
+      await this.app.changeRoom();
+    } catch (e) {
+      console.error('Create room failed:', e);
+      this.errorText.textContent = 'Could not create the room. Please try again.';
+    }
+  }
+
+  async archiveRoom() {
+    const room = this.app.elements.roomSelect.value;
+    if (!confirm(`Archive #${this.getRoomName(room)}? It will become read-only and disappear from the room list.`)) {
+      return;
+    }
+
+    try {
+      const res = await fetch(`${this.app.baseURL}/rooms/${room}?user=${encodeURIComponent(this.app.user)}`, {
+        method: 'DELETE',
+        headers: this.app.getAuthHeaders(false)
+      });
+
+      if (res.status === 401) {
+        this.app.auth.handleUnauthorized();
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(await res.text());
+      }
+
+      await this.app.fetchMessages(true);
+      await this.loadRooms();
+    } catch (e) {
+      console.error('Archive failed:', e);
+      alert('Failed to archive room: ' + e.message);
+    }
+  }
+}
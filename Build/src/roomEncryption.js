@@ -0,0 +1,315 @@
+// WebCrypto-based encrypt/decrypt helpers for sensitive values
+async function getKeyFromPassphrase(passphrase, salt) {
+  const encoder = new TextEncoder();
+  const keyMaterial = await window.crypto.subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return window.crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      salt: salt,
+      iterations: 50000,
+      hash: "SHA-256"
+    },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptData(plain, passphrase) {
+  const encoder = new TextEncoder();
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const key = await getKeyFromPassphrase(passphrase, salt);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    encoder.encode(plain)
+  );
+  // Return salt + iv + ciphertext as Base64
+  const dataBuffer = new Uint8Array(salt.length + iv.length + ciphertext.byteLength);
+  dataBuffer.set(salt, 0);
+  dataBuffer.set(iv, salt.length);
+  dataBuffer.set(new Uint8Array(ciphertext), salt.length + iv.length);
+  return btoa(String.fromCharCode.apply(null, dataBuffer));
+}
+
+async function decryptData(data_b64, passphrase) {
+  const raw = Uint8Array.from(atob(data_b64), c => c.charCodeAt(0));
+  const salt = raw.slice(0, 16);
+  const iv = raw.slice(16, 28);
+  const ciphertext = raw.slice(28);
+  const key = await getKeyFromPassphrase(passphrase, salt);
+  const decrypted = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv },
+    key,
+    ciphertext
+  );
+  return new TextDecoder().decode(decrypted);
+}
+
+// The same salt + iv + ciphertext layout as encryptData, for binary data such as files
+async function encryptBytes(bytes, passphrase) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const key = await getKeyFromPassphrase(passphrase, salt);
+  const ciphertext = await window.crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes);
+  const dataBuffer = new Uint8Array(salt.length + iv.length + ciphertext.byteLength);
+  dataBuffer.set(salt, 0);
+  dataBuffer.set(iv, salt.length);
+  dataBuffer.set(new Uint8Array(ciphertext), salt.length + iv.length);
+  return dataBuffer;
+}
+
+async function decryptBytes(raw, passphrase) {
+  const key = await getKeyFromPassphrase(passphrase, raw.slice(0, 16));
+  const decrypted = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: raw.slice(16, 28) },
+    key,
+    raw.slice(28)
+  );
+  return new Uint8Array(decrypted);
+}
+
+// Encrypted with the passphrase when a room is created; a passphrase is right if it decrypts this
+const KEY_CHECK = 'htmlchat-room-key';
+const ENCRYPTED_FILE_TYPE = 'application/octet-stream';
+
+// Passphrase-encrypted rooms. Message text and files are encrypted in the browser with a passphrase
+// the members share, so the server only stores ciphertext. Passphrases are kept in this browser.
+export class RoomEncryptionManager {
+  constructor(app) {
+    this.app = app;
+    this.storageKey = 'htmlchat_room_passphrases';
+    this.passphrases = {}; // room id -> passphrase
+    this.plaintexts = new Map(); // ciphertext -> text
+    this.files = new Map(); // attachment id -> { url, name, type, size } of the decrypted file
+    this.failed = new Set(); // ciphertexts and attachment ids the room's passphrase can't decrypt
+    this.decrypting = false;
+    this.decryptAgain = false;
+  }
+
+  async init() {
+    this.passphrases = (await this.app.loadFromStorage(this.storageKey)) || {};
+  }
+
+  getRoomId() {
+    return this.app.elements.roomSelect.value;
+  }
+
+  // Whether the current room is encrypted (its settings come with each fetch)
+  isEncrypted() {
+    const room = this.app.rooms.currentRoom;
+    return !!room && !!room.encrypted && room.id === this.getRoomId();
+  }
+
+  hasPassphrase(roomId = this.getRoomId()) {
+    return !!this.passphrases[roomId];
+  }
+
+  // Encrypted, and we can't read or write it yet
+  isLocked() {
+    return this.isEncrypted() && !this.hasPassphrase();
+  }
+
+  async remember(roomId, passphrase) {
+    this.passphrases[roomId] = passphrase;
+    this.failed.clear();
+    this.updateInput();
+    await this.app.saveToStorage(this.storageKey, this.passphrases);
+  }
+
+  async forget(roomId) {
+    delete this.passphrases[roomId];
+    this.updateInput();
+    await this.app.saveToStorage(this.storageKey, this.passphrases);
+  }
+
+  getPlaceholder() {
+    return this.isLocked() ? 'Encrypted room - send a message to enter the passphrase' : 'Type message here...';
+  }
+
+  updateInput() {
+    const room = this.app.rooms.currentRoom;
+    const input = this.app.elements.input;
+    if (input && room && !room.archived) input.placeholder = this.getPlaceholder();
+  }
+
+  // What a new room stores so members can check their passphrase
+  createKeyCheck(passphrase) {
+    return encryptData(KEY_CHECK, passphrase);
+  }
+
+  async checkPassphrase(room, passphrase) {
+    try {
+      return (await decryptData(room.keyCheck, passphrase)) === KEY_CHECK;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Room info arrived: drop a saved passphrase that doesn't fit (the room was made again since)
+  async onRoomInfo(room) {
+    if (!room.encrypted || !this.hasPassphrase(room.id)) return;
+    if (!(await this.checkPassphrase(room, this.passphrases[room.id]))) {
+      await this.forget(room.id);
+      this.app.renderChat({ preserveScroll: true });
+    }
+  }
+
+  // Ask for the current room's passphrase; true once we have a right one
+  async promptPassphrase() {
+    const room = this.app.rooms.currentRoom;
+    if (!this.isEncrypted()) return false;
+    if (this.hasPassphrase()) return true;
+
+    const passphrase = prompt(`#${room.name} is encrypted. Enter the room passphrase to read and send messages:`);
+    if (!passphrase) return false;
+    if (!(await this.checkPassphrase(room, passphrase))) {
+      alert('That is not the passphrase for this room.');
+      return false;
+    }
+
+    await this.remember(room.id, passphrase);
+    this.app.renderChat({ preserveScroll: true });
+    return true;
+  }
+
+  // Text to send to the current room: encrypted there, otherwise as it is
+  async encryptText(text) {
+    if (!this.isEncrypted() || !text) return text;
+    const encrypted = await encryptData(text, this.passphrases[this.getRoomId()]);
+    this.plaintexts.set(encrypted, text);
+    return encrypted;
+  }
+
+  // A file to upload to the current room. Its name and type go inside the ciphertext, ahead of
+  // its contents and a newline (JSON never contains a raw one).
+  async encryptFile(file) {
+    if (!this.isEncrypted()) return file;
+
+    const header = new TextEncoder().encode(JSON.stringify({ name: file.name, type: file.type }) + '\n');
+    const plain = new Uint8Array(header.length + file.size);
+    plain.set(header, 0);
+    plain.set(new Uint8Array(await file.arrayBuffer()), header.length);
+
+    const encrypted = await encryptBytes(plain, this.passphrases[this.getRoomId()]);
+    return new File([encrypted], 'encrypted', { type: ENCRYPTED_FILE_TYPE });
+  }
+
+  async decryptFile(attachment, passphrase) {
+    const url = attachment.url.startsWith('/') ? this.app.baseURL + attachment.url : attachment.url;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const plain = await decryptBytes(new Uint8Array(await res.arrayBuffer()), passphrase);
+    const split = plain.indexOf(10);
+    const { name, type } = JSON.parse(new TextDecoder().decode(plain.slice(0, split)));
+    const contents = plain.slice(split + 1);
+    return {
+      ...attachment,
+      name,
+      type,
+      size: contents.length,
+      url: URL.createObjectURL(new Blob([contents], { type }))
+    };
+  }
+
+  // A message's (or reply quote's) text as it should show; null while it can't be read
+  textFor(message) {
+    if (!message.encrypted || !message.text) return message.text;
+    return this.plaintexts.has(message.text) ? this.plaintexts.get(message.text) : null;
+  }
+
+  // Null while an encrypted file can't be shown
+  fileFor(message, attachment) {
+    return message.encrypted ? this.files.get(attachment.id) || null : attachment;
+  }
+
+  // Why an encrypted message isn't readable: no passphrase yet, being decrypted, or not decryptable
+  lockedState(message) {
+    if (!this.hasPassphrase()) return 'locked';
+    return this.failed.has(message.text) ? 'failed' : 'pending';
+  }
+
+  isFailed(key) {
+    return this.failed.has(key);
+  }
+
+  // Decrypt whatever of these hasn't been yet (attached files too, unless told not to);
+  // true if anything new became readable
+  async decryptMessages(roomId, messages, { files: withFiles = true } = {}) {
+    const passphrase = this.passphrases[roomId];
+    if (!passphrase) return false;
+
+    const encrypted = messages.filter(message => message && message.encrypted);
+    const texts = encrypted.filter(message =>
+      message.text && !this.plaintexts.has(message.text) && !this.failed.has(message.text));
+    const files = !withFiles ? [] : encrypted.flatMap(message => message.attachments || [])
+      .filter(attachment => !this.files.has(attachment.id) && !this.failed.has(attachment.id));
+
+    const results = await Promise.all([
+      ...texts.map(async message => {
+        try {
+          this.plaintexts.set(message.text, await decryptData(message.text, passphrase));
+          return true;
+        } catch (e) {
+          this.failed.add(message.text);
+          return false;
+        }
+      }),
+      ...files.map(async attachment => {
+        try {
+          this.files.set(attachment.id, await this.decryptFile(attachment, passphrase));
+          return true;
+        } catch (e) {
+          console.warn('Decrypting file failed:', e);
+          this.failed.add(attachment.id);
+          return false;
+        }
+      })
+    ]);
+    return results.some(Boolean);
+  }
+
+  // A message's text for places that can't wait for a render, like notifications
+  async readText(message, roomId = this.getRoomId()) {
+    if (!message.encrypted || !message.text) return message.text;
+    await this.decryptMessages(roomId, [message]);
+    const text = this.textFor(message);
+    return text === null ? 'Encrypted message' : text;
+  }
+
+  // After each render: decrypt what's in the room, then render again if that revealed anything
+  decryptVisible() {
+    if (this.decrypting) {
+      this.decryptAgain = true;
+      return;
+    }
+    const roomId = this.getRoomId();
+    if (!this.hasPassphrase(roomId)) return;
+
+    const messages = this.app.messages.flatMap(message => [message, message.replyPreview]);
+    this.decrypting = true;
+    this.decryptMessages(roomId, messages).then(changed => {
+      this.decrypting = false;
+      const again = this.decryptAgain;
+      this.decryptAgain = false;
+
+      if (roomId !== this.getRoomId()) return;
+      if (changed) {
+        const box = this.app.elements.chatBox;
+        const atBottom = box.scrollHeight - box.scrollTop - box.clientHeight < 50;
+        this.app.renderChat({ preserveScroll: !atBottom });
+      } else if (again) {
+        this.decryptVisible();
+      }
+    });
+  }
+}
@@ -0,0 +1,231 @@
+export class RoomMembersManager {
+  constructor(app) {
+    this.app = app;
+    this.membership = { members: [], joinRequests: [], invites: [] };
+
+    this.modal = document.getElementById('members-modal');
+    this.membersList = document.getElementById('members-list');
+    this.requestsList = document.getElementById('join-requests-list');
+    this.invitesList = document.getElementById('invites-list');
+    this.inviteOutput = document.getElementById('invite-link-output');
+    this.inviteExpiry = document.getElementById('invite-expiry-select');
+    this.inviteMaxUses = document.getElementById('invite-max-uses');
+    this.membersBtn = document.getElementById('members-btn');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.membersBtn) {
+      this.membersBtn.addEventListener('click', () => this.openModal());
+    }
+
+    const createInviteBtn = document.getElementById('create-invite-btn');
+    if (createInviteBtn) {
+      createInviteBtn.addEventListener('click', () => this.createInvite());
+    }
+
+    const copyInviteBtn = document.getElementById('copy-invite-btn');
+    if (copyInviteBtn) {
+      copyInviteBtn.addEventListener('click', () => this.copyInviteLink());
+    }
+  }
+
+  // Members button only makes sense for moderators of private rooms
+  updateVisibility(room) {
+    if (!this.membersBtn) return;
+    const show = !!room && room.visibility === 'private' && !room.archived &&
+      this.app.modTools.isModerator(this.app.user);
+    this.membersBtn.style.display = show ? 'flex' : 'none';
+  }
+
+  async openModal() {
+    if (!this.modal) return;
+    this.modal.style.display = 'flex';
+    this.inviteOutput.value = '';
+    await this.refresh();
+  }
+
+  closeModal() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  isOpen() {
+    return !!this.modal && this.modal.style.display === 'flex';
+  }
+
+  getInviteLink(room, token) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('room', room);
+    url.searchParams.set('invite', token);
+    return url.toString();
+  }
+
+  // Same endpoint and auth as the rest of the moderation tools
+  async modRequest(body = null) {
+    const room = this.app.elements.roomSelect.value;
+    const res = await fetch(`${this.app.baseURL}/mod/${room}?user=${encodeURIComponent(this.app.user)}`, body ? {
+      method: 'POST',
+      headers: this.app.getAuthHeaders(true),
+      body: JSON.stringify(body)
+    } : {
+      headers: this.app.getAuthHeaders(false)
+    });
+
+    if (res.status === 401) {
+      this.app.auth.handleUnauthorized();
+      return null;
+    }
+    if (!res.ok) {
+      throw new Error(await res.text());
+    }
+    return res.json();
+  }
+
+  async refresh() {
+    try {
+      const data = await this.modRequest();
+      if (!data) return;
+      this.membership = {
+        members: data.members || [],
+        joinRequests: data.joinRequests || [],
+        invites: data.invites || []
+      };
+      this.render();
+    } catch (e) {
+      console.error('Loading members failed:', e);
+      this.membersList.textContent = 'Could not load members: ' + e.message;
+    }
+  }
+
+  createRow(text, detail, actions) {
+    const row = document.createElement('div');
+    row.className = 'member-row';
+
+    const label = document.createElement('span');
+    label.className = 'member-name';
+    label.textContent = text;
+    row.appendChild(label);
+
+    if (detail) {
+      const detailSpan = document.createElement('span');
+      detailSpan.className = 'member-detail';
+      detailSpan.textContent = detail;
+      row.appendChild(detailSpan);
+    }
+
+    actions.forEach(({ label: buttonLabel, onClick }) => {
+      const btn = document.createElement('button');
+      btn.className = 'small-btn';
+      btn.textContent = buttonLabel;
+      btn.addEventListener('click', onClick);
+      row.appendChild(btn);
+    });
+
+    return row;
+  }
+
+  renderList(container, items, emptyText, toRow) {
+    container.innerHTML = '';
+    if (items.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'setting-description';
+      empty.textContent = emptyText;
+      container.appendChild(empty);
+      return;
+    }
+    items.forEach(item => container.appendChild(toRow(item)));
+  }
+
+  render() {
+    const myRank = this.rank(this.app.modTools.getRole(this.app.user));
+
+    this.renderList(this.requestsList, this.membership.joinRequests, 'No pending requests', (request) =>
+      this.createRow(request.username, request.message ? `"${request.message}"` : '', [
+        { label: 'Approve', onClick: () => this.runAction({ action: 'approveJoin', targetUser: request.username }) },
+        { label: 'Deny', onClick: () => this.runAction({ action: 'denyJoin', targetUser: request.username }) }
+      ])
+    );
+
+    this.renderList(this.membersList, this.membership.members, 'No members yet', (member) => {
+      // Same rule the server applies: only users ranked below you can be removed
+      const canRemove = member.username !== this.app.user && this.rank(member.role) < myRank;
+      return this.createRow(member.username, member.role !== 'member' ? member.role : '', canRemove ? [
+        { label: 'Remove', onClick: () => this.removeMember(member.username) }
+      ] : []);
+    });
+
+    this.renderList(this.invitesList, this.membership.invites, 'No active invite links', (invite) => {
+      const uses = invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`;
+      return this.createRow(
+        `by ${invite.createdBy}`,
+        `${uses}, expires ${new Date(invite.expiresAt).toLocaleString()}`,
+        [{ label: 'Revoke', onClick: () => this.runAction({ action: 'revokeInvite', token: invite.token }) }]
+      );
+    });
+  }
+
+  rank(role) {
+    return { member: 0, moderator: 1, owner: 2 }[role] || 0;
+  }
+
+  async runAction(body) {
+    try {
+      await this.modRequest(body);
+      await this.refresh();
+    } catch (e) {
+      console.error('Membership action failed:', e);
+      alert('Action failed: ' + e.message);
+    }
+  }
+
+  async removeMember(username) {
+    if (!confirm(`Remove ${username} from this room? They will need a new invite to come back.`)) return;
+    await this.runAction({ action: 'removeMember', targetUser: username });
+  }
+
+  async createInvite() {
+    try {
+      const data = await this.modRequest({
+        action: 'createInvite',
+        expiresIn: parseInt(this.inviteExpiry.value, 10),
+        maxUses: parseInt(this.inviteMaxUses.value, 10) || null
+      });
+      if (!data) return;
+
+      this.inviteOutput.value = this.getInviteLink(this.app.elements.roomSelect.value, data.invite.token);
+      this.inviteOutput.select();
+      await this.refresh();
+    } catch (e) {
+      console.error('Create invite failed:', e);
+      alert('Failed to create invite: ' + e.message);
+    }
+  }
+
+  async copyInviteLink() {
+    if (!this.inviteOutput.value) return;
+    try {
+      await navigator.clipboard.writeText(this.inviteOutput.value);
+    } catch (e) {
+      // Clipboard API unavailable - the link is selected for manual copying
+      this.inviteOutput.select();
+    }
+  }
+
+  // Live 'joinRequest' events
+  onJoinRequest(username) {
+    if (!this.app.modTools.isModerator(this.app.user)) return;
+
+    this.app.showSystemNotice(`${username} asked to join this room - open the members panel to approve`);
+    if (this.isOpen()) this.refresh();
+  }
+
+  // Live 'members' events
+  onMembersChanged() {
+    if (this.isOpen()) this.refresh();
+  }
+}
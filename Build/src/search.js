@@ -1,12 +1,31 @@
+// One token of the query: optional "-", optional "key:", then a "quoted phrase" (closing quote optional) or a word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const HAS_TYPES = ['file', 'image', 'link'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Toggle buttons under the search box; each adds or removes one filter token
+const QUICK_FILTERS = [
+  { label: 'From me', key: 'from', value: search => search.app.user },
+  { label: 'Files', key: 'has', value: () => 'file' },
+  { label: 'Images', key: 'has', value: () => 'image' },
+  { label: 'Links', key: 'has', value: () => 'link' },
+  { label: 'Replies', key: 'is', value: () => 'reply' },
+  { label: 'Last 7 days', key: 'after', value: search => search.formatDate(new Date(Date.now() - 7 * DAY)) }
+];
+
 export class SearchManager {
   constructor(app) {
     this.app = app;
     this.modal = document.getElementById('search-modal');
     this.searchInput = document.getElementById('search-input');
     this.searchResults = document.getElementById('search-results');
-    this.userFilter = document.getElementById('search-user');
-    this.usernameFilter = document.getElementById('search-username');
+    this.roomFilter = document.getElementById('search-room');
+    this.chips = document.getElementById('search-chips');
+    this.quickFilters = document.getElementById('search-quick-filters');
+    this.searchId = 0; // ignore responses to searches that have been superseded
+    this.results = [];
     
+    this.buildQuickFilters();
     this.setupEventListeners();
   }
   
@@ -16,36 +35,52 @@ export class SearchManager {
     div.textContent = text;
     return div.innerHTML;
   }
+
+  buildQuickFilters() {
+    if (!this.quickFilters) return;
+
+    QUICK_FILTERS.forEach((filter, index) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'small-btn';
+      btn.textContent = filter.label;
+      btn.dataset.filter = index;
+      this.quickFilters.appendChild(btn);
+    });
+  }
   
   setupEventListeners() {
     // Search input with debouncing
     let searchTimeout;
     this.searchInput.addEventListener('input', () => {
+      this.renderChips();
       clearTimeout(searchTimeout);
       searchTimeout = setTimeout(() => {
         this.performSearch();
       }, 300); // 300ms debounce
     });
-    
-    // User filter checkbox
-    this.userFilter.addEventListener('change', () => {
-      this.usernameFilter.disabled = !this.userFilter.checked;
-      if (!this.userFilter.checked) {
-        this.usernameFilter.value = '';
-      }
-      this.performSearch();
-    });
-    
-    // Username filter with debouncing
-    let userTimeout;
-    this.usernameFilter.addEventListener('input', () => {
-      if (this.userFilter.checked) {
-        clearTimeout(userTimeout);
-        userTimeout = setTimeout(() => {
-          this.performSearch();
-        }, 300);
-      }
-    });
+
+    if (this.roomFilter) {
+      this.roomFilter.addEventListener('change', () => this.performSearch());
+    }
+
+    if (this.quickFilters) {
+      this.quickFilters.addEventListener('click', (e) => {
+        const filter = QUICK_FILTERS[e.target.dataset.filter];
+        if (filter) {
+          this.toggleFilter(filter.key, filter.value(this));
+        }
+      });
+    }
+
+    if (this.chips) {
+      this.chips.addEventListener('click', (e) => {
+        const index = e.target.dataset.removeToken;
+        if (index !== undefined) {
+          this.removeToken(parseInt(index));
+        }
+      });
+    }
     
     // Enter key to search
     this.searchInput.addEventListener('keydown', (e) => {
@@ -72,6 +107,8 @@ export class SearchManager {
   
   openModal() {
     this.modal.style.display = 'block';
+    this.populateRooms();
+    this.renderChips();
     this.searchInput.focus();
     this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Enter search terms above</div>';
   }
@@ -79,58 +116,309 @@ export class SearchManager {
   closeModal() {
     this.modal.style.display = 'none';
     this.searchInput.value = '';
-    this.usernameFilter.value = '';
-    this.userFilter.checked = false;
-    this.usernameFilter.disabled = true;
+    this.renderChips();
     this.searchResults.innerHTML = '';
   }
+
+  // Any room in the room list can be searched, the current one first
+  populateRooms() {
+    if (!this.roomFilter) return;
+    const current = this.app.elements.roomSelect.value;
+    this.roomFilter.innerHTML = '';
+
+    Array.from(this.app.elements.roomSelect.options).forEach(option => {
+      const roomOption = document.createElement('option');
+      roomOption.value = option.value;
+      roomOption.textContent = option.value === current
+        ? 'This room'
+        : `#${this.app.rooms.getRoomName(option.value)}`;
+      if (option.value === current) {
+        this.roomFilter.insertBefore(roomOption, this.roomFilter.firstChild);
+      } else {
+        this.roomFilter.appendChild(roomOption);
+      }
+    });
+    this.roomFilter.value = current;
+  }
+
+  getSearchRoom() {
+    return (this.roomFilter && this.roomFilter.value) || this.app.elements.roomSelect.value;
+  }
+
+  // Split the query into words, "phrases", -exclusions and filters:
+  // from:name, before:YYYY-MM-DD, after:YYYY-MM-DD, has:file|image|link, is:reply.
+  // Anything with an unknown key (a URL, a time like 10:30) is just a word.
+  parseQuery(input) {
+    const parsed = {
+      terms: [],
+      phrases: [],
+      exclude: [],
+      from: null,
+      before: null,
+      after: null,
+      has: [],
+      isReply: false,
+      tokens: [] // everything in order, so chips can remove a single token
+    };
+
+    for (const match of input.matchAll(TOKEN_PATTERN)) {
+      const [raw, negate, rawKey, phrase, word] = match;
+      const key = rawKey ? rawKey.toLowerCase() : null;
+      const value = phrase !== undefined ? phrase.trim() : word;
+      const token = { raw, kind: 'term', key, value, invalid: false };
+      parsed.tokens.push(token);
+
+      if (key && ['from', 'before', 'after', 'has', 'is'].includes(key)) {
+        token.kind = 'filter';
+        token.invalid = !!negate || !this.applyFilter(parsed, key, value);
+      } else if (negate) {
+        token.kind = 'exclude';
+        token.value = rawKey ? `${rawKey}:${value}` : value;
+        if (token.value) parsed.exclude.push(token.value);
+      } else if (phrase !== undefined) {
+        token.kind = 'phrase';
+        if (value) parsed.phrases.push(value);
+      } else {
+        token.value = raw;
+        parsed.terms.push(raw);
+      }
+    }
+
+    return parsed;
+  }
+
+  // False if the value makes no sense for the key
+  applyFilter(parsed, key, value) {
+    switch (key) {
+      case 'from':
+        if (!value) return false;
+        parsed.from = value;
+        return true;
+      case 'before':
+      case 'after': {
+        const time = this.parseDate(value);
+        if (time === null) return false;
+        parsed[key] = time;
+        return true;
+      }
+      case 'has': {
+        const type = value.toLowerCase();
+        if (!HAS_TYPES.includes(type)) return false;
+        if (!parsed.has.includes(type)) parsed.has.push(type);
+        return true;
+      }
+      case 'is':
+        if (value.toLowerCase() !== 'reply') return false;
+        parsed.isReply = true;
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // YYYY-MM-DD as the start of that day, local time. after: includes the day, before: doesn't.
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    return date.getMonth() === parseInt(match[2]) - 1 ? date.getTime() : null;
+  }
+
+  formatDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  hasCriteria(parsed) {
+    return parsed.terms.length > 0 || parsed.phrases.length > 0 || parsed.exclude.length > 0 ||
+      parsed.from !== null || parsed.before !== null || parsed.after !== null ||
+      parsed.has.length > 0 || parsed.isReply;
+  }
+
+  // The same query for the server's /search endpoint
+  toParams(parsed, room, offset) {
+    const params = new URLSearchParams({ room, offset: String(offset), user: this.app.user });
+    if (parsed.terms.length > 0) params.set('q', parsed.terms.join(' '));
+    parsed.phrases.forEach(phrase => params.append('phrase', phrase));
+    parsed.exclude.forEach(text => params.append('exclude', text));
+    if (parsed.from) params.set('from', parsed.from);
+    if (parsed.before !== null) params.set('before', String(parsed.before));
+    if (parsed.after !== null) params.set('after', String(parsed.after));
+    parsed.has.forEach(type => params.append('has', type));
+    if (parsed.isReply) params.set('is', 'reply');
+    return params;
+  }
+
+  // ...and for the cached copy when offline
+  matchesLocal(msg, parsed) {
+    if (msg.system) return false;
+
+    const text = String(msg.text || '').toLowerCase();
+    const user = String(msg.user || '').toLowerCase();
+    const attachments = msg.attachments || [];
+
+    if (!parsed.terms.every(term => text.includes(term.toLowerCase()) || user.includes(term.toLowerCase()))) return false;
+    if (!parsed.phrases.every(phrase => text.includes(phrase.toLowerCase()))) return false;
+    if (parsed.exclude.some(excluded => text.includes(excluded.toLowerCase()))) return false;
+    if (parsed.from && user !== parsed.from.toLowerCase()) return false;
+    if (parsed.after !== null && msg.time < parsed.after) return false;
+    if (parsed.before !== null && msg.time >= parsed.before) return false;
+    if (parsed.has.includes('file') && attachments.length === 0) return false;
+    if (parsed.has.includes('image') && !attachments.some(a => (a.type || '').startsWith('image/'))) return false;
+    if (parsed.has.includes('link') && !/https?:\/\//i.test(text)) return false;
+    if (parsed.isReply && !msg.replyTo) return false;
+    return true;
+  }
+
+  describeToken(token) {
+    if (token.kind === 'phrase') return `"${token.value}"`;
+    if (token.kind === 'exclude') return `Not: ${token.value}`;
+    if (token.invalid) return `${token.raw} (ignored)`;
+    switch (token.key) {
+      case 'from': return `From: ${token.value}`;
+      case 'before': return `Before: ${token.value}`;
+      case 'after': return `On or after: ${token.value}`;
+      case 'has': return `Has ${token.value.toLowerCase()}`;
+      case 'is': return 'Replies only';
+      default: return token.raw;
+    }
+  }
+
+  // A chip for every filter, phrase and exclusion in the box; plain words don't need one
+  renderChips() {
+    const parsed = this.parseQuery(this.searchInput.value);
+
+    if (this.chips) {
+      this.chips.innerHTML = parsed.tokens.map((token, index) => {
+        if (token.kind === 'term') return '';
+        return `
+          <span class="search-chip${token.invalid ? ' invalid' : ''}">
+            ${this.escapeHtml(this.describeToken(token))}
+            <button type="button" data-remove-token="${index}" title="Remove">×</button>
+          </span>
+        `;
+      }).join('').trim();
+    }
+
+    if (this.quickFilters) {
+      this.quickFilters.querySelectorAll('[data-filter]').forEach(btn => {
+        const filter = QUICK_FILTERS[btn.dataset.filter];
+        btn.classList.toggle('active', this.findFilterToken(parsed, filter.key, filter.value(this)) !== -1);
+      });
+    }
+
+    return parsed;
+  }
+
+  findFilterToken(parsed, key, value) {
+    return parsed.tokens.findIndex(token =>
+      token.kind === 'filter' && token.key === key && String(token.value).toLowerCase() === String(value).toLowerCase()
+    );
+  }
+
+  setTokens(tokens) {
+    this.searchInput.value = tokens.map(token => token.raw).join(' ');
+    this.renderChips();
+    this.performSearch();
+  }
+
+  removeToken(index) {
+    const { tokens } = this.parseQuery(this.searchInput.value);
+    this.setTokens(tokens.filter((_, i) => i !== index));
+  }
+
+  // Add key:value to the query, or take it out if it's already there
+  toggleFilter(key, value) {
+    const parsed = this.parseQuery(this.searchInput.value);
+    const index = this.findFilterToken(parsed, key, value);
+    if (index !== -1) {
+      this.setTokens(parsed.tokens.filter((_, i) => i !== index));
+      return;
+    }
+
+    // Only one of each single-valued filter
+    const tokens = ['has', 'is'].includes(key)
+      ? parsed.tokens
+      : parsed.tokens.filter(token => token.key !== key);
+    const quoted = /[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    this.setTokens([...tokens, { raw: `${key}:${quoted}` }]);
+  }
   
-  async performSearch() {
-    const query = this.searchInput.value.trim().toLowerCase();
-    if (!query) {
+  // Ask the server first; the local cache is only used when it can't be reached
+  async performSearch(offset = 0) {
+    const parsed = this.parseQuery(this.searchInput.value);
+    if (!this.hasCriteria(parsed)) {
       this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Enter search terms above</div>';
       return;
     }
     
-    // Show loading
-    this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Searching...</div>';
+    const searchId = ++this.searchId;
+    const room = this.getSearchRoom();
+
+    // Show loading (a next page keeps what's already listed)
+    if (offset === 0) {
+      this.results = [];
+      this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Searching...</div>';
+    }
     
     try {
-      // Use setTimeout to make search non-blocking
-      await new Promise(resolve => setTimeout(resolve, 0));
-      
-      // Get all messages from current room
-      const currentRoom = this.app.elements.roomSelect.value;
-      const messages = this.app.loadFromStorage(`htmlchat_${currentRoom}`) || [];
+      const res = await fetch(`${this.app.baseURL}/search?${this.toParams(parsed, room, offset)}`, {
+        headers: this.app.getAuthHeaders(false)
+      });
+      if (searchId !== this.searchId) return;
+
+      if (res.status >= 500) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      if (!res.ok) {
+        const info = res.headers.get('Content-Type')?.includes('json') ? await res.json() : { error: await res.text() };
+        // The server only has ciphertext for encrypted rooms, so search what we've decrypted here
+        if (info.encrypted) {
+          await this.searchLocalCache(parsed, room, searchId, true);
+          return;
+        }
+        this.showMessage(info.error || 'Search failed.', 'red');
+        return;
+      }
+
+      const data = await res.json();
+      if (searchId !== this.searchId) return;
+
+      this.results = this.results.concat(data.results.map(result => ({
+        ...result,
+        html: this.renderSnippet(result.snippet) || this.describeAttachments(result.attachments)
+      })));
+      this.displayResults(this.results, { hasMore: data.hasMore, nextOffset: data.nextOffset });
+    } catch (error) {
+      if (searchId !== this.searchId) return;
+      console.warn('Server search failed, searching cached messages instead:', error);
+      await this.searchLocalCache(parsed, room, searchId);
+    }
+  }
+
+  // Offline fallback (and the only search for encrypted rooms): scan the localStorage copy of the room
+  async searchLocalCache(parsed, room, searchId, encrypted = false) {
+    const encryption = this.app.roomEncryption;
+    if (encrypted && !encryption.hasPassphrase(room)) {
+      this.showMessage('This room is encrypted - enter its passphrase in the room to search it.');
+      return;
+    }
+
+    try {
+      let messages = (await this.app.loadFromStorage(`htmlchat_${room}`)) || [];
+      if (encrypted) {
+        await encryption.decryptMessages(room, messages, { files: false });
+        messages = messages.map(msg => ({ ...msg, text: encryption.textFor(msg) ?? '' }));
+      }
+      if (searchId !== this.searchId) return;
       
       // Process in chunks to avoid blocking
       const chunkSize = 50;
       let filteredMessages = [];
       
-      // Precompute username filter needle once for performance
-      const usernameFilterNeedle = this.userFilter.checked && this.usernameFilter.value.trim() 
-        ? this.usernameFilter.value.trim().toLowerCase() 
-        : null;
-      
       for (let i = 0; i < messages.length; i += chunkSize) {
         const chunk = messages.slice(i, i + chunkSize);
-        
-        const chunkFiltered = chunk.filter(msg => {
-          // Text search with null-safety
-          const safeText = String(msg.text || '').toLowerCase();
-          const safeUser = String(msg.user || '').toLowerCase();
-          const textMatch = safeText.includes(query) || safeUser.includes(query);
-          
-          // User filter
-          if (usernameFilterNeedle) {
-            const userMatch = safeUser.includes(usernameFilterNeedle);
-            return textMatch && userMatch;
-          }
-          
-          return textMatch;
-        });
-        
-        filteredMessages = filteredMessages.concat(chunkFiltered);
+        filteredMessages = filteredMessages.concat(chunk.filter(msg => this.matchesLocal(msg, parsed)));
         
         // Allow UI to update between chunks
         if (i % (chunkSize * 4) === 0) {
@@ -138,128 +426,167 @@ export class SearchManager {
         }
       }
       
-      // Sort by time (most recent first)
-      filteredMessages = filteredMessages.sort((a, b) => b.time - a.time);
-      
-      // Limit results
-      filteredMessages = filteredMessages.slice(0, 100);
+      // Sort by time (most recent first) and limit results
+      const needles = [...parsed.terms, ...parsed.phrases];
+      const results = filteredMessages
+        .sort((a, b) => b.time - a.time)
+        .slice(0, 100)
+        .map(msg => ({
+          id: msg.id,
+          room,
+          user: msg.user,
+          time: msg.time,
+          html: msg.text
+            ? this.highlightSearchTerms(msg.text, needles)
+            : this.describeAttachments(msg.attachments)
+        }));
       
-      this.displayResults(filteredMessages, query);
+      this.results = results;
+      this.displayResults(results, { offline: !encrypted, encrypted });
     } catch (error) {
       console.error('Search error:', error);
-      this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: red;">Search failed. Please try again.</div>';
+      this.showMessage('Search failed. Please try again.', 'red');
     }
   }
+
+  // For results with no text to show
+  describeAttachments(attachments = []) {
+    if (attachments.length === 0) return '';
+    const names = attachments.map(a => this.escapeHtml(a.name || 'file')).join(', ');
+    return `<span style="color: #666; font-style: italic;">📎 ${names}</span>`;
+  }
+
+  showMessage(text, color = '#666') {
+    this.searchResults.innerHTML = `<div style="padding: 20px; text-align: center; color: ${color};">${this.escapeHtml(text)}</div>`;
+  }
+
+  // Server snippets come as [{ text, match }] segments; escape each and mark the matches
+  renderSnippet(segments) {
+    return segments.map(segment => segment.match
+      ? `<span style="background: yellow; color: black;">${this.escapeHtml(segment.text)}</span>`
+      : this.escapeHtml(segment.text)
+    ).join('');
+  }
   
-  displayResults(messages, query) {
-    if (messages.length === 0) {
-      this.searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">No messages found</div>';
+  displayResults(results, { hasMore = false, nextOffset = null, offline = false, encrypted = false } = {}) {
+    if (results.length === 0) {
+      this.showMessage(offline ? 'No cached messages found (offline)' : encrypted ? 'No messages found in this browser' : 'No messages found');
       return;
     }
     
-    const html = messages.map((msg, index) => {
-      const date = new Date(msg.time).toLocaleString();
-      const color = this.app.messageRenderer.getUserColor(msg.user || '');
-      
-      // Highlight search terms with null-safety
-      let highlightedText = this.highlightSearchTerms(msg.text || '', query);
-      let highlightedUser = this.highlightSearchTerms(msg.user || '', query);
-      
-      const messageId = `msg-${msg.time}-${index}`;
+    const html = results.map(result => {
+      const date = new Date(result.time).toLocaleString();
+      const color = this.app.messageRenderer.getUserColor(result.user || '');
       
       return `
-        <div class="search-result-item" data-message-id="${this.escapeHtml(messageId)}" data-timestamp="${parseInt(msg.time)}">
+        <div class="search-result-item" data-message-id="${this.escapeHtml(result.id)}" data-room="${this.escapeHtml(result.room)}" data-timestamp="${parseInt(result.time)}">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
-            <span style="color: ${this.escapeHtml(color)}; font-weight: bold;">${highlightedUser}</span>
+            <span style="color: ${this.escapeHtml(color)}; font-weight: bold;">${this.escapeHtml(result.user || '')}</span>
             <span style="color: #666; font-size: 12px;">${this.escapeHtml(date)}</span>
           </div>
-          <div>${highlightedText}</div>
+          <div>${result.html}</div>
         </div>
       `;
     }).join('');
     
     const headerHtml = `
       <div style="padding: 8px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold;">
-        Found ${messages.length} message${messages.length === 1 ? '' : 's'}
+        ${offline ? 'Offline - searched cached messages only. ' : ''}${encrypted ? 'Encrypted room - searched messages loaded in this browser. ' : ''}Showing ${results.length} message${results.length === 1 ? '' : 's'}${hasMore ? ' (best matches first)' : ''}
       </div>
     `;
+
+    const moreHtml = hasMore
+      ? `<button class="small-btn search-more-btn" data-offset="${parseInt(nextOffset)}">Load more results</button>`
+      : '';
     
-    this.searchResults.innerHTML = headerHtml + html;
+    this.searchResults.innerHTML = headerHtml + html + moreHtml;
     
     // Add event listeners to search result items
     this.searchResults.querySelectorAll('.search-result-item').forEach(item => {
       item.addEventListener('click', () => {
-        const messageId = item.getAttribute('data-message-id');
-        const timestamp = parseInt(item.getAttribute('data-timestamp'));
-        this.jumpToMessage(messageId, timestamp);
+        this.jumpToMessage(
+          item.getAttribute('data-message-id'),
+          parseInt(item.getAttribute('data-timestamp')),
+          item.getAttribute('data-room')
+        );
       });
     });
+
+    const moreBtn = this.searchResults.querySelector('.search-more-btn');
+    if (moreBtn) {
+      moreBtn.addEventListener('click', () => {
+        moreBtn.disabled = true;
+        moreBtn.textContent = 'Loading...';
+        this.performSearch(parseInt(moreBtn.getAttribute('data-offset')));
+      });
+    }
   }
   
+  // Accepts one search term or several
   highlightSearchTerms(text, query) {
-    if (!query) return this.escapeHtml(text);
+    const needles = [].concat(query || []).filter(Boolean);
+    if (needles.length === 0) return this.escapeHtml(text);
     
     // First escape the text to prevent XSS
     const escapedText = this.escapeHtml(text);
     
-    // Escape special regex characters in query
-    const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`(${this.escapeHtml(escapedQuery)})`, 'gi');
+    // Escape special regex characters in each term, longest first so phrases win over their words
+    const pattern = needles
+      .sort((a, b) => b.length - a.length)
+      .map(needle => this.escapeHtml(needle).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    const regex = new RegExp(`(${pattern})`, 'gi');
     
     return escapedText.replace(regex, '<span style="background: yellow; color: black;">$1</span>');
   }
   
-  jumpToMessage(messageId, timestamp) {
+  // Open the result's room if needed, then page back through history until the message is loaded
+  async jumpToMessage(messageId, timestamp, room = this.app.elements.roomSelect.value) {
     // Close search modal
     this.closeModal();
-    
-    // Try to find the message in current chat
-    let existingMessage = document.getElementById(messageId);
-    
-    // Also try with data-message-id attribute
-    if (!existingMessage) {
-      existingMessage = document.querySelector(`[data-message-id="${messageId}"]`);
+
+    if (room !== this.app.elements.roomSelect.value) {
+      this.app.elements.roomSelect.value = room;
+      await this.app.changeRoom();
     }
-    
-    if (existingMessage) {
-      this.app.messageRenderer.highlightMessage(existingMessage.id);
-      return;
+
+    const isLoaded = () => this.app.messages.some(m => m.id === messageId);
+    for (let page = 0; page < 20 && !isLoaded() && this.app.hasMoreHistory; page++) {
+      const oldest = this.app.messages[0];
+      if (!oldest || oldest.time < timestamp) break;
+      await this.app.loadOlderMessages();
+    }
+
+    if (isLoaded()) {
+      this.app.messageRenderer.highlightMessage(messageId);
+    } else {
+      this.app.showSystemNotice('That message is no longer available.');
     }
-    
-    // If not found, refresh messages and then try to highlight
-    this.app.fetchMessages(true).then(() => {
-      setTimeout(() => {
-        // Try to find by messageId again
-        let foundMessage = document.getElementById(messageId);
-        if (!foundMessage) {
-          foundMessage = document.querySelector(`[data-message-id="${messageId}"]`);
-        }
-        
-        if (foundMessage) {
-          this.app.messageRenderer.highlightMessage(foundMessage.id);
-        } else {
-          // Fallback: try to find by timestamp
-          const messages = this.app.loadFromStorage(`htmlchat_${this.app.elements.roomSelect.value}`) || [];
-          const messageIndex = messages.findIndex(msg => msg.time === timestamp);
-          if (messageIndex !== -1) {
-            const generatedId = `msg-${timestamp}-${messageIndex}`;
-            this.app.messageRenderer.highlightMessage(generatedId);
-          }
-        }
-      }, 500);
-    });
   }
   
-  // Search within specific time range (future feature)
+  // Restrict the current query to a date range, both days included; null leaves that end open
   searchByTimeRange(startDate, endDate) {
-    // This could be implemented for advanced search features
-    console.log('Time range search not implemented yet');
+    const { tokens } = this.parseQuery(this.searchInput.value);
+    const kept = tokens.filter(token => token.key !== 'after' && token.key !== 'before');
+
+    if (startDate) {
+      kept.push({ raw: `after:${this.formatDate(new Date(startDate))}` });
+    }
+    if (endDate) {
+      // before: excludes its day, so use the day after
+      const end = new Date(endDate);
+      kept.push({ raw: `before:${this.formatDate(new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1))}` });
+    }
+    this.setTokens(kept);
   }
   
-  // Search by message type (future feature)
+  // Toggle a content filter: 'file', 'image', 'link' or 'reply'
   searchByType(type) {
-    // Could search for files, images, URLs, etc.
-    console.log('Type search not implemented yet');
+    if (type === 'reply') {
+      this.toggleFilter('is', 'reply');
+    } else if (HAS_TYPES.includes(type)) {
+      this.toggleFilter('has', type);
+    }
   }
   
   // Export search results
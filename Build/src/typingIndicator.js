@@ -0,0 +1,114 @@
+// How often we tell the room we're still typing; the server also drops anything faster
+const SEND_INTERVAL = 3000;
+// Fallback when a signal doesn't say how long it lasts
+const DEFAULT_TIMEOUT = 6000;
+
+export class TypingIndicatorManager {
+  constructor(app) {
+    this.app = app;
+    this.typers = new Map(); // username -> local expiry time
+    this.lastSent = 0;
+    this.expiryTimer = null;
+    this.statusEl = document.getElementById('typing-status');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    const input = this.app.elements.input;
+    if (!input) return;
+
+    input.addEventListener('input', () => {
+      if (input.value.trim()) this.sendTyping();
+    });
+  }
+
+  // Throttled; over the socket when live, otherwise piggybacked on the presence heartbeat
+  async sendTyping() {
+    const now = Date.now();
+    if (now - this.lastSent < SEND_INTERVAL || this.app.editingMessage) return;
+    this.lastSent = now;
+
+    if (this.app.live.send({ type: 'typing' })) return;
+
+    try {
+      const res = await fetch(
+        `${this.app.baseURL}/chat/${this.app.elements.roomSelect.value}?user=${encodeURIComponent(this.app.user)}`,
+        {
+          method: 'PUT',
+          headers: this.app.getAuthHeaders(true),
+          body: JSON.stringify({ typing: true })
+        }
+      );
+      if (!res.ok) return;
+      const data = await res.json();
+      if (data.typing) this.setTypers(data.typing);
+    } catch (e) {
+      console.warn('Typing signal failed:', e);
+    }
+  }
+
+  // Our message went out - the next keystroke starts a fresh signal
+  onMessageSent() {
+    this.lastSent = 0;
+  }
+
+  // Live 'typing' events
+  onTyping(username, expiresIn = DEFAULT_TIMEOUT) {
+    if (username === this.app.user) return;
+    this.typers.set(username, Date.now() + expiresIn);
+    this.render();
+  }
+
+  // Full list from a GET or heartbeat response
+  setTypers(typing) {
+    const now = Date.now();
+    this.typers.clear();
+    typing.forEach(({ username, expiresIn }) => {
+      if (username !== this.app.user) this.typers.set(username, now + (expiresIn || DEFAULT_TIMEOUT));
+    });
+    this.render();
+  }
+
+  // They sent their message (or left)
+  clearUser(username) {
+    if (this.typers.delete(username)) this.render();
+  }
+
+  reset() {
+    this.typers.clear();
+    this.lastSent = 0;
+    this.render();
+  }
+
+  getText(names) {
+    if (names.length === 0) return '';
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length <= 3) {
+      return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are typing…`;
+    }
+    return 'Several people are typing…';
+  }
+
+  render() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+
+    const now = Date.now();
+    for (const [username, expires] of this.typers) {
+      if (expires <= now) this.typers.delete(username);
+    }
+
+    if (this.statusEl) {
+      this.statusEl.textContent = this.getText(Array.from(this.typers.keys()));
+    }
+
+    // Clear each name as its signal runs out
+    if (this.typers.size > 0) {
+      const nextExpiry = Math.min(...this.typers.values());
+      this.expiryTimer = setTimeout(() => this.render(), nextExpiry - now);
+    }
+  }
+}
@@ -0,0 +1,142 @@
+import { migrateSchema, ACCOUNT_MIGRATIONS } from './schema.js';
+import { hashPassword, verifyPassword, signSession, verifySession, getSessionToken } from './auth.js';
+import { jsonResponse, textResponse, errorResponse, CORS_HEADERS, HttpError } from './http.js';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+// Single global Durable Object holding registered accounts
+export default class Accounts {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.sql = state.storage.sql;
+
+    state.blockConcurrencyWhile(async () => {
+      migrateSchema(this.sql, ACCOUNT_MIGRATIONS);
+    });
+  }
+
+  async fetch(request) {
+    if (request.method === 'OPTIONS') {
+      return new Response('', { status: 204, headers: CORS_HEADERS });
+    }
+
+    // Tokens can't be signed without a secret, so accounts are off entirely
+    if (!this.env.AUTH_SECRET) {
+      return errorResponse(request, new HttpError('Accounts are not enabled on this server', 503));
+    }
+
+    const url = new URL(request.url);
+    const action = url.pathname.split('/')[2];
+
+    try {
+      // GET /auth/session - check a stored token is still good
+      if (action === 'session' && request.method === 'GET') {
+        const session = await verifySession(getSessionToken(request), this.env.AUTH_SECRET);
+        if (!session) {
+          return textResponse('Session expired', 401);
+        }
+        // Someone has registered the guest's name since
+        if (session.guest && this.getAccount(session.username)) {
+          return textResponse('That name belongs to a registered account now - pick another nickname', 401);
+        }
+        return jsonResponse({ user: this.sessionUser(session), expires: session.expires });
+      }
+
+      if (request.method !== 'POST') {
+        return errorResponse(request, new HttpError('Method not allowed', 405));
+      }
+
+      const { username, password } = await request.json();
+
+      switch (action) {
+        case 'register':
+          return this.register(username, password);
+        case 'login':
+          return this.login(username, password);
+        case 'guest':
+          return this.guest(username);
+      }
+
+      return textResponse('Not found', 404);
+    } catch (error) {
+      console.error('Accounts error:', error);
+      return textResponse('Invalid request', 400);
+    }
+  }
+
+  getAccount(username) {
+    return this.sql.exec('SELECT * FROM accounts WHERE username_key = ?', username.toLowerCase()).toArray()[0] || null;
+  }
+
+  sessionUser(session) {
+    return { username: session.username, guest: session.guest, createdAt: session.createdAt };
+  }
+
+  async issueSession(username, guest, createdAt) {
+    const session = await signSession({ username, guest, createdAt }, this.env.AUTH_SECRET);
+    return jsonResponse({
+      token: session.token,
+      expires: session.expires,
+      user: { username, guest, createdAt }
+    });
+  }
+
+  async register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return textResponse('Usernames are 2-20 letters, numbers, dots, dashes or underscores', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      return textResponse(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    if (this.getAccount(username)) {
+      return textResponse('Username is already taken', 409);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const now = Date.now();
+
+    // Re-check after hashing - another register may have landed while we awaited
+    if (this.getAccount(username)) {
+      return textResponse('Username is already taken', 409);
+    }
+    this.sql.exec(
+      'INSERT INTO accounts (username_key, username, password_hash, created_at, last_login) VALUES (?, ?, ?, ?, ?)',
+      username.toLowerCase(), username, passwordHash, now, now
+    );
+
+    return this.issueSession(username, false, now);
+  }
+
+  async login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return textResponse('Invalid username or password', 401);
+    }
+
+    const account = this.getAccount(username);
+    if (!account || !(await verifyPassword(password, account.password_hash))) {
+      return textResponse('Invalid username or password', 401);
+    }
+
+    this.sql.exec('UPDATE accounts SET last_login = ? WHERE username_key = ?', Date.now(), account.username_key);
+
+    // Always hand back the canonical spelling of the name
+    return this.issueSession(account.username, false, account.created_at);
+  }
+
+  async guest(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return textResponse('Nicknames are 2-20 letters, numbers, dots, dashes or underscores', 400);
+    }
+
+    // Guests can't borrow a registered name
+    if (this.getAccount(username)) {
+      return textResponse('That name belongs to a registered account - log in instead', 409);
+    }
+
+    return this.issueSession(username, true, Date.now());
+  }
+}
@@ -0,0 +1,116 @@
+// Password hashing and signed session tokens (WebCrypto only, no dependencies)
+
+const PBKDF2_ITERATIONS = 100000; // Workers cap PBKDF2 at 100k iterations
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const GUEST_SESSION_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Constant-time comparison so signature checks don't leak timing
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+// Stored as pbkdf2$<iterations>$<salt>$<hash>
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toBase64Url(salt)}$${toBase64Url(hash)}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored).split('$');
+  if (scheme !== 'pbkdf2' || !iterations || !salt || !hash) return false;
+
+  const candidate = await pbkdf2(password, fromBase64Url(salt), parseInt(iterations, 10));
+  return timingSafeEqual(candidate, fromBase64Url(hash));
+}
+
+async function hmac(secret, data) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(data)));
+}
+
+// Token is <base64url payload>.<base64url HMAC-SHA256 signature>
+export async function signSession({ username, guest = false, createdAt = Date.now() }, secret) {
+  const now = Date.now();
+  const payload = {
+    sub: username,
+    guest,
+    created: createdAt,
+    iat: now,
+    exp: now + (guest ? GUEST_SESSION_TTL : SESSION_TTL)
+  };
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = toBase64Url(await hmac(secret, body));
+  return { token: `${body}.${signature}`, expires: payload.exp };
+}
+
+// Returns { username, guest, createdAt, expires } or null if the token is missing, forged or expired
+export async function verifySession(token, secret) {
+  if (!token || !secret) return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  try {
+    const expected = await hmac(secret, body);
+    if (!timingSafeEqual(expected, fromBase64Url(signature))) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    if (!payload.sub || !payload.exp || Date.now() > payload.exp) return null;
+
+    return {
+      username: payload.sub,
+      guest: !!payload.guest,
+      createdAt: payload.created,
+      expires: payload.exp
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Browsers can't set headers on WebSocket requests, so ?token= is accepted as well
+export function getSessionToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.substring(7).trim();
+  }
+  return new URL(request.url).searchParams.get('token');
+}
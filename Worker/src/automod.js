@@ -0,0 +1,219 @@
+import { HttpError } from './http.js';
+
+// What happens to a message that breaks a rule. When several rules match, the strictest action wins.
+export const AUTOMOD_ACTIONS = ['hold', 'block', 'mute'];
+
+const DEFAULT_MUTE_MINUTES = 10;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const MAX_BANNED_WORDS = 200;
+const MAX_WORD_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_TEXT = 1000; // patterns only see this much of a message, which bounds the merely slow ones
+const NEW_ACCOUNT_SCOPES = ['all', 'links', 'attachments'];
+
+const LINK_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+const MENTION_PATTERN = /(^|[^\w@])@[A-Za-z0-9_.-]{2,20}/g;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// True for a repeated group that can match the same text in more than one way - one holding another
+// quantifier, an alternation or a backreference, like (a+)+, (a|aa)* or (\w\1)+. On a message that
+// almost matches, these backtrack exponentially, which no cap on the message length helps against.
+// Walks the pattern keeping, for each open group, whether it holds any of those.
+function isBacktrackProne(pattern) {
+  const groups = [false];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+      if (!inClass && /[1-9k]/.test(pattern[i])) groups[groups.length - 1] = true;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')' && groups.length > 1) {
+      const ambiguous = groups.pop();
+      if (ambiguous && /^[*+{]/.test(pattern.slice(i + 1))) return true;
+      groups[groups.length - 1] ||= ambiguous;
+    } else if (char === '|' || ('*+?{'.includes(char) && pattern[i - 1] !== '(')) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function toInteger(value, min, max, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new HttpError(`${name} must be a whole number from ${min} to ${max}`, 400);
+  }
+  return number;
+}
+
+// Each type checks its own config and returns a cleaned copy, and tells whether a message breaks it.
+// `check` gets { text, attachmentCount, accountAge } and returns the reason the author is shown, or null.
+const RULE_TYPES = {
+  // Whole words or phrases, any case
+  bannedWords: {
+    normalize(config) {
+      const words = Array.isArray(config.words)
+        ? [...new Set(config.words.map(word => String(word).trim().toLowerCase()).filter(Boolean))]
+        : [];
+      if (words.length === 0 || words.length > MAX_BANNED_WORDS || words.some(word => word.length > MAX_WORD_LENGTH)) {
+        throw new HttpError(`Give 1 to ${MAX_BANNED_WORDS} banned words of up to ${MAX_WORD_LENGTH} characters`, 400);
+      }
+      return { words };
+    },
+    check(config, { text }) {
+      const pattern = new RegExp(
+        `(^|[^\\p{L}\\p{N}_])(${config.words.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}_])`,
+        'iu'
+      );
+      return pattern.test(text) ? 'Message contains a banned word' : null;
+    }
+  },
+
+  regex: {
+    normalize(config) {
+      const pattern = typeof config.pattern === 'string' ? config.pattern : '';
+      const flags = typeof config.flags === 'string' ? config.flags : 'i';
+      if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+        throw new HttpError(`Pattern must be 1 to ${MAX_PATTERN_LENGTH} characters`, 400);
+      }
+      if (!/^[imsu]*$/.test(flags)) {
+        throw new HttpError('Pattern flags can only be i, m, s and u', 400);
+      }
+      try {
+        new RegExp(pattern, flags);
+      } catch (error) {
+        throw new HttpError(`Invalid pattern: ${error.message}`, 400);
+      }
+      if (isBacktrackProne(pattern)) {
+        throw new HttpError(
+          'Pattern repeats a group holding a repeat, an alternation or a backreference, like (a+)+ or (a|aa)* - this can hang the room',
+          400
+        );
+      }
+      return { pattern, flags };
+    },
+    check(config, { text }) {
+      return new RegExp(config.pattern, config.flags).test(text.slice(0, MAX_PATTERN_TEXT))
+        ? 'Message matches a blocked pattern'
+        : null;
+    }
+  },
+
+  maxLinks: {
+    normalize(config) {
+      return { max: toInteger(config.max, 0, 100, 'Link limit') };
+    },
+    check(config, { text }) {
+      return countMatches(text, LINK_PATTERN) > config.max
+        ? `Too many links (at most ${config.max})`
+        : null;
+    }
+  },
+
+  // Share of upper-case letters, for messages with enough letters to judge
+  capsRatio: {
+    normalize(config) {
+      const max = Number(config.max);
+      if (!(max > 0 && max < 1)) {
+        throw new HttpError('Caps ratio must be between 0 and 1', 400);
+      }
+      return { max, minLetters: toInteger(config.minLetters ?? 10, 1, 1000, 'Minimum letters') };
+    },
+    check(config, { text }) {
+      const letters = countMatches(text, /\p{L}/gu);
+      if (letters < config.minLetters) return null;
+      return countMatches(text, /\p{Lu}/gu) / letters > config.max ? 'Too many capital letters' : null;
+    }
+  },
+
+  maxMentions: {
+    normalize(config) {
+      return { max: toInteger(config.max, 0, 100, 'Mention limit') };
+    },
+    check(config, { text }) {
+      return countMatches(text, MENTION_PATTERN) > config.max
+        ? `Too many mentions (at most ${config.max})`
+        : null;
+    }
+  },
+
+  // The same character more than `max` times in a row
+  repeatedChars: {
+    normalize(config) {
+      return { max: toInteger(config.max, 2, 1000, 'Repeat limit') };
+    },
+    check(config, { text }) {
+      return new RegExp(`(.)\\1{${config.max}}`, 'su').test(text) ? 'Too many repeated characters' : null;
+    }
+  },
+
+  // Accounts younger than minAgeMinutes (and guests and unverified nicknames, which have no history)
+  // can't post at all, or can't post links or files
+  newAccount: {
+    normalize(config) {
+      const scope = config.scope || 'all';
+      if (!NEW_ACCOUNT_SCOPES.includes(scope)) {
+        throw new HttpError(`Scope must be one of: ${NEW_ACCOUNT_SCOPES.join(', ')}`, 400);
+      }
+      return { minAgeMinutes: toInteger(config.minAgeMinutes, 1, 365 * 24 * 60, 'Minimum account age'), scope };
+    },
+    check(config, { text, attachmentCount, accountAge }) {
+      if (accountAge >= config.minAgeMinutes * 60 * 1000) return null;
+      if (config.scope === 'links' && countMatches(text, LINK_PATTERN) === 0) return null;
+      if (config.scope === 'attachments' && attachmentCount === 0) return null;
+
+      const what = { all: 'post here', links: 'post links', attachments: 'post files' }[config.scope];
+      return `New accounts can't ${what} yet`;
+    }
+  }
+};
+
+export const AUTOMOD_RULE_TYPES = Object.keys(RULE_TYPES);
+
+// A rule as sent by a moderator, checked and cleaned up; throws a 400 HttpError if it makes no sense
+export function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new HttpError('Missing rule', 400);
+  }
+
+  if (!Object.hasOwn(RULE_TYPES, rule.type)) {
+    throw new HttpError(`Rule type must be one of: ${AUTOMOD_RULE_TYPES.join(', ')}`, 400);
+  }
+  if (!AUTOMOD_ACTIONS.includes(rule.action)) {
+    throw new HttpError(`Action must be one of: ${AUTOMOD_ACTIONS.join(', ')}`, 400);
+  }
+
+  return {
+    type: rule.type,
+    config: RULE_TYPES[rule.type].normalize(rule.config || {}),
+    action: rule.action,
+    muteMinutes: rule.action === 'mute'
+      ? toInteger(rule.muteMinutes ?? DEFAULT_MUTE_MINUTES, 1, MAX_MUTE_MINUTES, 'Mute duration')
+      : null
+  };
+}
+
+// The strictest rule the message breaks as { rule, reason }, or null if it's fine
+export function evaluateRules(rules, message) {
+  let verdict = null;
+  for (const rule of rules) {
+    const reason = Object.hasOwn(RULE_TYPES, rule.type) ? RULE_TYPES[rule.type].check(rule.config, message) : null;
+    if (reason && (!verdict || AUTOMOD_ACTIONS.indexOf(rule.action) > AUTOMOD_ACTIONS.indexOf(verdict.rule.action))) {
+      verdict = { rule, reason };
+    }
+  }
+  return verdict;
+}
@@ -1,127 +1,343 @@
-// Helper for CORS responses
-function jsonResponse(data) {
-  return new Response(JSON.stringify(data), {
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Auth-User',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Content-Type': 'application/json'
-    }
-  });
+import { migrateSchema } from './schema.js';
+import { verifySession, getSessionToken } from './auth.js';
+import { jsonResponse, textResponse, errorResponse, drainBody, rateLimitResponse, CORS_HEADERS, HttpError } from './http.js';
+import { DEFAULT_ROOMS, getDirectory, getInbox, getConversationId, internalRequest } from './rooms.js';
+import { RateLimiter, parseRateLimits } from './rateLimit.js';
+import { normalizeRule, evaluateRules } from './automod.js';
+import { parseUploadLimits, getUploadLimit } from './uploads.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const PRESENCE_TIMEOUT = 60000; // 1 minute timeout
+const DEFAULT_INVITE_HOURS = 24;
+const MAX_INVITE_HOURS = 24 * 7;
+const MAX_JOIN_MESSAGE_LENGTH = 200;
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const MAX_REACTIONS_PER_MESSAGE = 20; // distinct emoji
+const REPLY_SNIPPET_LENGTH = 100;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const UNSENT_ATTACHMENT_TTL = 24 * 60 * 60 * 1000; // uploads never attached to a message
+const MULTIPART_UPLOAD_TTL = 24 * 60 * 60 * 1000; // uploads in parts never finished
+const TYPING_TIMEOUT = 6000; // a typing signal shows for this long unless renewed
+const TYPING_THROTTLE = 2000; // signals from one user closer together than this aren't rebroadcast
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_SEARCH_TERMS = 20;
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+const MAX_AUDIT_EXPORT = 10000;
+const AUDIT_EXCERPT_LENGTH = 500; // of deleted or blocked messages
+const DEFAULT_KICK_MINUTES = 5;
+const MAX_KICK_MINUTES = 24 * 60;
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+const PM_HISTORY_LIMIT = 100; // per conversation
+const INBOX_PREVIEW_LENGTH = 100;
+const INBOX_SOCKET_TAG = 'inbox:'; // can't clash with a room id, which is what room sockets are tagged with
+const KEY_COORDINATE = /^[\w-]{43}$/; // one base64url-encoded P-256 coordinate
+const AES_GCM_IV = /^[A-Za-z0-9+/]{16}$/; // 12 bytes, base64-encoded
+const ENCRYPTED_TEXT = /^[A-Za-z0-9+/]+={0,2}$/; // salt, iv and ciphertext as base64, as clients encrypt room messages
+
+// Higher rank can manage lower ranks
+const ROLE_RANKS = { member: 0, moderator: 1, owner: 2 };
+const ROLE_NAMES = { member: 'a member', moderator: 'a moderator', owner: 'an owner' };
+
+// A moderator-supplied duration in whole minutes; empty gives the fallback (null meaning no end)
+function parseMinutes(value, fallback, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > max) {
+    throw new HttpError(`Duration must be a whole number of minutes from 1 to ${max}`, 400);
+  }
+  return minutes;
 }
 
-function textResponse(text, status = 200) {
-  return new Response(text, {
-    status,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Auth-User',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Content-Type': 'text/plain'
-    }
-  });
+function formatMinutes(minutes) {
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// A published ECDH key: a P-256 public key as JWK, keeping only the public fields
+function parsePublicKey(key) {
+  if (!key || key.kty !== 'EC' || key.crv !== 'P-256' || !KEY_COORDINATE.test(key.x) || !KEY_COORDINATE.test(key.y)) {
+    throw new HttpError('Public keys are P-256 JWKs', 400);
+  }
+  return { kty: 'EC', crv: 'P-256', x: key.x, y: key.y };
+}
+
+// A PM as clients see it; encrypted ones carry the iv and ciphertext for text
+function rowToPrivateMessage(row) {
+  const message = { id: row.id, from: row.sender, to: row.recipient, text: row.text, time: row.time };
+  if (row.iv) message.iv = row.iv;
+  return message;
 }
 
 export default class ChatRoom {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this.cleanupTimer = setInterval(() => this.cleanupUsers(), 30000);
-    
-    // Initialize moderators and banned users
-    this.initializeModerationData();
+    this.sql = state.storage.sql;
+    this.typing = new Map(); // room -> Map(lowercased username -> { username, signaledAt, expires }), memory only
+    this.rateLimiter = new RateLimiter(parseRateLimits(env.RATE_LIMITS)); // memory only, like typing
+    this.uploadLimits = parseUploadLimits(env.UPLOAD_LIMITS);
+
+    // Bring the schema up to date before serving any requests
+    state.blockConcurrencyWhile(async () => {
+      migrateSchema(this.sql);
+      await this.migrateLegacyStorage();
+      await this.migrateLegacyReplies();
+      await this.migrateLegacyFiles();
+      await this.migrateLegacyPrivateMessages();
+      // Rows from before alarms, or from a room that was evicted with its alarm unset
+      await this.scheduleNextCleanup();
+    });
   }
 
-  async initializeModerationData() {
-    // Set default moderators if none exist
-    const moderators = await this.state.storage.get('moderators');
-    if (!moderators) {
-      await this.state.storage.put('moderators', ['admin', 'mod']);
+  // One-time move from the old per-room key/value blobs into SQL tables
+  async migrateLegacyStorage() {
+    if (await this.state.storage.get('legacy_storage_migrated')) return;
+
+    const messageLists = await this.state.storage.list({ prefix: 'messages:' });
+    for (const [key, messages] of messageLists) {
+      const room = key.substring('messages:'.length);
+      messages.forEach((msg, index) => {
+        this.sql.exec(
+          'INSERT OR IGNORE INTO messages (id, room, user, text, time, system) VALUES (?, ?, ?, ?, ?, ?)',
+          msg.id || `msg_${msg.time}_${index}`, room, msg.user, msg.text, msg.time, msg.system ? 1 : 0
+        );
+      });
+      await this.state.storage.delete(key);
     }
-    
-    // Initialize banned users if none exist
-    const bannedUsers = await this.state.storage.get('banned_users');
-    if (!bannedUsers) {
-      await this.state.storage.put('banned_users', {});
+
+    const tombstoneLists = await this.state.storage.list({ prefix: 'tombstones:' });
+    for (const [key, tombstones] of tombstoneLists) {
+      const room = key.substring('tombstones:'.length);
+      for (const tombstone of tombstones) {
+        this.sql.exec(
+          'INSERT OR IGNORE INTO tombstones (id, room, deleted_at) VALUES (?, ?, ?)',
+          tombstone.id, room, tombstone.deletedAt
+        );
+      }
+      await this.state.storage.delete(key);
+    }
+
+    const userLists = await this.state.storage.list({ prefix: 'users:' });
+    for (const [key, users] of userLists) {
+      const room = key.substring('users:'.length);
+      for (const [username, lastSeen] of Object.entries(users)) {
+        this.sql.exec(
+          'INSERT OR REPLACE INTO users (room, username, last_seen) VALUES (?, ?, ?)',
+          room, username, lastSeen
+        );
+      }
+      await this.state.storage.delete(key);
+    }
+
+    const kickLists = await this.state.storage.list({ prefix: 'kicked_users:' });
+    for (const [key, kickedUsers] of kickLists) {
+      const room = key.substring('kicked_users:'.length);
+      for (const [username, kick] of Object.entries(kickedUsers)) {
+        this.sql.exec(
+          'INSERT OR REPLACE INTO kicks (room, username, kicked_by, reason, timestamp, expires) VALUES (?, ?, ?, ?, ?, ?)',
+          room, username, kick.kickedBy, kick.reason || '', kick.timestamp, kick.expires
+        );
+      }
+      await this.state.storage.delete(key);
+    }
+
+    const bannedUsers = await this.state.storage.get('banned_users') || {};
+    for (const [username, ban] of Object.entries(bannedUsers)) {
+      this.sql.exec(
+        'INSERT OR REPLACE INTO bans (username, banned_by, reason, timestamp, expires) VALUES (?, ?, ?, ?, ?)',
+        username, ban.bannedBy, ban.reason || '', ban.timestamp, ban.expires ?? null
+      );
+    }
+    await this.state.storage.delete('banned_users');
+
+    await this.state.storage.put('legacy_storage_migrated', true);
+  }
+
+  // One-time move of "@reply:<id>:<user>: text" messages to the reply_to column.
+  // updated_at is bumped so cached clients pick up the cleaned text on their next sync.
+  async migrateLegacyReplies() {
+    if (await this.state.storage.get('legacy_replies_migrated')) return;
+
+    const rows = this.sql.exec("SELECT id, room, text FROM messages WHERE text LIKE '@reply:%'").toArray();
+    const now = Date.now();
+    for (const row of rows) {
+      const reply = this.parseLegacyReply(row.room, row.text);
+      if (!reply) continue;
+      this.sql.exec(
+        'UPDATE messages SET text = ?, reply_to = ?, updated_at = ? WHERE id = ?',
+        reply.text, reply.replyTo, now, row.id
+      );
+    }
+
+    await this.state.storage.put('legacy_replies_migrated', true);
+  }
+
+  // One-time move of "FILE:{json}" messages to attachment rows. Only JSON pointing at our own
+  // /files/ storage or an inline data: URL is carried over; anything else stays as plain text.
+  async migrateLegacyFiles() {
+    if (await this.state.storage.get('legacy_files_migrated')) return;
+
+    const rows = this.sql.exec("SELECT id, room, user, text, time FROM messages WHERE text LIKE 'FILE:%'").toArray();
+    const now = Date.now();
+    for (const row of rows) {
+      let file;
+      try {
+        file = JSON.parse(row.text.substring(5));
+      } catch (e) {
+        continue;
+      }
+      if (!file || typeof file.name !== 'string' || typeof file.type !== 'string' || typeof file.url !== 'string' ||
+          !/^(\/files\/[\w.-]+|data:[\w.+\/-]+;base64,)/.test(file.url)) {
+        continue;
+      }
+
+      this.sql.exec(
+        'INSERT OR IGNORE INTO attachments (id, room, message_id, uploaded_by, name, type, size, url, uploaded_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        `att_${row.id}`, row.room, row.id, row.user, file.name, file.type, Number(file.size) || 0, file.url,
+        Date.parse(file.uploadedAt) || row.time
+      );
+      this.sql.exec("UPDATE messages SET text = '', updated_at = ? WHERE id = ?", now, row.id);
+    }
+
+    await this.state.storage.put('legacy_files_migrated', true);
+  }
+
+  // One-time move of the "pm:<conversationId>" message lists into private_messages. The pair comes
+  // from each message's own from/to, since the id can't be split back into two names.
+  async migrateLegacyPrivateMessages() {
+    if (await this.state.storage.get('legacy_pms_migrated')) return;
+
+    const conversations = await this.state.storage.list({ prefix: 'pm:' });
+    for (const [key, messages] of conversations) {
+      messages.forEach((msg, index) => {
+        if (!msg.from || !msg.to) return;
+        const [userA, userB] = this.getParticipants(msg.from, msg.to);
+        this.sql.exec(
+          'INSERT OR IGNORE INTO private_messages (id, user_a, user_b, sender, recipient, text, time) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          msg.id || `pm_${msg.time}_${index}`, userA, userB, msg.from, msg.to, String(msg.text || ''), msg.time
+        );
+      });
+      await this.state.storage.delete(key);
+    }
+
+    await this.state.storage.put('legacy_pms_migrated', true);
+  }
+
+  // Nothing polls: the alarm goes off at the earliest expiry of anything below, sweeps what's due
+  // and sets itself for the next one. A room with nothing left to expire can sleep.
+  async alarm() {
+    await this.cleanupUsers();
+    await this.scheduleNextCleanup();
+  }
+
+  // When the next presence, ban, kick, mute, invite, unsent or unfinished upload runs out, or null
+  getNextExpiry() {
+    const row = this.sql.exec(
+      `SELECT
+         (SELECT MIN(last_seen) + ? FROM users) AS presence,
+         (SELECT MIN(expires) FROM bans) AS ban,
+         (SELECT MIN(expires) FROM kicks) AS kick,
+         (SELECT MIN(expires) FROM mutes) AS mute,
+         (SELECT MIN(expires_at) FROM invites) AS invite,
+         (SELECT MIN(uploaded_at) + ? FROM attachments WHERE message_id IS NULL) AS upload,
+         (SELECT MIN(started_at) + ? FROM multipart_uploads) AS multipart`,
+      PRESENCE_TIMEOUT, UNSENT_ATTACHMENT_TTL, MULTIPART_UPLOAD_TTL
+    ).one();
+    const times = Object.values(row).filter(time => time !== null);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  async scheduleNextCleanup() {
+    const next = this.getNextExpiry();
+    if (next === null) {
+      await this.state.storage.deleteAlarm();
+    } else {
+      await this.state.storage.setAlarm(Math.max(next, Date.now()));
+    }
+  }
+
+  // Something new expires at `time`; bring the alarm forward if it would go off later than that
+  async scheduleCleanup(time) {
+    const current = await this.state.storage.getAlarm();
+    if (current === null || time < current) {
+      await this.state.storage.setAlarm(time);
     }
   }
 
   async cleanupUsers() {
     try {
-      const rooms = await this.state.storage.list({ prefix: 'users:' });
-      const now = Date.now();
-      const TIMEOUT = 60000; // 1 minute timeout
-
-      for (const [key, users] of rooms) {
-        const activeUsers = {};
-        let changed = false;
-
-        for (const [username, lastSeen] of Object.entries(users)) {
-          if (now - lastSeen < TIMEOUT) {
-            activeUsers[username] = lastSeen;
-          } else {
-            changed = true;
-          }
-        }
+      const expired = this.sql.exec(
+        'DELETE FROM users WHERE last_seen <= ? RETURNING room',
+        Date.now() - PRESENCE_TIMEOUT
+      ).toArray();
 
-        if (changed) {
-          if (Object.keys(activeUsers).length > 0) {
-            await this.state.storage.put(key, activeUsers);
-          } else {
-            await this.state.storage.delete(key);
-          }
-        }
+      const rooms = new Set(expired.map(row => row.room));
+      for (const room of rooms) {
+        await this.broadcastPresence(room);
       }
 
+      this.rateLimiter.prune();
+
       // Clean up expired bans
       await this.cleanupExpiredBans();
       
       // Clean up expired kicks
       await this.cleanupExpiredKicks();
+
+      // Clean up expired mutes
+      await this.cleanupExpiredMutes();
+
+      // Clean up expired invite links
+      await this.cleanupExpiredInvites();
+      await this.cleanupUnsentAttachments();
+      await this.cleanupUnfinishedUploads();
     } catch (error) {
       console.error('Cleanup error:', error);
     }
   }
 
   async cleanupExpiredKicks() {
-    const kickLists = await this.state.storage.list({ prefix: 'kicked_users:' });
-    const now = Date.now();
-    
-    for (const [key, kickedUsers] of kickLists) {
-      let changed = false;
-      
-      for (const [username, kick] of Object.entries(kickedUsers)) {
-        if (now > kick.expires) {
-          delete kickedUsers[username];
-          changed = true;
-        }
-      }
-      
-      if (changed) {
-        if (Object.keys(kickedUsers).length > 0) {
-          await this.state.storage.put(key, kickedUsers);
-        } else {
-          await this.state.storage.delete(key);
-        }
-      }
-    }
+    this.sql.exec('DELETE FROM kicks WHERE expires <= ?', Date.now());
+  }
+
+  async cleanupExpiredMutes() {
+    this.sql.exec('DELETE FROM mutes WHERE expires IS NOT NULL AND expires <= ?', Date.now());
   }
 
   async cleanupExpiredBans() {
-    const bannedUsers = await this.state.storage.get('banned_users') || {};
-    const now = Date.now();
-    let changed = false;
+    this.sql.exec('DELETE FROM bans WHERE expires IS NOT NULL AND expires <= ?', Date.now());
+  }
 
-    for (const [username, ban] of Object.entries(bannedUsers)) {
-      if (ban.expires && now > ban.expires) {
-        delete bannedUsers[username];
-        changed = true;
+  async cleanupExpiredInvites() {
+    this.sql.exec('DELETE FROM invites WHERE expires_at <= ?', Date.now());
+  }
+
+  async cleanupUnsentAttachments() {
+    this.sql.exec('DELETE FROM attachments WHERE message_id IS NULL AND uploaded_at <= ?', Date.now() - UNSENT_ATTACHMENT_TTL);
+  }
+
+  // Abandoned uploads in parts: abort them so R2 drops the parts it's holding
+  async cleanupUnfinishedUploads() {
+    const stale = this.sql.exec(
+      'SELECT upload_id, object_key FROM multipart_uploads WHERE started_at <= ?', Date.now() - MULTIPART_UPLOAD_TTL
+    ).toArray();
+    for (const row of stale) {
+      if (this.env.FILE_BUCKET) {
+        try {
+          await this.env.FILE_BUCKET.resumeMultipartUpload(row.object_key, row.upload_id).abort();
+        } catch (error) {
+          console.error('Aborting upload failed:', error);
+        }
       }
+      this.deleteMultipartUpload(row.upload_id);
     }
+  }
 
-    if (changed) {
-      await this.state.storage.put('banned_users', bannedUsers);
-    }
+  deleteMultipartUpload(uploadId) {
+    this.sql.exec('DELETE FROM multipart_parts WHERE upload_id = ?', uploadId);
+    this.sql.exec('DELETE FROM multipart_uploads WHERE upload_id = ?', uploadId);
   }
 
   async updateUserPresence(room, username) {
@@ -130,77 +346,292 @@ export default class ChatRoom {
       return { error: 'User is kicked from this room' };
     }
     
-    const key = `users:${room}`;
-    const users = await this.state.storage.get(key) || {};
-    users[username] = Date.now();
-    await this.state.storage.put(key, users);
-    return users;
+    const isNew = this.sql.exec(
+      'SELECT 1 FROM users WHERE room = ? AND username = ? AND last_seen >= ?',
+      room, username, Date.now() - PRESENCE_TIMEOUT
+    ).toArray().length === 0;
+
+    const now = Date.now();
+    this.sql.exec(
+      `INSERT INTO users (room, username, last_seen) VALUES (?, ?, ?)
+       ON CONFLICT (room, username) DO UPDATE SET last_seen = excluded.last_seen`,
+      room, username, now
+    );
+    await this.scheduleCleanup(now + PRESENCE_TIMEOUT);
+
+    // Let live clients know someone joined
+    if (isNew) {
+      await this.broadcastPresence(room);
+    }
+    return { success: true };
   }
 
-  async getUsers(room) {
-    const key = `users:${room}`;
-    const users = await this.state.storage.get(key) || {};
+  async removeUserPresence(room, username) {
+    const cursor = this.sql.exec('DELETE FROM users WHERE room = ? AND username = ?', room, username);
+    if (cursor.rowsWritten === 0) return;
+
+    await this.broadcastPresence(room);
+  }
+
+  // Send an event to every live WebSocket connected to a room
+  broadcast(room, event) {
+    const payload = JSON.stringify(event);
+    for (const ws of this.state.getWebSockets(room)) {
+      try {
+        ws.send(payload);
+      } catch (error) {
+        // Socket is closing; webSocketClose will clean it up
+      }
+    }
+  }
+
+  async broadcastPresence(room) {
+    const users = await this.getUsers(room);
+    this.broadcast(room, { type: 'presence', users, userCount: users.length });
+    await this.reportUserCount(room, users.length);
+  }
+
+  // Someone is typing - tell the room, unless they already did a moment ago
+  signalTyping(room, username) {
     const now = Date.now();
-    const TIMEOUT = 60000; // 1 minute timeout
-    
-    // Filter out expired users
-    const activeUsers = {};
-    for (const [username, lastSeen] of Object.entries(users)) {
-      if (now - lastSeen < TIMEOUT) {
-        activeUsers[username] = lastSeen;
+    let typers = this.typing.get(room);
+    if (!typers) {
+      typers = new Map();
+      this.typing.set(room, typers);
+    }
+
+    const key = username.toLowerCase();
+    const current = typers.get(key);
+    if (current && now - current.signaledAt < TYPING_THROTTLE) return;
+
+    typers.set(key, { username, signaledAt: now, expires: now + TYPING_TIMEOUT });
+    this.broadcast(room, { type: 'typing', username, expiresIn: TYPING_TIMEOUT });
+  }
+
+  clearTyping(room, username) {
+    const typers = this.typing.get(room);
+    if (typers) typers.delete(username.toLowerCase());
+  }
+
+  // Who is typing right now (other than `exclude`), with how long each signal has left
+  getTyping(room, exclude = null) {
+    const typers = this.typing.get(room);
+    if (!typers) return [];
+
+    const now = Date.now();
+    const typing = [];
+    for (const [key, typer] of typers) {
+      if (typer.expires <= now) {
+        typers.delete(key);
+      } else if (!exclude || key !== exclude.toLowerCase()) {
+        typing.push({ username: typer.username, expiresIn: typer.expires - now });
       }
     }
-    
-    // Update storage if we filtered anyone out
-    if (Object.keys(activeUsers).length !== Object.keys(users).length) {
-      if (Object.keys(activeUsers).length > 0) {
-        await this.state.storage.put(key, activeUsers);
-      } else {
-        await this.state.storage.delete(key);
+    return typing;
+  }
+
+  // Keep the room directory's live user count current
+  async reportUserCount(room, userCount) {
+    if (!this.env.ROOM_DIRECTORY || !this.getRoomSettings(room)) return;
+    try {
+      await internalRequest(getDirectory(this.env), 'count', { room, userCount });
+    } catch (error) {
+      console.error('Directory update failed:', error);
+    }
+  }
+
+  rowToRoomSettings(row) {
+    return {
+      id: row.room,
+      name: row.name,
+      description: row.description,
+      visibility: row.visibility,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      archived: row.archived_at !== null,
+      // Members need this to check a passphrase before using it
+      ...(row.key_check ? { encrypted: true, keyCheck: row.key_check } : {})
+    };
+  }
+
+  // A room's metadata, or null if the room was never created
+  getRoomSettings(room) {
+    const row = this.sql.exec('SELECT * FROM room_settings WHERE room = ?', room).toArray()[0];
+    if (row) return this.rowToRoomSettings(row);
+
+    // Built-in rooms, and rooms that were used before rooms had to be created, exist implicitly
+    const builtIn = DEFAULT_ROOMS.find(r => r.id === room);
+    const hasHistory = this.sql.exec('SELECT 1 FROM messages WHERE room = ? LIMIT 1', room).toArray().length > 0;
+    if (!builtIn && !hasHistory) return null;
+
+    const settings = {
+      room,
+      name: builtIn ? builtIn.name : room,
+      description: builtIn ? builtIn.description : '',
+      visibility: builtIn ? 'public' : 'unlisted',
+      created_by: null,
+      created_at: Date.now(),
+      archived_at: null
+    };
+    this.sql.exec(
+      'INSERT INTO room_settings (room, name, description, visibility, created_at) VALUES (?, ?, ?, ?, ?)',
+      room, settings.name, settings.description, settings.visibility, settings.created_at
+    );
+
+    if (!builtIn && this.env.ROOM_DIRECTORY) {
+      internalRequest(getDirectory(this.env), 'register', {
+        room, name: settings.name, visibility: settings.visibility, createdAt: settings.created_at
+      }).catch(error => console.error('Directory registration failed:', error));
+    }
+
+    return this.rowToRoomSettings(settings);
+  }
+
+  // Close every live connection a user has open in a room (or in every room when room is null)
+  disconnectUser(room, username, code, reason) {
+    const sockets = room ? this.state.getWebSockets(room) : this.state.getWebSockets();
+    for (const ws of sockets) {
+      const session = ws.deserializeAttachment();
+      if (session && session.user.toLowerCase() === username.toLowerCase()) {
+        try {
+          ws.close(code, reason);
+        } catch (error) {
+          // Already closed
+        }
       }
     }
-    
-    return Object.keys(activeUsers);
   }
 
-  async isModerator(username) {
-    // Only NellowTCS is allowed moderator access
-    return username && username.toLowerCase() === 'nellowtcs';
+  async getUsers(room) {
+    // Filter out expired users
+    this.sql.exec(
+      'DELETE FROM users WHERE room = ? AND last_seen < ?',
+      room, Date.now() - PRESENCE_TIMEOUT
+    );
+
+    return this.sql.exec('SELECT username FROM users WHERE room = ? ORDER BY rowid', room)
+      .toArray()
+      .map(row => row.username);
+  }
+
+  // Accounts listed in the SITE_ADMINS var own every room
+  isSiteAdmin(username) {
+    if (!username) return false;
+    const admins = (this.env.SITE_ADMINS || '').split(',').map(name => name.trim().toLowerCase());
+    return admins.includes(username.toLowerCase());
+  }
+
+  getRole(room, username) {
+    if (!username) return 'member';
+    if (this.isSiteAdmin(username)) return 'owner';
+
+    const row = this.sql.exec('SELECT role FROM roles WHERE room = ? AND username = ?', room, username).toArray()[0];
+    return row ? row.role : 'member';
+  }
+
+  // Guest sessions never carry a role, whatever the name
+  getIdentityRole(room, identity) {
+    return identity.guest ? 'member' : this.getRole(room, identity.username);
+  }
+
+  // Everyone above member in this room, as { username: role }
+  getRoles(room) {
+    const roles = {};
+    for (const admin of (this.env.SITE_ADMINS || '').split(',')) {
+      if (admin.trim()) roles[admin.trim()] = 'owner';
+    }
+
+    const rows = this.sql.exec("SELECT username, role FROM roles WHERE room = ? AND role != 'member' ORDER BY granted_at", room).toArray();
+    for (const row of rows) {
+      if (!this.isSiteAdmin(row.username)) roles[row.username] = row.role;
+    }
+    return roles;
+  }
+
+  // Private rooms only let in people with a role row (any role); every other room is open
+  isMember(room, identity, settings = this.getRoomSettings(room)) {
+    if (!settings || settings.visibility !== 'private') return true;
+    if (!identity || identity.guest) return false;
+    if (this.isSiteAdmin(identity.username)) return true;
+
+    return this.sql.exec('SELECT 1 FROM roles WHERE room = ? AND username = ?', room, identity.username).toArray().length > 0;
+  }
+
+  hasJoinRequest(room, username) {
+    return this.sql.exec('SELECT 1 FROM join_requests WHERE room = ? AND username = ?', room, username).toArray().length > 0;
+  }
+
+  // 403 with enough about the room for the client to offer a join request
+  async notMemberResponse(request, settings, identity) {
+    await drainBody(request);
+    const canRequest = !!identity && !identity.guest;
+
+    return jsonResponse({
+      error: 'Not a member of this room',
+      notMember: true,
+      room: { id: settings.id, name: settings.name, description: settings.description, visibility: settings.visibility },
+      canRequest,
+      joinRequested: canRequest && this.hasJoinRequest(settings.id, identity.username)
+    }, 403);
   }
 
   async isKicked(username, room) {
-    const kickKey = `kicked_users:${room}`;
-    const kickedUsers = await this.state.storage.get(kickKey) || {};
-    const kick = kickedUsers[username.toLowerCase()];
+    const kick = this.sql.exec(
+      'SELECT expires FROM kicks WHERE room = ? AND username = ?',
+      room, username.toLowerCase()
+    ).toArray()[0];
     
     if (!kick) return false;
     
     // Check if kick has expired
     if (Date.now() > kick.expires) {
-      delete kickedUsers[username.toLowerCase()];
-      await this.state.storage.put(kickKey, kickedUsers);
+      this.sql.exec('DELETE FROM kicks WHERE room = ? AND username = ?', room, username.toLowerCase());
       return false;
     }
     
     return true;
   }
 
+  // Muted users can still read the room, just not post in it. Mutes are stored lowercased, as bans are,
+  // so a different casing of the name is still muted.
+  async isMuted(username, room) {
+    const mute = this.sql.exec('SELECT expires FROM mutes WHERE room = ? AND username = ?', room, username.toLowerCase()).toArray()[0];
+
+    if (!mute) return false;
+
+    if (mute.expires !== null && Date.now() > mute.expires) {
+      this.sql.exec('DELETE FROM mutes WHERE room = ? AND username = ?', room, username.toLowerCase());
+      return false;
+    }
+
+    return true;
+  }
+
   async isBanned(username) {
-    const bannedUsers = await this.state.storage.get('banned_users') || {};
-    const ban = bannedUsers[username.toLowerCase()];
+    const ban = this.sql.exec('SELECT expires FROM bans WHERE username = ?', username.toLowerCase()).toArray()[0];
     
     if (!ban) return false;
     
     // Check if ban has expired
-    if (ban.expires !== null && ban.expires !== undefined && Date.now() > ban.expires) {
-      delete bannedUsers[username.toLowerCase()];
-      await this.state.storage.put('banned_users', bannedUsers);
+    if (ban.expires !== null && Date.now() > ban.expires) {
+      this.sql.exec('DELETE FROM bans WHERE username = ?', username.toLowerCase());
       return false;
     }
     
     return true;
   }
 
+  // Seconds the user (and whoever else shares their connection) has to wait before doing this again;
+  // 0 means go ahead, and the attempt has been counted (RATE_LIMITS var)
+  checkRateLimit(action, username, connection) {
+    return this.rateLimiter.take(action, { user: username.toLowerCase(), connection });
+  }
+
+  // The client's IP as Cloudflare saw it; absent for internal requests
+  getConnectionId(request) {
+    return request.headers.get('CF-Connecting-IP');
+  }
+
   async moderateMessage(text, user, room) {
     // Check if user is banned
     if (await this.isBanned(user)) {
@@ -212,13 +643,17 @@ export default class ChatRoom {
       return { allowed: false, reason: 'User is kicked from this room' };
     }
 
+    if (await this.isMuted(user, room)) {
+      return { allowed: false, reason: 'You are muted in this room' };
+    }
+
     // Simple spam detection - check for repeated messages
     const userMessages = await this.state.storage.get(`user_messages:${user}`) || [];
     const now = Date.now();
     const recentMessages = userMessages.filter(msg => now - msg.time < 30000); // 30 seconds
 
-    // Check for identical message in recent history
-    if (recentMessages.some(msg => msg.text === text)) {
+    // Check for identical message in recent history (files sent without a caption have no text to compare)
+    if (text && recentMessages.some(msg => msg.text === text)) {
       return { allowed: false, reason: 'Spam detected' };
     }
 
@@ -231,23 +666,31 @@ export default class ChatRoom {
 
   async fetch(request) {
     if (request.method === 'OPTIONS') {
-      return new Response('', {
-        status: 204,
-        headers: {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Auth-User'
-        }
-      });
+      return new Response('', { status: 204, headers: CORS_HEADERS });
     }
 
     const url = new URL(request.url);
     const parts = url.pathname.split('/');
     const user = url.searchParams.get('user') || 'anon';
 
+    // GET /pm - the caller's inbox (routed here by the worker, to the caller's own inbox object)
+    if (parts[1] === 'pm' && !parts[2]) {
+      return this.handleInbox(request, user);
+    }
+
     // Handle private messages
     if (parts[1] === 'pm') {
-      return this.handlePrivateMessages(request, parts[2], user);
+      return this.handlePrivateMessages(request, parts[2], url, user);
+    }
+
+    // GET/PUT/DELETE /keys/username - the inbox owner's public key for encrypted PMs
+    if (parts[1] === 'keys') {
+      return this.handlePublicKey(request, parts[2], user);
+    }
+
+    // GET /mod/roomname/audit - the room's moderation record
+    if (parts[1] === 'mod' && parts[3] === 'audit') {
+      return this.handleAuditLog(request, parts[2], url, user);
     }
 
     // Handle moderation
@@ -255,108 +698,230 @@ export default class ChatRoom {
       return this.handleModeration(request, parts[2], user);
     }
 
+    // Full-text search over this room's messages
+    if (parts[1] === 'search') {
+      return this.handleSearch(request, url, user);
+    }
+
+    // Calls from other Durable Objects (never routed from outside)
+    if (parts[1] === 'internal') {
+      return this.handleInternal(request, parts[2]);
+    }
+
+    // POST /rooms/roomname/join - join a private room
+    if (parts[1] === 'rooms' && parts[3] === 'join') {
+      return this.handleJoin(request, parts[2], user);
+    }
+
+    // DELETE /rooms/roomname - archive the room
+    if (parts[1] === 'rooms') {
+      return this.handleRoomAdmin(request, parts[2], user);
+    }
+
     // Regular chat room handling
     const room = parts.length > 2 ? parts[2] : 'default';
+    const isUpgrade = request.headers.get('Upgrade') === 'websocket';
+
+    // Rooms have to be created through /rooms first
+    const settings = this.getRoomSettings(room);
+    if (!settings) {
+      return errorResponse(request, new HttpError('Room not found', 404));
+    }
+
+    // Archived rooms stay readable but take no new messages or presence
+    const isLeaving = request.method === 'DELETE' && !url.searchParams.get('messageId');
+    if (settings.archived && (isUpgrade || (request.method !== 'GET' && !isLeaving))) {
+      return errorResponse(request, new HttpError('Room is archived', 410));
+    }
+
+    // Reading is open; posting, heartbeats, leaving and live connections need a verified identity
+    let identity = null;
+    if (isUpgrade || request.method !== 'GET') {
+      try {
+        identity = await this.resolveIdentity(request, user);
+      } catch (error) {
+        return errorResponse(request, error);
+      }
+    }
+
+    // Private rooms serve nothing - messages, presence, live updates, reactions - to non-members
+    let viewer = identity;
+    if (!identity && request.method === 'GET') {
+      viewer = await this.getViewer(request, user);
+    }
+    if (!isLeaving && !this.isMember(room, viewer, settings)) {
+      return this.notMemberResponse(request, settings, viewer);
+    }
+
+    // POST/DELETE /chat/roomname/reactions - react to a message
+    if (parts[3] === 'reactions') {
+      return this.handleReaction(request, room, url, identity);
+    }
 
-    // GET /chat/roomname - Get messages and users
+    // PUT /chat/roomname/read - move the caller's read marker
+    if (parts[3] === 'read') {
+      return this.handleReadMarker(request, room, identity);
+    }
+
+    // WebSocket upgrade - live updates for this room
+    if (isUpgrade) {
+      return this.handleWebSocketUpgrade(room, identity);
+    }
+
+    // GET /chat/roomname?since=&before=&limit= - Get messages and users
     if (request.method === 'GET') {
-      const messages = await this.state.storage.get(`messages:${room}`) || [];
+      const page = await this.getMessagePage(room, url.searchParams);
       const users = await this.getUsers(room);
-      const moderators = ['NellowTCS']; // Only NellowTCS is moderator >:D
+      const roles = this.getRoles(room);
       
-      // Check if user is authenticated as moderator
-      let isModerator = false;
-      if (this.env.AUTH_SECRET) {
-        const authenticatedUser = this.authenticateUser(request);
-        isModerator = authenticatedUser && authenticatedUser.toLowerCase() === 'nellowtcs';
-        console.log('Moderator check:', { 
-          authConfigured: true, 
-          authenticatedUser, 
-          authenticatedUserLower: authenticatedUser?.toLowerCase(),
-          isModerator 
-        });
-      } else {
-        // Fallback to client-supplied user if no auth configured
-        isModerator = user && user.toLowerCase() === 'nellowtcs';
-        console.log('Moderator check (no auth):', { 
-          authConfigured: false, 
-          user, 
-          isModerator 
-        });
-      }
+      // Only trust the viewer's role from a verified session
+      const role = viewer ? this.getIdentityRole(room, viewer) : 'member';
       
       return jsonResponse({
-        messages,
+        ...page,
+        room: { ...settings, maxUploadBytes: getUploadLimit(this.uploadLimits, room) },
         users,
         userCount: users.length,
-        moderators,
-        isModerator
+        moderators: Object.keys(roles),
+        roles,
+        role,
+        isModerator: ROLE_RANKS[role] >= ROLE_RANKS.moderator,
+        editWindow: this.getEditWindow(),
+        typing: this.getTyping(room, viewer ? viewer.username : null),
+        lastRead: viewer ? this.getReadMarker(room, viewer.username) : null
       });
     }
 
     // POST /chat/roomname - Send message
     if (request.method === 'POST') {
-      const { text, messageId } = await request.json();
+      const retryAfter = this.checkRateLimit('message', identity.username, this.getConnectionId(request));
+      if (retryAfter) {
+        return rateLimitResponse(request, retryAfter);
+      }
+
+      const body = await request.json();
+      let { text = '', replyTo } = body;
+      const attachmentIds = body.attachments || [];
       
-      if (!text || typeof text !== 'string') {
+      // Text is optional when files are attached - it's their caption
+      if (typeof text !== 'string' || !Array.isArray(attachmentIds) || (!text && attachmentIds.length === 0)) {
         return textResponse('Invalid message', 400);
       }
+      if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+        return textResponse(`At most ${MAX_ATTACHMENTS_PER_MESSAGE} files per message`, 400);
+      }
+      if (settings.encrypted && text && !ENCRYPTED_TEXT.test(text)) {
+        return textResponse('Messages in this room have to be encrypted with the room passphrase', 400);
+      }
+
+      // Clients from before the reply_to column still send the old text prefix
+      if (!replyTo) {
+        const legacy = this.parseLegacyReply(room, text);
+        if (legacy) ({ text, replyTo } = legacy);
+      }
+
+      // A reply has to point at a message that exists in this room
+      if (replyTo !== undefined && replyTo !== null) {
+        if (typeof replyTo !== 'string' || !this.getMessage(room, replyTo)) {
+          return textResponse('Replied-to message not found', 400);
+        }
+      }
 
       // Moderate message
-      const moderation = await this.moderateMessage(text, user, room);
+      const moderation = await this.moderateMessage(text, identity.username, room);
       if (!moderation.allowed) {
         return textResponse(moderation.reason, 403);
       }
 
+      const attachmentRows = this.getUnsentAttachments(room, attachmentIds, identity);
+      if (!attachmentRows) {
+        return textResponse('Unknown or already sent attachment', 400);
+      }
+
+      // Room automod rules - held messages are stored below, anything else is turned away here.
+      // Rules about the text can't read an encrypted room's ciphertext.
+      const verdict = this.checkAutomod(room, identity, settings.encrypted ? '' : text, attachmentRows.length);
+      if (verdict && verdict.rule.action !== 'hold') {
+        return textResponse(await this.enforceAutomod(room, identity, verdict, text), 403);
+      }
+
       const message = {
-        id: messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        user,
+        id: body.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        user: identity.username,
         text,
         time: Date.now()
       };
+      if (identity.guest) message.guest = true;
+      if (settings.encrypted) message.encrypted = true;
 
       // Store message
-      const key = `messages:${room}`;
-      const messages = await this.state.storage.get(key) || [];
-      messages.push(message);
-      if (messages.length > 1000) messages.shift(); // Keep last 1000 messages
-      await this.state.storage.put(key, messages);
+      if (this.getMessage(room, message.id) || this.getHeldMessage(room, message.id)) {
+        return textResponse('Duplicate message id', 409);
+      }
+      if (verdict) {
+        return this.holdMessage(room, message, replyTo, attachmentIds, verdict.reason);
+      }
+      if (replyTo) {
+        message.replyTo = replyTo;
+        const preview = this.getReplyPreviews(room, [replyTo])[replyTo];
+        if (preview) message.replyPreview = preview;
+      }
+      this.insertMessage(room, message);
+
+      if (attachmentRows.length > 0) {
+        this.sql.exec(
+          'UPDATE attachments SET message_id = ? WHERE room = ? AND id IN (SELECT value FROM json_each(?))',
+          message.id, room, JSON.stringify(attachmentIds)
+        );
+        message.attachments = attachmentRows.map(row => this.rowToAttachment(row));
+      }
+
+      this.clearTyping(room, identity.username);
+      this.broadcast(room, { type: 'message', message });
 
       // Update user presence
-      await this.updateUserPresence(room, user);
+      await this.updateUserPresence(room, identity.username);
 
       return jsonResponse({ success: true, messageId: message.id });
     }
 
-    // PUT /chat/roomname?user=username - Update user presence (heartbeat)
+    // PATCH /chat/roomname?messageId= - Edit own message
+    if (request.method === 'PATCH') {
+      return this.editMessage(request, room, url.searchParams.get('messageId'), identity);
+    }
+
+    // PUT /chat/roomname - Update user presence (heartbeat); clients without a socket send { typing: true } here too
     if (request.method === 'PUT') {
-      await this.updateUserPresence(room, user);
+      const retryAfter = this.checkRateLimit('heartbeat', identity.username, this.getConnectionId(request));
+      if (retryAfter) {
+        return rateLimitResponse(request, retryAfter);
+      }
+
+      const { typing } = await request.json().catch(() => ({}));
+      if (typing) {
+        this.signalTyping(room, identity.username);
+      }
+
+      await this.updateUserPresence(room, identity.username);
       const users = await this.getUsers(room);
       
       return jsonResponse({
         users,
-        userCount: users.length
+        userCount: users.length,
+        typing: this.getTyping(room, identity.username)
       });
     }
 
-    // DELETE /chat/roomname?user=username - User leaving or delete message
+    // DELETE /chat/roomname - User leaving or delete message
     if (request.method === 'DELETE') {
       const messageId = url.searchParams.get('messageId');
       
       if (messageId) {
         // Delete specific message
-        return this.deleteMessage(room, messageId, user, request);
+        return this.deleteMessage(room, messageId, identity);
       } else {
         // User leaving room
-        const key = `users:${room}`;
-        const users = await this.state.storage.get(key) || {};
-        delete users[user];
-        
-        if (Object.keys(users).length > 0) {
-          await this.state.storage.put(key, users);
-        } else {
-          await this.state.storage.delete(key);
-        }
+        await this.removeUserPresence(room, identity.username);
 
         return textResponse('OK');
       }
@@ -365,145 +930,1210 @@ export default class ChatRoom {
     return textResponse('Method not allowed', 405);
   }
 
-  // Authenticate user from request headers/session
-  authenticateUser(request) {
-    // Simple auth via X-Auth-Token header matching server secret
-    const authToken = request.headers.get('X-Auth-Token');
-    const expectedToken = this.env.AUTH_SECRET; // Cloudflare secret
-    
-    console.log('Auth check:', { 
-      hasToken: !!authToken, 
-      hasSecret: !!expectedToken,
-      tokensMatch: authToken === expectedToken 
-    });
-    
-    if (!authToken || !expectedToken) {
-      return null; // No auth configured or provided
-    }
-    
-    if (authToken !== expectedToken) {
-      return null; // Invalid token
-    }
-    
-    // Extract authenticated user from X-Auth-User header
-    const authenticatedUser = request.headers.get('X-Auth-User');
-    console.log('Authenticated user:', authenticatedUser);
-    return authenticatedUser || null;
-  }
+  async handleInternal(request, action) {
+    const data = await request.json();
 
-  // Verify user has permission for action (either owns resource or is authenticated)
-  async verifyUserPermission(request, targetUser, requireModerator = false) {
-    const authenticatedUser = this.authenticateUser(request);
-    
-    // If authentication is configured, require it
-    if (this.env.AUTH_SECRET) {
-      if (!authenticatedUser) {
-        throw new Error('Authentication required');
+    // Called by the room directory when someone creates this room
+    if (action === 'setup') {
+      if (this.sql.exec('SELECT 1 FROM room_settings WHERE room = ?', data.room).toArray().length > 0 ||
+          DEFAULT_ROOMS.some(r => r.id === data.room) ||
+          this.sql.exec('SELECT 1 FROM messages WHERE room = ? LIMIT 1', data.room).toArray().length > 0) {
+        return textResponse(`Room "${data.room}" already exists`, 409);
       }
-      
-      // Use authenticated identity instead of trusting client-supplied user
-      const userToCheck = authenticatedUser;
-      
-      if (requireModerator) {
-        const isMod = await this.isModerator(userToCheck);
-        if (!isMod) {
-          throw new Error('Moderator privileges required');
+
+      const now = Date.now();
+      this.sql.exec(
+        'INSERT INTO room_settings (room, name, description, visibility, created_by, created_at, key_check) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        data.room, data.name, data.description, data.visibility, data.owner, now, data.keyCheck || null
+      );
+      this.sql.exec(
+        "INSERT OR REPLACE INTO roles (room, username, role, granted_by, granted_at) VALUES (?, ?, 'owner', ?, ?)",
+        data.room, data.owner, data.owner, now
+      );
+      this.addSystemMessage(data.room, 'sys_room', `Room #${data.name} created by ${data.owner}`);
+
+      return jsonResponse({ success: true });
+    }
+
+    // Inbox objects: a conversation got a new message or was read.
+    // Sending counts as having read everything before it. Encrypted previews are kept whole so
+    // the owner can still decrypt them.
+    if (action === 'inbox') {
+      const { owner, other, message, unread } = data;
+      const preview = message.iv ? message.text : message.text.substring(0, INBOX_PREVIEW_LENGTH);
+      this.sql.exec(
+        `INSERT INTO pm_inbox (owner, other, last_from, last_text, last_iv, last_time, unread) VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (owner, other) DO UPDATE SET
+           last_from = excluded.last_from, last_text = excluded.last_text, last_iv = excluded.last_iv,
+           last_time = excluded.last_time, unread = CASE WHEN excluded.unread = 0 THEN 0 ELSE unread + 1 END`,
+        owner, other, message.from, preview, message.iv || null, message.time, unread ? 1 : 0
+      );
+      this.broadcast(INBOX_SOCKET_TAG, { type: 'pm', message, unread: this.getInboxSummary(owner).unread });
+      return jsonResponse({ success: true });
+    }
+    if (action === 'inboxRead') {
+      const cursor = this.sql.exec(
+        'UPDATE pm_inbox SET unread = 0 WHERE owner = ? AND other = ? AND unread > 0', data.owner, data.other
+      );
+      if (cursor.rowsWritten > 0) {
+        this.broadcast(INBOX_SOCKET_TAG, { type: 'pmRead', with: data.other, unread: this.getInboxSummary(data.owner).unread });
+      }
+      return jsonResponse({ success: true });
+    }
+    // Called by a conversation object before it stores a PM. Each conversation is its own object,
+    // so the sender's PM budget is kept here, in their inbox, to cover everyone they write to.
+    if (action === 'pmRateLimit') {
+      const retryAfter = this.checkRateLimit('pm', data.username, data.connection);
+      if (retryAfter) {
+        return rateLimitResponse(request, retryAfter);
+      }
+      return jsonResponse({ success: true });
+    }
+
+    // Called by the upload handler once the file is stored; messages attach it by the returned id
+    if (action === 'attachment') {
+      return jsonResponse({ attachment: await this.addAttachment(data) });
+    }
+
+    // Uploads in parts (see uploads.js): started once the room has let the file in, then looked up
+    // by whoever started them, one stored part at a time, until finished or given up
+    if (action === 'multipartStart') {
+      const startedAt = Date.now();
+      this.sql.exec(
+        'INSERT INTO multipart_uploads (upload_id, room, object_key, uploaded_by, guest, name, type, size, started_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        data.uploadId, data.room, data.key, data.username, data.guest ? 1 : 0, data.name, data.type, data.size, startedAt
+      );
+      // Aborted if it isn't finished in time
+      await this.scheduleCleanup(startedAt + MULTIPART_UPLOAD_TTL);
+      return jsonResponse({ success: true });
+    }
+    if (action.startsWith('multipart')) {
+      const row = this.sql.exec(
+        'SELECT * FROM multipart_uploads WHERE upload_id = ? AND room = ? AND uploaded_by = ? AND guest = ?',
+        data.uploadId, data.room, data.username, data.guest ? 1 : 0
+      ).toArray()[0];
+      if (!row) {
+        return textResponse('Upload not found', 404);
+      }
+      // Asked again for every part and before finishing, so someone kicked, banned or muted since they
+      // started - or a room archived meanwhile - gets no further. Giving up is always allowed.
+      if (data.write) {
+        const refusal = await this.checkUploadAccess(row.room, { username: row.uploaded_by, guest: !!row.guest });
+        if (refusal) return refusal;
+      }
+
+      if (action === 'multipartUpload') {
+        const parts = this.sql.exec(
+          'SELECT part_number, etag FROM multipart_parts WHERE upload_id = ? ORDER BY part_number', row.upload_id
+        ).toArray().map(part => ({ partNumber: part.part_number, etag: part.etag }));
+        return jsonResponse({ upload: { key: row.object_key, name: row.name, type: row.type, size: row.size, parts } });
+      }
+      if (action === 'multipartPart') {
+        this.sql.exec(
+          'INSERT OR REPLACE INTO multipart_parts (upload_id, part_number, etag) VALUES (?, ?, ?)',
+          row.upload_id, data.part.partNumber, data.part.etag
+        );
+        return jsonResponse({ success: true });
+      }
+      // Finished (with the stored file's url) or given up
+      if (action === 'multipartDone') {
+        this.deleteMultipartUpload(row.upload_id);
+        if (!data.url) return jsonResponse({ success: true });
+        const attachment = await this.addAttachment({
+          room: row.room, username: row.uploaded_by, guest: !!row.guest,
+          name: row.name, type: row.type, size: row.size, url: data.url
+        });
+        return jsonResponse({ attachment });
+      }
+    }
+
+    // Called by the worker's /unread endpoint, once per room the client asks about
+    if (action === 'unread') {
+      const settings = this.getRoomSettings(data.room);
+      if (!settings || !this.isMember(data.room, { username: data.username, guest: !!data.guest }, settings)) {
+        return textResponse('Not a member of this room', 403);
+      }
+      return jsonResponse(this.countUnread(data.room, data.username));
+    }
+
+    // Called by the upload handler before it stores a file for this room
+    if (action === 'access') {
+      const refusal = await this.checkUploadAccess(data.room, { username: data.username, guest: !!data.guest });
+      if (refusal) return refusal;
+
+      const settings = this.getRoomSettings(data.room);
+      const retryAfter = this.checkRateLimit('upload', data.username, data.connection);
+      if (retryAfter) {
+        return rateLimitResponse(request, retryAfter);
+      }
+      // Files for encrypted rooms arrive already encrypted
+      return jsonResponse({ success: true, encrypted: !!settings.encrypted });
+    }
+
+    return textResponse('Not found', 404);
+  }
+
+  // Redeem an invite link, or leave a request for the room's moderators to approve
+  async handleJoin(request, room, user) {
+    if (request.method !== 'POST') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+
+    try {
+      const identity = await this.resolveIdentity(request, user);
+      const { invite, message } = await request.json();
+
+      const settings = this.getRoomSettings(room);
+      if (!settings) {
+        return textResponse('Room not found', 404);
+      }
+      if (settings.archived) {
+        return textResponse('Room is archived', 410);
+      }
+      if (this.isMember(room, identity, settings)) {
+        return jsonResponse({ success: true, member: true });
+      }
+      if (identity.guest) {
+        return textResponse('Guests cannot join private rooms - register an account first', 403);
+      }
+      if (await this.isBanned(identity.username)) {
+        return textResponse('User is banned', 403);
+      }
+
+      if (invite) {
+        const row = this.sql.exec('SELECT * FROM invites WHERE token = ? AND room = ?', String(invite), room).toArray()[0];
+        if (!row || row.expires_at < Date.now() || (row.max_uses !== null && row.uses >= row.max_uses)) {
+          return textResponse('This invite link is invalid or has expired', 403);
         }
+
+        this.sql.exec('UPDATE invites SET uses = uses + 1 WHERE token = ?', row.token);
+        const systemMessage = this.addMember(room, identity.username, row.created_by, `${identity.username} joined with an invite from ${row.created_by}`);
+        return jsonResponse({ success: true, member: true, systemMessage });
       }
+
+      const note = typeof message === 'string' ? message.trim().substring(0, MAX_JOIN_MESSAGE_LENGTH) : '';
+      this.sql.exec(
+        `INSERT INTO join_requests (room, username, message, requested_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (room, username) DO UPDATE SET message = excluded.message, requested_at = excluded.requested_at`,
+        room, identity.username, note, Date.now()
+      );
+
+      // Moderators who are online hear about it straight away
+      this.broadcast(room, { type: 'joinRequest', username: identity.username, message: note });
+
+      return jsonResponse({ success: true, member: false, pending: true }, 202);
+    } catch (error) {
+      console.error('Join room error:', error);
+      return errorResponse(request, error);
+    }
+  }
+
+  addMember(room, username, addedBy, text) {
+    this.sql.exec(
+      "INSERT INTO roles (room, username, role, granted_by, granted_at) VALUES (?, ?, 'member', ?, ?) ON CONFLICT (room, username) DO NOTHING",
+      room, username, addedBy, Date.now()
+    );
+    this.sql.exec('DELETE FROM join_requests WHERE room = ? AND username = ?', room, username);
+
+    const systemMessage = this.addSystemMessage(room, 'sys_join', text);
+    this.broadcast(room, { type: 'members', action: 'joined', username, systemMessage });
+    return systemMessage;
+  }
+
+  async handleRoomAdmin(request, room, user) {
+    if (request.method !== 'DELETE') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+
+    try {
+      const identity = await this.resolveIdentity(request, user);
+      if (this.getIdentityRole(room, identity) !== 'owner') {
+        throw new HttpError('Only room owners can archive a room', 403);
+      }
+
+      const settings = this.getRoomSettings(room);
+      if (!settings) {
+        return textResponse('Room not found', 404);
+      }
+      if (settings.archived) {
+        return textResponse('Room is already archived', 400);
+      }
+
+      const archivedAt = Date.now();
+      this.sql.exec('UPDATE room_settings SET archived_at = ? WHERE room = ?', archivedAt, room);
+      if (this.env.ROOM_DIRECTORY) {
+        await internalRequest(getDirectory(this.env), 'archive', { room, archivedAt });
+      }
+
+      this.audit(room, 'archive', identity.username);
+      const systemMessage = this.addSystemMessage(room, 'sys_archive', `Room archived by ${identity.username} - it is now read-only`);
+      this.broadcast(room, { type: 'archived', systemMessage });
+
+      // Nobody can post any more, so there's nothing to keep live
+      for (const ws of this.state.getWebSockets(room)) {
+        try {
+          ws.close(4010, 'Room archived');
+        } catch (error) {
+          // Already closed
+        }
+      }
+      this.sql.exec('DELETE FROM users WHERE room = ?', room);
+
+      return jsonResponse({ success: true, archived: true, systemMessage });
+    } catch (error) {
+      console.error('Archive room error:', error);
+      return errorResponse(request, error);
+    }
+  }
+
+  // Why the user may not put files into the room, as a response, or null if they may
+  async checkUploadAccess(room, identity) {
+    const settings = this.getRoomSettings(room);
+    if (!settings) {
+      return textResponse('Room not found', 404);
+    }
+    if (settings.archived) {
+      return textResponse('Room is archived', 410);
+    }
+    if (!this.isMember(room, identity, settings)) {
+      return textResponse('Not a member of this room', 403);
+    }
+    if (await this.isBanned(identity.username)) {
+      return textResponse('User is banned', 403);
+    }
+    if (await this.isKicked(identity.username, room)) {
+      return textResponse('User is kicked from this room', 403);
+    }
+    if (await this.isMuted(identity.username, room)) {
+      return textResponse('You are muted in this room', 403);
+    }
+    return null;
+  }
+
+  // Accept a live connection using the hibernation API so idle sockets don't keep the object awake
+  async handleWebSocketUpgrade(room, identity) {
+    const user = identity.username;
+    if (await this.isBanned(user)) {
+      return textResponse('User is banned', 403);
+    }
+    if (await this.isKicked(user, room)) {
+      return textResponse('User is kicked from this room', 403);
+    }
+
+    const [client, server] = Object.values(new WebSocketPair());
+    this.state.acceptWebSocket(server, [room]);
+    server.serializeAttachment({
+      room,
+      user,
+      guest: identity.guest,
+      socketId: `sock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    });
+
+    await this.updateUserPresence(room, user);
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  async webSocketMessage(ws, data) {
+    const session = ws.deserializeAttachment();
+    if (!session) return;
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    // Live clients heartbeat over the socket instead of PUT
+    if (event.type === 'heartbeat') {
+      const retryAfter = this.checkRateLimit('heartbeat', session.user, session.socketId);
+      if (retryAfter) {
+        ws.send(JSON.stringify({ type: 'rateLimited', action: 'heartbeat', retryAfter }));
+        return;
+      }
+
+      // Inbox sockets only keep the connection alive; nobody is present in an inbox
+      if (!session.inbox) {
+        await this.updateUserPresence(session.room, session.user);
+      }
+      ws.send(JSON.stringify({ type: 'heartbeat', time: Date.now() }));
+    }
+
+    if (event.type === 'typing' && !session.inbox) {
+      this.signalTyping(session.room, session.user);
+    }
+  }
+
+  async webSocketClose(ws, code, reason) {
+    try {
+      ws.close(code, reason);
+    } catch (error) {
+      // Already closed
+    }
+    await this.handleSocketGone(ws);
+  }
+
+  async webSocketError(ws, error) {
+    console.error('WebSocket error:', error);
+    await this.handleSocketGone(ws);
+  }
+
+  async handleSocketGone(ws) {
+    const session = ws.deserializeAttachment();
+    if (!session || session.inbox) return;
+
+    // Only drop presence once the user's last socket in the room is gone
+    const stillConnected = this.state.getWebSockets(session.room).some(other => {
+      if (other === ws) return false;
+      const otherSession = other.deserializeAttachment();
+      return otherSession && otherSession.user === session.user;
+    });
+
+    if (!stillConnected) {
+      await this.removeUserPresence(session.room, session.user);
+    }
+  }
+
+  // Verify the signed session token sent with the request; null if missing, forged or expired
+  async authenticateUser(request) {
+    return verifySession(getSessionToken(request), this.env.AUTH_SECRET);
+  }
+
+  // Who is reading - like resolveIdentity, but null instead of an error when there's no session
+  async getViewer(request, requestedUser) {
+    if (this.env.AUTH_SECRET) {
+      return this.authenticateUser(request);
+    }
+    return { username: requestedUser, guest: false, createdAt: null };
+  }
+
+  // Who is making this request - from the session when accounts are configured
+  async resolveIdentity(request, requestedUser) {
+    if (this.env.AUTH_SECRET) {
+      const session = await this.authenticateUser(request);
+      if (!session) {
+        throw new HttpError('Authentication required', 401);
+      }
+      return session;
+    }
+
+    // Fallback to old behavior if auth not configured (for development)
+    console.warn('AUTH_SECRET not configured - using client-supplied user (insecure)');
+    return { username: requestedUser, guest: false, createdAt: null };
+  }
+
+  // Private messages, inboxes and PM keys are for registered accounts only: a guest token outlives
+  // the check that its name was free, so it could otherwise reach the inbox of whoever registers it
+  async resolveAccount(request, requestedUser) {
+    const identity = await this.resolveIdentity(request, requestedUser);
+    if (identity.guest) {
+      throw new HttpError('Guests cannot use private messages - register an account first', 403);
+    }
+    return identity;
+  }
+
+  // Verify user has permission for action, returning the verified username
+  async verifyUserPermission(request, targetUser, requireModerator = false, room = null) {
+    const identity = await this.resolveIdentity(request, targetUser);
+
+    if (requireModerator) {
+      const role = this.getIdentityRole(room, identity);
+      if (ROLE_RANKS[role] < ROLE_RANKS.moderator) {
+        throw new HttpError('Moderator privileges required', 403);
+      }
+    }
+
+    return identity.username;
+  }
+
+  async deleteMessage(room, messageId, identity) {
+    try {
+      const verifiedUser = identity.username;
+      
+      const message = this.getMessage(room, messageId);
+      
+      console.log(`Delete request: room=${room}, messageId=${messageId}, verifiedUser=${verifiedUser}`);
       
-      return userToCheck;
+      if (!message) {
+        return textResponse('Message not found', 404);
+      }
+      
+      // Check permissions - can delete own message or if moderator
+      // (a guest using a name can't touch messages posted by the registered account of that name)
+      const isOwn = message.user === verifiedUser && (!identity.guest || !!message.guest);
+      const isMod = ROLE_RANKS[this.getIdentityRole(room, identity)] >= ROLE_RANKS.moderator;
+      if (!isOwn && !isMod) {
+        console.log(`Permission denied: verifiedUser=${verifiedUser}, messageUser=${message.user}, isMod=${isMod}`);
+        return textResponse('Unauthorized - can only delete own messages or need moderator privileges', 403);
+      }
+
+      // Store original message info for system message
+      const originalUser = message.user;
+      const originalText = message.text.length > 50 ? message.text.substring(0, 50) + '...' : message.text;
+
+      // Remove message, leaving a tombstone so incremental clients drop it too
+      this.sql.exec('DELETE FROM messages WHERE id = ?', messageId);
+      this.sql.exec('DELETE FROM message_revisions WHERE message_id = ?', messageId);
+      this.sql.exec('DELETE FROM reactions WHERE message_id = ?', messageId);
+      this.sql.exec('DELETE FROM attachments WHERE message_id = ?', messageId);
+      this.sql.exec(
+        'INSERT OR REPLACE INTO tombstones (id, room, deleted_at) VALUES (?, ?, ?)',
+        messageId, room, Date.now()
+      );
+      this.touchReplies(room, messageId, Date.now());
+
+      // Taking down someone else's message is a moderator action
+      if (!isOwn) {
+        this.audit(room, 'deleteMessage', verifiedUser, originalUser, '', {
+          messageId,
+          text: message.text.substring(0, AUDIT_EXCERPT_LENGTH)
+        });
+      }
+
+      // Add system message about deletion
+      const systemMessage = this.addSystemMessage(
+        room,
+        'sys_del',
+        `Message from ${originalUser} deleted by ${verifiedUser}${originalUser !== verifiedUser ? ' (moderator action)' : ''}`
+      );
+
+      this.broadcast(room, { type: 'delete', messageId, systemMessage });
+
+      console.log('Message deleted successfully');
+      return jsonResponse({ 
+        success: true, 
+        deleted: true,
+        systemMessage: systemMessage 
+      });
+    } catch (error) {
+      console.error('Delete message error:', error);
+      return textResponse(error.message, 403);
+    }
+  }
+
+  // Milliseconds after sending that a message can still be edited (EDIT_WINDOW_MINUTES var)
+  getEditWindow() {
+    const minutes = parseFloat(this.env.EDIT_WINDOW_MINUTES);
+    return (Number.isFinite(minutes) ? minutes : DEFAULT_EDIT_WINDOW_MINUTES) * 60 * 1000;
+  }
+
+  async editMessage(request, room, messageId, identity) {
+    try {
+      const { text } = await request.json();
+
+      if (!messageId) {
+        return textResponse('Missing messageId', 400);
+      }
+      if (!text || typeof text !== 'string') {
+        return textResponse('Invalid message', 400);
+      }
+
+      const message = this.getMessage(room, messageId);
+      if (!message) {
+        return textResponse('Message not found', 404);
+      }
+
+      // Authors only - moderators delete, they don't rewrite (same guest rule as deleting)
+      const isOwn = !message.system && message.user === identity.username && (!identity.guest || !!message.guest);
+      if (!isOwn) {
+        return textResponse('Can only edit your own messages', 403);
+      }
+      if (Date.now() - message.time > this.getEditWindow()) {
+        return textResponse('This message can no longer be edited', 403);
+      }
+      if (await this.isBanned(identity.username)) {
+        return textResponse('User is banned', 403);
+      }
+      if (await this.isKicked(identity.username, room)) {
+        return textResponse('User is kicked from this room', 403);
+      }
+      if (await this.isMuted(identity.username, room)) {
+        return textResponse('You are muted in this room', 403);
+      }
+      if (text === message.text) {
+        return textResponse('Message is unchanged', 400);
+      }
+      const { encrypted } = this.getRoomSettings(room);
+      if (encrypted && !ENCRYPTED_TEXT.test(text)) {
+        return textResponse('Messages in this room have to be encrypted with the room passphrase', 400);
+      }
+
+      // An edit can't sneak past automod; there's nothing to hold, so any rule it breaks rejects it
+      const attachmentCount = (this.getAttachments(room, [messageId])[messageId] || []).length;
+      const verdict = this.checkAutomod(room, identity, encrypted ? '' : text, attachmentCount);
+      if (verdict) {
+        return textResponse(await this.enforceAutomod(room, identity, verdict, text), 403);
+      }
+
+      // Keep what it said before for moderators
+      const editedAt = Date.now();
+      this.sql.exec(
+        'INSERT INTO message_revisions (message_id, room, text, replaced_at) VALUES (?, ?, ?, ?)',
+        messageId, room, message.text, editedAt
+      );
+      this.sql.exec(
+        'UPDATE messages SET text = ?, edited_at = ?, updated_at = ? WHERE room = ? AND id = ?',
+        text, editedAt, editedAt, room, messageId
+      );
+      this.touchReplies(room, messageId, editedAt);
+
+      const updated = { ...message, text, editedAt, updatedAt: editedAt };
+      this.broadcast(room, { type: 'edit', message: updated });
+
+      return jsonResponse({ success: true, message: updated });
+    } catch (error) {
+      console.error('Edit message error:', error);
+      return errorResponse(request, error);
+    }
+  }
+
+  // Every earlier text of a message, oldest first, with when each was written and replaced
+  getRevisions(room, messageId) {
+    const message = this.getMessage(room, messageId);
+    if (!message) {
+      return textResponse('Message not found', 404);
+    }
+
+    const rows = this.sql.exec(
+      'SELECT text, replaced_at FROM message_revisions WHERE room = ? AND message_id = ? ORDER BY id',
+      room, messageId
+    ).toArray();
+
+    let writtenAt = message.time;
+    const revisions = rows.map(row => {
+      const revision = { text: row.text, writtenAt, replacedAt: row.replaced_at };
+      writtenAt = row.replaced_at;
+      return revision;
+    });
+
+    return jsonResponse({ message, revisions });
+  }
+
+  // Add or remove the caller's reaction; one row per message, user and emoji
+  async handleReaction(request, room, url, identity) {
+    if (request.method !== 'POST' && request.method !== 'DELETE') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+
+    try {
+      const { messageId, emoji } = request.method === 'POST'
+        ? await request.json()
+        : { messageId: url.searchParams.get('messageId'), emoji: url.searchParams.get('emoji') };
+
+      if (!messageId || !this.isValidReaction(emoji)) {
+        return textResponse('Invalid reaction', 400);
+      }
+      if (!this.getMessage(room, messageId)) {
+        return textResponse('Message not found', 404);
+      }
+      if (await this.isBanned(identity.username)) {
+        return textResponse('User is banned', 403);
+      }
+      if (await this.isKicked(identity.username, room)) {
+        return textResponse('User is kicked from this room', 403);
+      }
+      if (await this.isMuted(identity.username, room)) {
+        return textResponse('You are muted in this room', 403);
+      }
+
+      const now = Date.now();
+      if (request.method === 'POST') {
+        const reactions = this.getReactions(room, [messageId])[messageId] || {};
+        if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+          return textResponse('This message has too many different reactions', 400);
+        }
+        this.sql.exec(
+          'INSERT OR IGNORE INTO reactions (room, message_id, username, emoji, created_at) VALUES (?, ?, ?, ?, ?)',
+          room, messageId, identity.username, emoji, now
+        );
+      } else {
+        const cursor = this.sql.exec(
+          'DELETE FROM reactions WHERE room = ? AND message_id = ? AND username = ? AND emoji = ?',
+          room, messageId, identity.username, emoji
+        );
+        if (cursor.rowsWritten === 0) {
+          return textResponse('Reaction not found', 404);
+        }
+      }
+
+      // Bump the message so ?since= syncs pick up the new counts
+      this.sql.exec('UPDATE messages SET updated_at = ? WHERE room = ? AND id = ?', now, room, messageId);
+
+      const reactions = this.getReactions(room, [messageId])[messageId] || {};
+      this.broadcast(room, { type: 'reaction', messageId, reactions, updatedAt: now });
+
+      return jsonResponse({ success: true, messageId, reactions, updatedAt: now });
+    } catch (error) {
+      console.error('Reaction error:', error);
+      return errorResponse(request, error);
+    }
+  }
+
+  // A single emoji (flags, skin tones and ZWJ sequences included) - no text
+  isValidReaction(emoji) {
+    return typeof emoji === 'string' && emoji.length > 0 && emoji.length <= 16 &&
+      !/[\s\p{L}\p{N}]/u.test(emoji) && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji);
+  }
+
+  // { messageId: { emoji: [usernames in reaction order] } } for the given messages
+  getReactions(room, messageIds) {
+    const reactions = {};
+    if (messageIds.length === 0) return reactions;
+
+    const rows = this.sql.exec(
+      'SELECT message_id, emoji, username FROM reactions WHERE room = ? AND message_id IN (SELECT value FROM json_each(?)) ORDER BY created_at',
+      room, JSON.stringify(messageIds)
+    ).toArray();
+
+    for (const row of rows) {
+      const byEmoji = reactions[row.message_id] || (reactions[row.message_id] = {});
+      (byEmoji[row.emoji] || (byEmoji[row.emoji] = [])).push(row.username);
+    }
+    return reactions;
+  }
+
+  // PUT { messageId } - remember how far the caller has read; the marker never moves backwards
+  async handleReadMarker(request, room, identity) {
+    if (request.method !== 'PUT') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+
+    try {
+      const { messageId } = await request.json();
+      const message = typeof messageId === 'string'
+        ? this.sql.exec('SELECT id, time FROM messages WHERE room = ? AND id = ?', room, messageId).toArray()[0]
+        : null;
+      if (!message) {
+        return textResponse('Message not found', 404);
+      }
+
+      this.sql.exec(
+        `INSERT INTO read_markers (room, username, message_id, read_time, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (room, username) DO UPDATE SET
+           message_id = excluded.message_id, read_time = excluded.read_time, updated_at = excluded.updated_at
+         WHERE excluded.read_time >= read_markers.read_time`,
+        room, identity.username, message.id, message.time, Date.now()
+      );
+
+      return jsonResponse({ success: true, lastRead: this.getReadMarker(room, identity.username) });
+    } catch (error) {
+      return errorResponse(request, error);
+    }
+  }
+
+  getReadMarker(room, username) {
+    const row = this.sql.exec(
+      'SELECT message_id, read_time FROM read_markers WHERE room = ? AND username = ?',
+      room, username
+    ).toArray()[0];
+    return row ? { messageId: row.message_id, time: row.read_time } : null;
+  }
+
+  // Messages from others since the user's read marker, and how many of those mention or reply to them.
+  // Rooms they've never read in have no marker and count as read.
+  countUnread(room, username) {
+    const marker = this.getReadMarker(room, username);
+    if (!marker) return { unread: 0, mentions: 0, lastRead: null };
+
+    const mention = `%@${username.replace(/[\\%_]/g, '\\$&')}%`;
+    const counts = this.sql.exec(
+      `SELECT COUNT(*) AS unread,
+              COALESCE(SUM(text LIKE ? ESCAPE '\\' OR reply_to IN (SELECT id FROM messages WHERE room = ? AND user = ?)), 0) AS mentions
+       FROM messages WHERE room = ? AND time > ? AND system = 0 AND user != ? COLLATE NOCASE`,
+      mention, room, username, room, marker.time, username
+    ).one();
+
+    return { unread: counts.unread, mentions: counts.mentions, lastRead: marker };
+  }
+
+  // GET /search?room=&q=&from=&offset=&limit= - best matches first, each with a highlighted snippet
+  async handleSearch(request, url, user) {
+    if (request.method !== 'GET') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+
+    const room = url.searchParams.get('room') || 'default';
+    const settings = this.getRoomSettings(room);
+    if (!settings) {
+      return textResponse('Room not found', 404);
+    }
+    const viewer = await this.getViewer(request, user);
+    if (!this.isMember(room, viewer, settings)) {
+      return this.notMemberResponse(request, settings, viewer);
+    }
+    // All the server has is ciphertext; clients search what they've decrypted
+    if (settings.encrypted) {
+      return jsonResponse({ error: 'Encrypted rooms can only be searched in the browser', encrypted: true }, 400);
+    }
+
+    const filters = this.buildSearchFilters(url.searchParams);
+    if (!filters) {
+      return textResponse('Missing search terms', 400);
+    }
+
+    const requestedLimit = parseInt(url.searchParams.get('limit'), 10);
+    const limit = Math.min(requestedLimit > 0 ? requestedLimit : DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+    const conditions = ['m.room = ?', 'm.system = 0', ...filters.where].join(' AND ');
+
+    const rows = filters.match
+      ? this.sql.exec(
+        `SELECT m.id, m.user, m.time, m.reply_to, snippet(messages_fts, 0, char(1), char(2), '…', 16) AS snippet
+         FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid
+         WHERE messages_fts MATCH ? AND ${conditions}
+         ORDER BY rank, m.time DESC
+         LIMIT ? OFFSET ?`,
+        filters.match, room, ...filters.args, limit + 1, offset
+      ).toArray()
+      // Only filters - nothing to rank by, so newest first
+      : this.sql.exec(
+        `SELECT m.id, m.user, m.time, m.reply_to, substr(m.text, 1, 120) AS snippet
+         FROM messages m
+         WHERE ${conditions}
+         ORDER BY m.time DESC
+         LIMIT ? OFFSET ?`,
+        room, ...filters.args, limit + 1, offset
+      ).toArray();
+
+    const attachments = this.getAttachments(room, rows.map(row => row.id));
+    const results = rows.slice(0, limit).map(row => {
+      const result = {
+        id: row.id,
+        room,
+        user: row.user,
+        time: row.time,
+        snippet: this.snippetSegments(row.snippet)
+      };
+      if (row.reply_to) result.replyTo = row.reply_to;
+      if (attachments[row.id]) result.attachments = attachments[row.id];
+      return result;
+    });
+
+    return jsonResponse({
+      results,
+      offset,
+      hasMore: rows.length > limit,
+      nextOffset: rows.length > limit ? offset + limit : null
+    });
+  }
+
+  // Search parameters, as the client's query parser sends them, to an FTS5 match plus SQL conditions:
+  // q= free words, phrase= exact phrases, exclude= words or phrases that mustn't appear, from= author,
+  // after= / before= timestamps (inclusive / exclusive), has=file|image|link, is=reply. Null if there's nothing to search for.
+  buildSearchFilters(params) {
+    const match = this.buildMatchQuery(params.get('q') || '', params.getAll('phrase'));
+    const exclude = this.buildExcludeQuery(params.getAll('exclude'));
+    const where = [];
+    const args = [];
+
+    const from = params.get('from');
+    if (from) {
+      where.push('m.user = ? COLLATE NOCASE');
+      args.push(from);
+    }
+
+    const after = parseInt(params.get('after'), 10);
+    if (Number.isFinite(after)) {
+      where.push('m.time >= ?');
+      args.push(after);
+    }
+    const before = parseInt(params.get('before'), 10);
+    if (Number.isFinite(before)) {
+      where.push('m.time < ?');
+      args.push(before);
+    }
+
+    for (const kind of new Set(params.getAll('has'))) {
+      if (kind === 'file') {
+        where.push('EXISTS (SELECT 1 FROM attachments a WHERE a.message_id = m.id)');
+      } else if (kind === 'image') {
+        where.push("EXISTS (SELECT 1 FROM attachments a WHERE a.message_id = m.id AND a.type LIKE 'image/%')");
+      } else if (kind === 'link') {
+        where.push("(m.text LIKE '%http://%' OR m.text LIKE '%https://%')");
+      }
+    }
+    if (params.getAll('is').includes('reply')) {
+      where.push('m.reply_to IS NOT NULL');
+    }
+
+    if (!match && !exclude && where.length === 0) return null;
+
+    if (exclude) {
+      where.push('m.rowid NOT IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)');
+      args.push(exclude);
+    }
+    return { match, where, args };
+  }
+
+  // Words and phrases to an FTS5 query where all of them have to appear; the last free word may be unfinished.
+  // Everything is quoted so nothing the user types is read as FTS5 syntax.
+  buildMatchQuery(query, phrases = []) {
+    const words = this.searchWords(query);
+    const parts = words.map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`);
+    for (const phrase of phrases.slice(0, MAX_SEARCH_TERMS)) {
+      const phraseWords = this.searchWords(phrase);
+      if (phraseWords.length > 0) parts.push(`"${phraseWords.join(' ')}"`);
+    }
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
+  // Matches messages containing any of the excluded words or phrases
+  buildExcludeQuery(excluded) {
+    const parts = excluded.slice(0, MAX_SEARCH_TERMS)
+      .map(text => this.searchWords(text).join(' '))
+      .filter(Boolean)
+      .map(text => `"${text}"`);
+    return parts.length > 0 ? parts.join(' OR ') : null;
+  }
+
+  // Split the way the FTS5 tokenizer does, dropping everything else
+  searchWords(text) {
+    return (text.match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+  }
+
+  // FTS5 snippet with \u0001/\u0002 around matches to [{ text, match }] - the client escapes, we never send markup
+  snippetSegments(snippet) {
+    const segments = [];
+    (snippet || '').split('\u0001').forEach((part, index) => {
+      const [matched, rest] = index === 0 ? ['', part] : part.split('\u0002');
+      if (matched) segments.push({ text: matched, match: true });
+      if (rest) segments.push({ text: rest, match: false });
+    });
+    return segments;
+  }
+
+  // Split an old "@reply:<id>:<user>: text" message into { replyTo, text }, or null if it isn't one.
+  // The id never contains a colon; the username might, so it's matched against the original's author when possible.
+  parseLegacyReply(room, text) {
+    const match = text.match(/^@reply:([^:\s]+):/);
+    if (!match) return null;
+
+    const replyTo = match[1];
+    let rest = text.substring(match[0].length);
+    const original = this.sql.exec('SELECT user FROM messages WHERE room = ? AND id = ?', room, replyTo).toArray()[0];
+    if (original && rest.startsWith(`${original.user}:`)) {
+      rest = rest.substring(original.user.length + 1);
     } else {
-      // Fallback to old behavior if auth not configured (for development)
-      console.warn('AUTH_SECRET not configured - using client-supplied user (insecure)');
-      return targetUser;
+      const userEnd = rest.indexOf(':');
+      if (userEnd === -1) return null;
+      rest = rest.substring(userEnd + 1);
+    }
+
+    return { replyTo, text: rest.trimStart() || text };
+  }
+
+  // { messageId: { user, text } } quoting the start of each replied-to message that still exists.
+  // Encrypted ones are quoted whole - clients can't decrypt part of one - and shortened once decrypted.
+  getReplyPreviews(room, messageIds) {
+    const previews = {};
+    if (messageIds.length === 0) return previews;
+
+    const rows = this.sql.exec(
+      'SELECT id, user, text, encrypted FROM messages WHERE room = ? AND id IN (SELECT value FROM json_each(?))',
+      room, JSON.stringify(messageIds)
+    ).toArray();
+
+    for (const row of rows) {
+      if (row.encrypted) {
+        previews[row.id] = { user: row.user, text: row.text, encrypted: true };
+        continue;
+      }
+      const text = row.text.replace(/\s+/g, ' ').trim();
+      previews[row.id] = {
+        user: row.user,
+        text: text.length > REPLY_SNIPPET_LENGTH ? text.substring(0, REPLY_SNIPPET_LENGTH) + '...' : text
+      };
+    }
+    return previews;
+  }
+
+  // Replies quote the original, so they change when it's edited or deleted
+  touchReplies(room, messageId, time) {
+    this.sql.exec('UPDATE messages SET updated_at = ? WHERE room = ? AND reply_to = ?', time, room, messageId);
+  }
+
+  // Record a stored file as the uploader's, ready for one of their messages to attach
+  async addAttachment(data) {
+    const attachment = {
+      id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: data.name,
+      type: data.type,
+      size: data.size,
+      url: data.url,
+      uploadedAt: Date.now()
+    };
+    this.sql.exec(
+      'INSERT INTO attachments (id, room, uploaded_by, guest, name, type, size, url, uploaded_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      attachment.id, data.room, data.username, data.guest ? 1 : 0,
+      attachment.name, attachment.type, attachment.size, attachment.url, attachment.uploadedAt
+    );
+    // Dropped if no message claims it in time
+    await this.scheduleCleanup(attachment.uploadedAt + UNSENT_ATTACHMENT_TTL);
+    return attachment;
+  }
+
+  // The given uploads, if every one is the sender's own upload to this room and not sent with a message yet; otherwise null
+  getUnsentAttachments(room, attachmentIds, identity) {
+    if (attachmentIds.length === 0) return [];
+    if (attachmentIds.some(id => typeof id !== 'string') || new Set(attachmentIds).size !== attachmentIds.length) {
+      return null;
+    }
+
+    const rows = this.sql.exec(
+      'SELECT * FROM attachments WHERE room = ? AND id IN (SELECT value FROM json_each(?)) AND message_id IS NULL ORDER BY uploaded_at, id',
+      room, JSON.stringify(attachmentIds)
+    ).toArray();
+
+    const owned = rows.every(row => row.uploaded_by.toLowerCase() === identity.username.toLowerCase() && !!row.guest === !!identity.guest);
+    return rows.length === attachmentIds.length && owned ? rows : null;
+  }
+
+  // { messageId: [attachments in upload order] } for the given messages
+  getAttachments(room, messageIds) {
+    const attachments = {};
+    if (messageIds.length === 0) return attachments;
+
+    const rows = this.sql.exec(
+      'SELECT * FROM attachments WHERE room = ? AND message_id IN (SELECT value FROM json_each(?)) ORDER BY uploaded_at, id',
+      room, JSON.stringify(messageIds)
+    ).toArray();
+
+    for (const row of rows) {
+      (attachments[row.message_id] || (attachments[row.message_id] = [])).push(this.rowToAttachment(row));
+    }
+    return attachments;
+  }
+
+  rowToAttachment(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      size: row.size,
+      url: row.url,
+      uploadedAt: row.uploaded_at
+    };
+  }
+
+  // Rows to API messages, with their reactions, attachments and reply quotes attached
+  rowsToMessages(room, rows) {
+    const messages = rows.map(row => this.rowToMessage(row));
+    const ids = messages.map(m => m.id);
+    const reactions = this.getReactions(room, ids);
+    const attachments = this.getAttachments(room, ids);
+    const previews = this.getReplyPreviews(room, messages.filter(m => m.replyTo).map(m => m.replyTo));
+    for (const message of messages) {
+      if (reactions[message.id]) message.reactions = reactions[message.id];
+      if (attachments[message.id]) message.attachments = attachments[message.id];
+      if (previews[message.replyTo]) message.replyPreview = previews[message.replyTo];
     }
+    return messages;
   }
 
-  async deleteMessage(room, messageId, user, request) {
-    try {
-      // Verify user permission with authentication
-      const verifiedUser = await this.verifyUserPermission(request, user, false);
-      
-      const key = `messages:${room}`;
-      const messages = await this.state.storage.get(key) || [];
-      const messageIndex = messages.findIndex(msg => msg.id === messageId);
-      
-      console.log(`Delete request: room=${room}, messageId=${messageId}, verifiedUser=${verifiedUser}`);
-      
-      if (messageIndex === -1) {
-        return textResponse('Message not found', 404);
-      }
+  rowToMessage(row) {
+    const message = {
+      id: row.id,
+      user: row.user,
+      text: row.text,
+      time: row.time
+    };
+    if (row.system) message.system = true;
+    if (row.guest) message.guest = true;
+    if (row.edited_at) message.editedAt = row.edited_at;
+    if (row.updated_at) message.updatedAt = row.updated_at;
+    if (row.reply_to) message.replyTo = row.reply_to;
+    if (row.encrypted) message.encrypted = true;
+    return message;
+  }
+
+  getMessage(room, messageId) {
+    const row = this.sql.exec('SELECT * FROM messages WHERE room = ? AND id = ?', room, messageId).toArray()[0];
+    return row ? this.rowsToMessages(room, [row])[0] : null;
+  }
+
+  insertMessage(room, message) {
+    this.sql.exec(
+      'INSERT INTO messages (id, room, user, text, time, system, guest, reply_to, encrypted) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      message.id, room, message.user, message.text, message.time, message.system ? 1 : 0, message.guest ? 1 : 0,
+      message.replyTo || null, message.encrypted ? 1 : 0
+    );
+  }
+
+  addSystemMessage(room, idPrefix, text) {
+    const systemMessage = {
+      id: `${idPrefix}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      user: '*** System ***',
+      text,
+      time: Date.now(),
+      system: true
+    };
+    this.insertMessage(room, systemMessage);
+    return systemMessage;
+  }
+
+  // Resolve a cursor given as a timestamp or a message id to a timestamp
+  resolveCursor(room, value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return Number(value);
+    const row = this.sql.exec('SELECT time FROM messages WHERE room = ? AND id = ?', room, value).toArray()[0];
+    return row ? row.time : null;
+  }
+
+  // Newest `limit` messages older than `before` (or overall), oldest first
+  getLatestMessages(room, limit, before = null) {
+    const rows = before === null
+      ? this.sql.exec('SELECT * FROM messages WHERE room = ? ORDER BY time DESC LIMIT ?', room, limit + 1).toArray()
+      : this.sql.exec('SELECT * FROM messages WHERE room = ? AND time < ? ORDER BY time DESC LIMIT ?', room, before, limit + 1).toArray();
+
+    return {
+      messages: this.rowsToMessages(room, rows.slice(0, limit).reverse()),
+      hasMore: rows.length > limit
+    };
+  }
+
+  // Incremental sync: ?since= returns newer messages plus deletions, ?before= pages back through history
+  async getMessagePage(room, params) {
+    const requestedLimit = parseInt(params.get('limit'), 10);
+    const limit = Math.min(requestedLimit > 0 ? requestedLimit : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    // Edits and reactions move the cursor too, so delta clients pick them up
+    const latest = this.sql.exec('SELECT MAX(time) AS latest, MAX(updated_at) AS latest_update FROM messages WHERE room = ?', room).one();
+    const latestTime = Math.max(latest.latest || 0, latest.latest_update || 0);
+
+    const sinceParam = params.get('since');
+    if (sinceParam) {
+      const since = this.resolveCursor(room, sinceParam);
 
-      const message = messages[messageIndex];
-      
-      // Check permissions - can delete own message or if moderator
-      const isMod = await this.isModerator(verifiedUser);
-      if (message.user !== verifiedUser && !isMod) {
-        console.log(`Permission denied: verifiedUser=${verifiedUser}, messageUser=${message.user}, isMod=${isMod}`);
-        return textResponse('Unauthorized - can only delete own messages or need moderator privileges', 403);
-      }
+      if (since !== null) {
+        // Inclusive so a message stored in the same millisecond as the cursor isn't skipped; clients dedupe by id
+        const newer = this.sql.exec(
+          'SELECT * FROM messages WHERE room = ? AND (time >= ? OR updated_at >= ?) ORDER BY time LIMIT ?',
+          room, since, since, MAX_PAGE_SIZE + 1
+        ).toArray();
 
-      // Store original message info for system message
-      const originalUser = message.user;
-      const originalText = message.text.length > 50 ? message.text.substring(0, 50) + '...' : message.text;
+        // Too far behind to catch up incrementally - start over from the latest page
+        if (newer.length <= MAX_PAGE_SIZE) {
+          const tombstones = this.sql.exec(
+            'SELECT id, deleted_at FROM tombstones WHERE room = ? AND deleted_at >= ?',
+            room, since
+          ).toArray();
 
-      // Remove message
-      messages.splice(messageIndex, 1);
+          return {
+            messages: this.rowsToMessages(room, newer),
+            deleted: tombstones.map(t => t.id),
+            cursor: Math.max(since, latestTime, ...tombstones.map(t => t.deleted_at))
+          };
+        }
+      }
 
-      // Add system message about deletion
-      const systemMessage = {
-        id: `sys_del_${Date.now()}`,
-        user: '*** System ***',
-        text: `Message from ${originalUser} deleted by ${verifiedUser}${originalUser !== verifiedUser ? ' (moderator action)' : ''}`,
-        time: Date.now(),
-        system: true
+      return {
+        ...this.getLatestMessages(room, limit),
+        deleted: [],
+        cursor: latestTime,
+        reset: true
       };
-      
-      messages.push(systemMessage);
-      await this.state.storage.put(key, messages);
+    }
 
-      console.log('Message deleted successfully');
-      return jsonResponse({ 
-        success: true, 
-        deleted: true,
-        systemMessage: systemMessage 
-      });
-    } catch (error) {
-      console.error('Delete message error:', error);
-      return textResponse(error.message, 403);
+    const beforeParam = params.get('before');
+    if (beforeParam) {
+      const before = this.resolveCursor(room, beforeParam);
+      if (before === null) {
+        return { messages: [], hasMore: false };
+      }
+      return this.getLatestMessages(room, limit, before);
     }
+
+    return {
+      ...this.getLatestMessages(room, limit),
+      deleted: [],
+      cursor: latestTime
+    };
   }
 
-  async handlePrivateMessages(request, conversationId, user) {
-    const key = `pm:${conversationId}`;
-    
+  // GET /pm/:conversationId?with=name and POST /pm/:conversationId { text, to }. The session's user is
+  // always one side of the conversation; the other name has to match the id.
+  async handlePrivateMessages(request, id, url, user) {
+    const conversationId = id.toLowerCase();
+    let identity;
+    try {
+      identity = await this.resolveAccount(request, user);
+    } catch (error) {
+      return errorResponse(request, error);
+    }
+
     if (request.method === 'GET') {
-      const messages = await this.state.storage.get(key) || [];
+      const other = url.searchParams.get('with');
+      if (!other || getConversationId(identity.username, other) !== conversationId) {
+        return textResponse('Not part of this conversation', 403);
+      }
+
+      const [userA, userB] = this.getParticipants(identity.username, other);
+      const messages = this.sql.exec(
+        `SELECT * FROM (
+           SELECT * FROM private_messages WHERE user_a = ? AND user_b = ? ORDER BY time DESC LIMIT ?
+         ) ORDER BY time`,
+        userA, userB, PM_HISTORY_LIMIT
+      ).toArray().map(rowToPrivateMessage);
+
+      // Opening the conversation reads it
+      await this.notifyInbox(identity.username, 'inboxRead', { owner: identity.username, other });
+
       return jsonResponse({ messages });
     }
     
     if (request.method === 'POST') {
-      const { text, to } = await request.json();
+      const limit = await internalRequest(getInbox(this.env, identity.username), 'pmRateLimit', {
+        username: identity.username,
+        connection: this.getConnectionId(request)
+      });
+      if (limit.status === 429) {
+        return rateLimitResponse(request, limit.headers.get('Retry-After'));
+      }
+
+      const { text, to, iv } = await request.json();
       
-      if (!text || !to) {
+      if (!text || !to || typeof text !== 'string' || typeof to !== 'string') {
         return textResponse('Missing text or recipient', 400);
       }
+      // End-to-end encrypted: text is the ciphertext, which only the two participants can read
+      if (iv !== undefined && (typeof iv !== 'string' || !AES_GCM_IV.test(iv))) {
+        return textResponse('Invalid iv', 400);
+      }
+      if (to.toLowerCase() === identity.username.toLowerCase()) {
+        return textResponse('Cannot send a private message to yourself', 400);
+      }
+      if (getConversationId(identity.username, to) !== conversationId) {
+        return textResponse('Not part of this conversation', 403);
+      }
 
       const message = {
         id: `pm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        from: user,
+        from: identity.username,
         to: to,
         text: text,
         time: Date.now()
       };
+      if (iv) message.iv = iv;
 
-      const messages = await this.state.storage.get(key) || [];
-      messages.push(message);
-      
-      // Keep last 100 PM messages
-      if (messages.length > 100) messages.shift();
+      const [userA, userB] = this.getParticipants(message.from, message.to);
+      this.sql.exec(
+        'INSERT INTO private_messages (id, user_a, user_b, sender, recipient, text, iv, time) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        message.id, userA, userB, message.from, message.to, message.text, message.iv || null, message.time
+      );
       
-      await this.state.storage.put(key, messages);
+      // Keep the last PM_HISTORY_LIMIT messages of each conversation
+      this.sql.exec(
+        `DELETE FROM private_messages WHERE user_a = ? AND user_b = ? AND id NOT IN (
+           SELECT id FROM private_messages WHERE user_a = ? AND user_b = ? ORDER BY time DESC LIMIT ?
+         )`,
+        userA, userB, userA, userB, PM_HISTORY_LIMIT
+      );
+
+      // Both inboxes show the new message; only the recipient has something unread
+      await Promise.all([
+        this.notifyInbox(message.from, 'inbox', { owner: message.from, other: message.to, message, unread: false }),
+        this.notifyInbox(message.to, 'inbox', { owner: message.to, other: message.from, message, unread: true })
+      ]);
       
       return jsonResponse({ success: true, messageId: message.id });
     }
@@ -511,137 +2141,781 @@ export default class ChatRoom {
     return textResponse('Method not allowed', 405);
   }
 
+  // The pair a conversation is stored under, in a fixed order whatever the case of either name
+  getParticipants(userA, userB) {
+    return userA.toLowerCase() < userB.toLowerCase() ? [userA, userB] : [userB, userA];
+  }
+
+  async notifyInbox(owner, action, data) {
+    try {
+      await internalRequest(getInbox(this.env, owner), action, data);
+    } catch (error) {
+      console.error('Inbox update failed:', error);
+    }
+  }
+
+  // As a WebSocket, the inbox pushes a 'pm' event for every message sent or received and
+  // 'pmRead' when a conversation is opened elsewhere
+  async handleInbox(request, user) {
+    let identity;
+    try {
+      identity = await this.resolveAccount(request, user);
+    } catch (error) {
+      return errorResponse(request, error);
+    }
+
+    if (request.headers.get('Upgrade') === 'websocket') {
+      const [client, server] = Object.values(new WebSocketPair());
+      this.state.acceptWebSocket(server, [INBOX_SOCKET_TAG]);
+      server.serializeAttachment({
+        inbox: true,
+        user: identity.username,
+        socketId: `sock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      });
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    if (request.method !== 'GET') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+    return jsonResponse(this.getInboxSummary(identity.username));
+  }
+
+  getInboxSummary(owner) {
+    const conversations = this.getInboxConversations(owner);
+    return {
+      conversations,
+      unread: conversations.reduce((total, conversation) => total + conversation.unread, 0)
+    };
+  }
+
+  // A user's conversations, latest first
+  getInboxConversations(owner) {
+    return this.sql.exec('SELECT * FROM pm_inbox WHERE owner = ? ORDER BY last_time DESC', owner).toArray().map(row => {
+      const lastMessage = { from: row.last_from, text: row.last_text, time: row.last_time };
+      if (row.last_iv) lastMessage.iv = row.last_iv;
+      return {
+        with: row.other,
+        conversationId: getConversationId(owner, row.other),
+        lastMessage,
+        unread: row.unread
+      };
+    });
+  }
+
+  // Anyone can fetch an inbox owner's public key to encrypt PMs to them; only the owner can
+  // publish it (PUT) or take it down (DELETE) so people go back to sending plaintext
+  async handlePublicKey(request, owner, user) {
+    try {
+      if (request.method === 'GET') {
+        const row = this.sql.exec('SELECT * FROM public_keys WHERE owner = ?', owner).toArray()[0];
+        return jsonResponse({
+          username: row ? row.owner : owner,
+          publicKey: row ? JSON.parse(row.public_key) : null,
+          updatedAt: row ? row.updated_at : null
+        });
+      }
+
+      const identity = await this.resolveAccount(request, user);
+      if (identity.username.toLowerCase() !== owner.toLowerCase()) {
+        throw new HttpError('You can only publish your own key', 403);
+      }
+
+      if (request.method === 'PUT') {
+        const { publicKey } = await request.json();
+        this.sql.exec(
+          'INSERT OR REPLACE INTO public_keys (owner, public_key, updated_at) VALUES (?, ?, ?)',
+          owner, JSON.stringify(parsePublicKey(publicKey)), Date.now()
+        );
+        return jsonResponse({ success: true });
+      }
+
+      if (request.method === 'DELETE') {
+        this.sql.exec('DELETE FROM public_keys WHERE owner = ?', owner);
+        return jsonResponse({ success: true });
+      }
+
+      throw new HttpError('Method not allowed', 405);
+    } catch (error) {
+      return errorResponse(request, error);
+    }
+  }
+
   async handleModeration(request, room, user) {
     try {
       // Verify user permission with authentication (requires moderator)
-      const verifiedUser = await this.verifyUserPermission(request, user, true);
+      const verifiedUser = await this.verifyUserPermission(request, user, true, room);
+      const actorRole = this.getRole(room, verifiedUser);
       
       if (request.method === 'POST') {
-        const { action, targetUser, reason, duration } = await request.json();
+        const {
+          action, targetUser, reason, duration, role, expiresIn, maxUses, token, rule, ruleId, messageId
+        } = await request.json();
+
+        // Invite links aren't aimed at anyone in particular
+        if (action === 'createInvite') {
+          return this.createInvite(room, verifiedUser, expiresIn, maxUses);
+        }
+        if (action === 'revokeInvite') {
+          return this.revokeInvite(room, token, verifiedUser);
+        }
+
+        // Automod rules and the messages they held back
+        if (action === 'addAutomodRule') {
+          return this.addAutomodRule(room, rule, verifiedUser);
+        }
+        if (action === 'deleteAutomodRule') {
+          return this.deleteAutomodRule(room, ruleId, verifiedUser);
+        }
+        if (action === 'approveHeld') {
+          return this.approveHeldMessage(room, messageId, verifiedUser);
+        }
+        if (action === 'rejectHeld') {
+          return this.rejectHeldMessage(room, messageId, verifiedUser);
+        }
+        
+        if (!targetUser || typeof targetUser !== 'string') {
+          return textResponse('Missing target user', 400);
+        }
+        
+        // Moderators can't act on their peers or on owners
+        if (['ban', 'unban', 'kick', 'mute', 'unmute', 'removeMember'].includes(action) &&
+            ROLE_RANKS[this.getRole(room, targetUser)] >= ROLE_RANKS[actorRole]) {
+          return textResponse('Cannot moderate a user with an equal or higher role', 403);
+        }
         
         switch (action) {
           case 'ban':
-            return this.banUser(targetUser, verifiedUser, reason, duration);
+            return this.banUser(room, targetUser, verifiedUser, reason, duration);
           case 'unban':
-            return this.unbanUser(targetUser, verifiedUser);
+            return this.unbanUser(room, targetUser, verifiedUser);
           case 'kick':
-            return this.kickUser(room, targetUser, verifiedUser, reason);
+            return this.kickUser(
+              room, targetUser, verifiedUser, reason, parseMinutes(duration, DEFAULT_KICK_MINUTES, MAX_KICK_MINUTES)
+            );
+          case 'mute':
+            return this.muteUser(room, targetUser, verifiedUser, reason, parseMinutes(duration, null, MAX_MUTE_MINUTES));
+          case 'unmute':
+            return this.unmuteUser(room, targetUser, verifiedUser);
           case 'addMod':
-            return textResponse('Cannot modify moderators - NellowTCS is the only moderator', 403);
+            return this.addModerator(room, targetUser, verifiedUser);
           case 'removeMod':
-            return textResponse('Cannot modify moderators - NellowTCS is the only moderator', 403);
+            return this.removeModerator(room, targetUser, verifiedUser);
+          case 'setRole':
+            return this.setRole(room, targetUser, role, verifiedUser);
+          case 'approveJoin':
+            return this.approveJoinRequest(room, targetUser, verifiedUser);
+          case 'denyJoin':
+            return this.denyJoinRequest(room, targetUser, verifiedUser);
+          case 'removeMember':
+            return this.removeMember(room, targetUser, verifiedUser);
         }
+        
+        return textResponse('Unknown action', 400);
       }
 
       if (request.method === 'GET') {
-        const bannedUsers = await this.state.storage.get('banned_users') || {};
-        const moderators = ['NellowTCS']; // Only NellowTCS is moderator
+        // GET /mod/roomname?messageId= - edit history of one message
+        const messageId = new URL(request.url).searchParams.get('messageId');
+        if (messageId) {
+          return this.getRevisions(room, messageId);
+        }
+
+        const bannedUsers = {};
+        for (const ban of this.sql.exec('SELECT * FROM bans').toArray()) {
+          bannedUsers[ban.username] = {
+            bannedBy: ban.banned_by,
+            reason: ban.reason,
+            timestamp: ban.timestamp,
+            expires: ban.expires
+          };
+        }
+        const roles = this.getRoles(room);
         
         return jsonResponse({
           bannedUsers,
-          moderators
+          moderators: Object.keys(roles),
+          roles,
+          role: actorRole,
+          automodRules: this.getAutomodRules(room),
+          heldMessages: this.getHeldMessages(room),
+          mutedUsers: this.getMutes(room),
+          ...this.getMembership(room)
         });
       }
 
       return textResponse('Method not allowed', 405);
     } catch (error) {
       console.error('Moderation error:', error);
-      return textResponse(error.message, 403);
+      return errorResponse(request, error);
     }
   }
 
-  async banUser(targetUser, moderator, reason = '', durationMinutes = null) {
-    const bannedUsers = await this.state.storage.get('banned_users') || {};
-    
-    const ban = {
-      bannedBy: moderator,
-      reason: reason,
-      timestamp: Date.now(),
-      expires: durationMinutes ? Date.now() + (durationMinutes * 60 * 1000) : null
+  // Append to the room's moderation record; the table refuses to change or drop rows once written
+  audit(room, action, actor, target = null, reason = '', details = null) {
+    this.sql.exec(
+      'INSERT INTO audit_log (room, action, actor, target, reason, details, time) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      room, action, actor, target, reason || '', details ? JSON.stringify(details) : null, Date.now()
+    );
+  }
+
+  // GET /mod/roomname/audit?action=&actor=&target=&person=&since=&until=&before=&limit= - newest first, a page at a time.
+  // format=csv or format=json downloads everything that matches instead.
+  async handleAuditLog(request, room, url, user) {
+    if (request.method !== 'GET') {
+      return errorResponse(request, new HttpError('Method not allowed', 405));
+    }
+    try {
+      await this.verifyUserPermission(request, user, true, room);
+    } catch (error) {
+      return errorResponse(request, error);
+    }
+
+    const params = url.searchParams;
+    const where = ['room = ?'];
+    const args = [room];
+    for (const column of ['action', 'actor', 'target']) {
+      if (params.get(column)) {
+        where.push(`${column} = ?`);
+        args.push(params.get(column));
+      }
+    }
+    // Either side of the action (`user` is already taken by the viewer)
+    if (params.get('person')) {
+      where.push('(actor = ? OR target = ?)');
+      args.push(params.get('person'), params.get('person'));
+    }
+    const since = parseInt(params.get('since'), 10);
+    if (Number.isFinite(since)) {
+      where.push('time >= ?');
+      args.push(since);
+    }
+    const until = parseInt(params.get('until'), 10);
+    if (Number.isFinite(until)) {
+      where.push('time < ?');
+      args.push(until);
+    }
+
+    const format = params.get('format');
+    if (format === 'csv' || format === 'json') {
+      const entries = this.sql.exec(
+        `SELECT * FROM audit_log WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+        ...args, MAX_AUDIT_EXPORT
+      ).toArray().map(row => this.rowToAuditEntry(row));
+      return this.auditDownload(room, entries, format);
+    }
+
+    const before = parseInt(params.get('before'), 10);
+    if (Number.isFinite(before)) {
+      where.push('id < ?');
+      args.push(before);
+    }
+    const requestedLimit = parseInt(params.get('limit'), 10);
+    const limit = Math.min(requestedLimit > 0 ? requestedLimit : DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+
+    const rows = this.sql.exec(
+      `SELECT * FROM audit_log WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+      ...args, limit + 1
+    ).toArray();
+    const entries = rows.slice(0, limit).map(row => this.rowToAuditEntry(row));
+    const hasMore = rows.length > limit;
+
+    return jsonResponse({
+      entries,
+      hasMore,
+      nextBefore: hasMore ? entries[entries.length - 1].id : null
+    });
+  }
+
+  rowToAuditEntry(row) {
+    return {
+      id: row.id,
+      room: row.room,
+      action: row.action,
+      actor: row.actor,
+      target: row.target,
+      reason: row.reason,
+      details: row.details ? JSON.parse(row.details) : null,
+      time: row.time
     };
-    
-    bannedUsers[targetUser.toLowerCase()] = ban;
-    await this.state.storage.put('banned_users', bannedUsers);
+  }
+
+  auditDownload(room, entries, format) {
+    const filename = `audit-${room}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    const body = format === 'json'
+      ? JSON.stringify({ room, exportedAt: Date.now(), entries }, null, 2)
+      : this.auditToCsv(entries);
+
+    return new Response(body, {
+      headers: {
+        ...CORS_HEADERS,
+        'Content-Type': format === 'json' ? 'application/json' : 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+  }
+
+  auditToCsv(entries) {
+    // Quote every field; a leading = + - @ gets a ' so spreadsheets don't run it as a formula
+    const field = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return `"${text.replace(/"/g, '""')}"`;
+    };
+
+    const lines = [['id', 'time', 'room', 'action', 'actor', 'target', 'reason', 'details'].join(',')];
+    for (const entry of entries) {
+      lines.push([
+        entry.id,
+        new Date(entry.time).toISOString(),
+        entry.room,
+        entry.action,
+        entry.actor,
+        entry.target,
+        entry.reason,
+        entry.details ? JSON.stringify(entry.details) : ''
+      ].map(field).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  getAutomodRules(room) {
+    return this.sql.exec('SELECT * FROM automod_rules WHERE room = ? ORDER BY id', room).toArray().map(row => ({
+      id: row.id,
+      type: row.type,
+      config: JSON.parse(row.config),
+      action: row.action,
+      muteMinutes: row.mute_minutes,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  }
+
+  addAutomodRule(room, rule, moderator) {
+    const { type, config, action, muteMinutes } = normalizeRule(rule);
+    const { id } = this.sql.exec(
+      'INSERT INTO automod_rules (room, type, config, action, mute_minutes, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id',
+      room, type, JSON.stringify(config), action, muteMinutes, moderator, Date.now()
+    ).one();
+    this.audit(room, 'addAutomodRule', moderator, null, '', { ruleId: id, type, config, action, muteMinutes });
+    return jsonResponse({ success: true, automodRules: this.getAutomodRules(room) });
+  }
+
+  deleteAutomodRule(room, ruleId, moderator) {
+    const rule = this.getAutomodRules(room).find(r => r.id === Number(ruleId));
+    if (!rule) {
+      return textResponse('Rule not found', 404);
+    }
+    this.sql.exec('DELETE FROM automod_rules WHERE room = ? AND id = ?', room, rule.id);
+    this.audit(room, 'deleteAutomodRule', moderator, null, '', {
+      ruleId: rule.id, type: rule.type, config: rule.config, action: rule.action
+    });
+    return jsonResponse({ success: true, automodRules: this.getAutomodRules(room) });
+  }
+
+  // The strictest automod rule a message breaks ({ rule, reason }) or null; moderators aren't checked
+  checkAutomod(room, identity, text, attachmentCount) {
+    if (ROLE_RANKS[this.getIdentityRole(room, identity)] >= ROLE_RANKS.moderator) return null;
+
+    const rules = this.getAutomodRules(room);
+    if (rules.length === 0) return null;
+
+    // Unverified nicknames have no account, so they count as brand new
+    const accountAge = identity.createdAt ? Date.now() - identity.createdAt : 0;
+    return evaluateRules(rules, { text, attachmentCount, accountAge });
+  }
+
+  // Carry out a block or mute verdict; returns what to tell the author
+  async enforceAutomod(room, identity, verdict, text) {
+    const details = { ruleId: verdict.rule.id, text: text.substring(0, AUDIT_EXCERPT_LENGTH) };
+    if (verdict.rule.action !== 'mute') {
+      this.audit(room, 'automodBlock', 'automod', identity.username, verdict.reason, details);
+      return verdict.reason;
+    }
+
+    const minutes = verdict.rule.muteMinutes;
+    const expires = Date.now() + minutes * 60 * 1000;
+    this.audit(room, 'automodMute', 'automod', identity.username, verdict.reason, { ...details, minutes });
+    this.sql.exec(
+      'INSERT OR REPLACE INTO mutes (room, username, muted_by, reason, timestamp, expires) VALUES (?, ?, ?, ?, ?, ?)',
+      room, identity.username.toLowerCase(), 'automod', verdict.reason, Date.now(), expires
+    );
+    await this.scheduleCleanup(expires);
+    const systemMessage = this.addSystemMessage(
+      room,
+      'sys_mute',
+      `${identity.username} was muted by automod for ${formatMinutes(minutes)} (${verdict.reason})`
+    );
+    this.broadcast(room, { type: 'mute', targetUser: identity.username, systemMessage });
+
+    return `${verdict.reason} - you are muted for ${formatMinutes(minutes)}`;
+  }
+
+  getHeldMessage(room, messageId) {
+    return this.sql.exec('SELECT * FROM held_messages WHERE room = ? AND id = ?', room, messageId).toArray()[0] || null;
+  }
+
+  // Oldest first, with their files, for the moderators' review queue
+  getHeldMessages(room) {
+    const rows = this.sql.exec('SELECT * FROM held_messages WHERE room = ? ORDER BY time', room).toArray();
+    const attachments = this.getAttachments(room, rows.map(row => row.id));
+    return rows.map(row => {
+      const held = { id: row.id, user: row.user, text: row.text, time: row.time, reason: row.reason };
+      if (row.guest) held.guest = true;
+      if (row.reply_to) held.replyTo = row.reply_to;
+      if (attachments[row.id]) held.attachments = attachments[row.id];
+      return held;
+    });
+  }
+
+  // Keep a message automod wants reviewed out of the room until a moderator approves it
+  holdMessage(room, message, replyTo, attachmentIds, reason) {
+    this.sql.exec(
+      'INSERT INTO held_messages (id, room, user, guest, text, reply_to, time, reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      message.id, room, message.user, message.guest ? 1 : 0, message.text, replyTo || null, message.time, reason
+    );
+    // Claimed by the held message, so the unsent-upload cleanup leaves them alone
+    if (attachmentIds.length > 0) {
+      this.sql.exec(
+        'UPDATE attachments SET message_id = ? WHERE room = ? AND id IN (SELECT value FROM json_each(?))',
+        message.id, room, JSON.stringify(attachmentIds)
+      );
+    }
+
+    this.audit(room, 'automodHold', 'automod', message.user, reason, { messageId: message.id });
+    this.broadcast(room, { type: 'held', messageId: message.id, user: message.user });
+    return jsonResponse({ success: true, held: true, messageId: message.id, reason }, 202);
+  }
+
+  // Post a held message as if it was sent now (so incremental sync picks it up)
+  async approveHeldMessage(room, messageId, moderator) {
+    const held = this.getHeldMessage(room, messageId);
+    if (!held) {
+      return textResponse('Held message not found', 404);
+    }
+
+    const message = { id: held.id, user: held.user, text: held.text, time: Date.now() };
+    if (held.guest) message.guest = true;
+    if (this.getRoomSettings(room).encrypted) message.encrypted = true;
+    // What it replied to may have been deleted in the meantime
+    if (held.reply_to && this.getMessage(room, held.reply_to)) {
+      message.replyTo = held.reply_to;
+      const preview = this.getReplyPreviews(room, [held.reply_to])[held.reply_to];
+      if (preview) message.replyPreview = preview;
+    }
+
+    this.sql.exec('DELETE FROM held_messages WHERE room = ? AND id = ?', room, messageId);
+    this.insertMessage(room, message);
+    this.audit(room, 'approveHeld', moderator, held.user, held.reason, { messageId });
+    const attachments = this.getAttachments(room, [message.id])[message.id];
+    if (attachments) message.attachments = attachments;
+
+    this.broadcast(room, { type: 'message', message });
+    return jsonResponse({ success: true, message, heldMessages: this.getHeldMessages(room) });
+  }
+
+  async rejectHeldMessage(room, messageId, moderator) {
+    const held = this.getHeldMessage(room, messageId);
+    if (!held) {
+      return textResponse('Held message not found', 404);
+    }
+    this.sql.exec('DELETE FROM held_messages WHERE room = ? AND id = ?', room, messageId);
+    this.sql.exec('DELETE FROM attachments WHERE room = ? AND message_id = ?', room, messageId);
+    this.audit(room, 'rejectHeld', moderator, held.user, held.reason, {
+      messageId,
+      text: held.text.substring(0, AUDIT_EXCERPT_LENGTH)
+    });
+    return jsonResponse({ success: true, heldMessages: this.getHeldMessages(room) });
+  }
+
+  // Bans live in this room's object, so they keep the user out of the room they were issued in only
+  async banUser(room, targetUser, moderator, reason = '', durationMinutes = null) {
+    const expires = durationMinutes ? Date.now() + (durationMinutes * 60 * 1000) : null;
+    this.sql.exec(
+      'INSERT OR REPLACE INTO bans (username, banned_by, reason, timestamp, expires) VALUES (?, ?, ?, ?, ?)',
+      targetUser.toLowerCase(),
+      moderator,
+      reason || '',
+      Date.now(),
+      expires
+    );
+    if (expires) {
+      await this.scheduleCleanup(expires);
+    }
+
+    this.audit(room, 'ban', moderator, targetUser, reason, { durationMinutes: durationMinutes || null });
+
+    // Drop any live connections the banned user still has open
+    this.disconnectUser(null, targetUser, 4003, 'Banned');
     
     return jsonResponse({ success: true, message: `User ${targetUser} banned` });
   }
 
-  async unbanUser(targetUser, moderator) {
-    const bannedUsers = await this.state.storage.get('banned_users') || {};
+  async unbanUser(room, targetUser, moderator) {
+    const cursor = this.sql.exec('DELETE FROM bans WHERE username = ?', targetUser.toLowerCase());
     
-    if (bannedUsers[targetUser.toLowerCase()]) {
-      delete bannedUsers[targetUser.toLowerCase()];
-      await this.state.storage.put('banned_users', bannedUsers);
+    if (cursor.rowsWritten > 0) {
+      this.audit(room, 'unban', moderator, targetUser);
       return jsonResponse({ success: true, message: `User ${targetUser} unbanned` });
     }
     
     return textResponse('User not banned', 400);
   }
 
-  async kickUser(room, targetUser, moderator, reason = '') {
-    // Add user to temporary kick list (5 minute kick)
-    const kickKey = `kicked_users:${room}`;
-    const kickedUsers = await this.state.storage.get(kickKey) || {};
-    
-    kickedUsers[targetUser.toLowerCase()] = {
-      kickedBy: moderator,
-      reason: reason,
-      timestamp: Date.now(),
-      expires: Date.now() + (5 * 60 * 1000) // 5 minutes
-    };
-    
-    await this.state.storage.put(kickKey, kickedUsers);
+  async kickUser(room, targetUser, moderator, reason = '', minutes = DEFAULT_KICK_MINUTES) {
+    // Add user to temporary kick list
+    const expires = Date.now() + (minutes * 60 * 1000);
+    this.sql.exec(
+      'INSERT OR REPLACE INTO kicks (room, username, kicked_by, reason, timestamp, expires) VALUES (?, ?, ?, ?, ?, ?)',
+      room,
+      targetUser.toLowerCase(),
+      moderator,
+      reason || '',
+      Date.now(),
+      expires
+    );
+    await this.scheduleCleanup(expires);
     
-    // Remove user from room
-    const usersKey = `users:${room}`;
-    const users = await this.state.storage.get(usersKey) || {};
-    delete users[targetUser];
-    await this.state.storage.put(usersKey, users);
+    // Remove user from room, however they cased their name when they joined
+    this.sql.exec('DELETE FROM users WHERE room = ? AND username = ? COLLATE NOCASE', room, targetUser);
+    this.audit(room, 'kick', moderator, targetUser, reason, { durationMinutes: minutes });
     
     // Add system message
-    const messagesKey = `messages:${room}`;
-    const messages = await this.state.storage.get(messagesKey) || [];
-    
-    const systemMessage = {
-      id: `sys_kick_${Date.now()}`,
-      user: '*** System ***',
-      text: `${targetUser} was kicked by ${moderator}${reason ? ` (${reason})` : ''} - banned for 5 minutes`,
-      time: Date.now(),
-      system: true
-    };
-    
-    messages.push(systemMessage);
-    await this.state.storage.put(messagesKey, messages);
+    const systemMessage = this.addSystemMessage(
+      room,
+      'sys_kick',
+      `${targetUser} was kicked by ${moderator}${reason ? ` (${reason})` : ''} - they can rejoin after ${formatMinutes(minutes)}`
+    );
+
+    this.broadcast(room, { type: 'kick', targetUser, systemMessage });
+    this.disconnectUser(room, targetUser, 4003, 'Kicked');
+    await this.broadcastPresence(room);
     
     return jsonResponse({ 
       success: true, 
-      message: `User ${targetUser} kicked for 5 minutes`,
+      message: `User ${targetUser} kicked - they can rejoin after ${formatMinutes(minutes)}`,
       systemMessage: systemMessage 
     });
   }
 
-  async addModerator(targetUser, moderator) {
-    const moderators = await this.state.storage.get('moderators') || [];
-    
-    if (!moderators.includes(targetUser.toLowerCase())) {
-      moderators.push(targetUser.toLowerCase());
-      await this.state.storage.put('moderators', moderators);
-      return jsonResponse({ success: true, message: `${targetUser} added as moderator` });
+  // Unlike a kick the user stays connected and listed; moderateMessage turns their posts away.
+  // No duration means until a moderator unmutes them.
+  async muteUser(room, targetUser, moderator, reason = '', minutes = null) {
+    const expires = minutes ? Date.now() + (minutes * 60 * 1000) : null;
+    this.sql.exec(
+      'INSERT OR REPLACE INTO mutes (room, username, muted_by, reason, timestamp, expires) VALUES (?, ?, ?, ?, ?, ?)',
+      room,
+      targetUser.toLowerCase(),
+      moderator,
+      reason || '',
+      Date.now(),
+      expires
+    );
+    if (expires) {
+      await this.scheduleCleanup(expires);
     }
-    
-    return textResponse('User already moderator', 400);
+    this.audit(room, 'mute', moderator, targetUser, reason, { durationMinutes: minutes });
+
+    const systemMessage = this.addSystemMessage(
+      room,
+      'sys_mute',
+      `${targetUser} was muted by ${moderator}${reason ? ` (${reason})` : ''} ${minutes ? `for ${formatMinutes(minutes)}` : 'until further notice'}`
+    );
+    this.broadcast(room, { type: 'mute', targetUser, systemMessage });
+
+    return jsonResponse({
+      success: true,
+      message: `User ${targetUser} muted${minutes ? ` for ${formatMinutes(minutes)}` : ''}`,
+      systemMessage
+    });
   }
 
-  async removeModerator(targetUser, moderator) {
-    const moderators = await this.state.storage.get('moderators') || [];
-    const index = moderators.indexOf(targetUser.toLowerCase());
-    
-    if (index > -1) {
-      moderators.splice(index, 1);
-      await this.state.storage.put('moderators', moderators);
-      return jsonResponse({ success: true, message: `${targetUser} removed as moderator` });
+  async unmuteUser(room, targetUser, moderator) {
+    const cursor = this.sql.exec('DELETE FROM mutes WHERE room = ? AND username = ?', room, targetUser.toLowerCase());
+    if (cursor.rowsWritten === 0) {
+      return textResponse('User is not muted', 404);
     }
-    
-    return textResponse('User not moderator', 400);
+    this.audit(room, 'unmute', moderator, targetUser);
+
+    const systemMessage = this.addSystemMessage(room, 'sys_mute', `${targetUser} was unmuted by ${moderator}`);
+    this.broadcast(room, { type: 'mute', targetUser, systemMessage });
+
+    return jsonResponse({ success: true, message: `User ${targetUser} unmuted`, systemMessage });
+  }
+
+  // Current mutes for the moderation panel, expired ones left out
+  getMutes(room) {
+    return this.sql.exec(
+      'SELECT * FROM mutes WHERE room = ? AND (expires IS NULL OR expires > ?) ORDER BY timestamp DESC',
+      room, Date.now()
+    ).toArray().map(row => ({
+      username: row.username,
+      mutedBy: row.muted_by,
+      reason: row.reason,
+      timestamp: row.timestamp,
+      expires: row.expires
+    }));
+  }
+
+  // Only owners hand out or take away roles
+  async setRole(room, targetUser, role, owner) {
+    if (!Object.hasOwn(ROLE_RANKS, role)) {
+      return textResponse('Role must be owner, moderator or member', 400);
+    }
+    if (this.getRole(room, owner) !== 'owner') {
+      return textResponse('Only room owners can change roles', 403);
+    }
+    if (this.isSiteAdmin(targetUser)) {
+      return textResponse(`${targetUser} is a site admin and owns every room`, 400);
+    }
+
+    // Don't let the last owner step down and leave the room unmanaged
+    if (role !== 'owner' && this.getRole(room, targetUser) === 'owner') {
+      const owners = this.sql.exec("SELECT COUNT(*) AS count FROM roles WHERE room = ? AND role = 'owner'", room).one().count;
+      if (owners <= 1) {
+        return textResponse('A room needs at least one owner', 400);
+      }
+    }
+
+    this.sql.exec(
+      `INSERT INTO roles (room, username, role, granted_by, granted_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (room, username) DO UPDATE SET role = excluded.role, granted_by = excluded.granted_by, granted_at = excluded.granted_at`,
+      room, targetUser, role, owner, Date.now()
+    );
+
+    this.audit(room, 'setRole', owner, targetUser, '', { role });
+    const systemMessage = this.addSystemMessage(room, 'sys_role', `${targetUser} is now ${ROLE_NAMES[role]} (set by ${owner})`);
+    const roles = this.getRoles(room);
+    this.broadcast(room, { type: 'roles', roles, systemMessage });
+
+    return jsonResponse({
+      success: true,
+      message: `${targetUser} is now ${ROLE_NAMES[role]}`,
+      roles,
+      systemMessage
+    });
+  }
+
+  async addModerator(room, targetUser, owner) {
+    if (ROLE_RANKS[this.getRole(room, targetUser)] >= ROLE_RANKS.moderator) {
+      return textResponse('User already moderator', 400);
+    }
+    return this.setRole(room, targetUser, 'moderator', owner);
+  }
+
+  async removeModerator(room, targetUser, owner) {
+    if (this.getRole(room, targetUser) !== 'moderator') {
+      return textResponse('User not moderator', 400);
+    }
+    return this.setRole(room, targetUser, 'member', owner);
+  }
+
+  // Members, pending join requests and live invites of a private room (empty for other rooms)
+  getMembership(room) {
+    const settings = this.getRoomSettings(room);
+    if (!settings || settings.visibility !== 'private') {
+      return { members: [], joinRequests: [], invites: [] };
+    }
+
+    const members = this.sql.exec('SELECT * FROM roles WHERE room = ? ORDER BY granted_at', room).toArray()
+      .map(row => ({ username: row.username, role: row.role, addedBy: row.granted_by, addedAt: row.granted_at }));
+    const joinRequests = this.sql.exec('SELECT * FROM join_requests WHERE room = ? ORDER BY requested_at', room).toArray()
+      .map(row => ({ username: row.username, message: row.message, requestedAt: row.requested_at }));
+    const invites = this.sql.exec('SELECT * FROM invites WHERE room = ? AND expires_at >= ? ORDER BY created_at', room, Date.now()).toArray()
+      .map(row => ({
+        token: row.token,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        maxUses: row.max_uses,
+        uses: row.uses
+      }));
+
+    return { members, joinRequests, invites };
+  }
+
+  requirePrivateRoom(room) {
+    const settings = this.getRoomSettings(room);
+    if (!settings || settings.visibility !== 'private') {
+      throw new HttpError('Only private rooms have members', 400);
+    }
+    return settings;
+  }
+
+  async createInvite(room, moderator, expiresInHours, maxUses) {
+    this.requirePrivateRoom(room);
+
+    const hours = Math.min(Math.max(Number(expiresInHours) || DEFAULT_INVITE_HOURS, 1), MAX_INVITE_HOURS);
+    const uses = parseInt(maxUses, 10) > 0 ? parseInt(maxUses, 10) : null;
+    const invite = {
+      token: crypto.randomUUID().replace(/-/g, ''),
+      createdBy: moderator,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + hours * 60 * 60 * 1000,
+      maxUses: uses,
+      uses: 0
+    };
+
+    this.sql.exec(
+      'INSERT INTO invites (token, room, created_by, created_at, expires_at, max_uses) VALUES (?, ?, ?, ?, ?, ?)',
+      invite.token, room, invite.createdBy, invite.createdAt, invite.expiresAt, invite.maxUses
+    );
+    await this.scheduleCleanup(invite.expiresAt);
+    // Not the token itself - the log shouldn't hand out working invite links
+    this.audit(room, 'createInvite', moderator, null, '', { expiresAt: invite.expiresAt, maxUses: invite.maxUses });
+
+    return jsonResponse({ success: true, invite });
+  }
+
+  async revokeInvite(room, token, moderator) {
+    const cursor = this.sql.exec('DELETE FROM invites WHERE room = ? AND token = ?', room, String(token));
+    if (cursor.rowsWritten === 0) {
+      return textResponse('Invite not found', 404);
+    }
+    this.audit(room, 'revokeInvite', moderator);
+    return jsonResponse({ success: true, message: 'Invite revoked' });
   }
-}
\ No newline at end of file
+
+  async approveJoinRequest(room, targetUser, moderator) {
+    this.requirePrivateRoom(room);
+    if (!this.hasJoinRequest(room, targetUser)) {
+      return textResponse('No pending request from that user', 404);
+    }
+
+    const systemMessage = this.addMember(room, targetUser, moderator, `${targetUser} joined the room (approved by ${moderator})`);
+    this.audit(room, 'approveJoin', moderator, targetUser);
+    return jsonResponse({ success: true, message: `${targetUser} is now a member`, systemMessage });
+  }
+
+  async denyJoinRequest(room, targetUser, moderator) {
+    const cursor = this.sql.exec('DELETE FROM join_requests WHERE room = ? AND username = ?', room, targetUser);
+    if (cursor.rowsWritten === 0) {
+      return textResponse('No pending request from that user', 404);
+    }
+    this.audit(room, 'denyJoin', moderator, targetUser);
+    return jsonResponse({ success: true, message: `Request from ${targetUser} denied` });
+  }
+
+  async removeMember(room, targetUser, moderator) {
+    this.requirePrivateRoom(room);
+    if (this.isSiteAdmin(targetUser)) {
+      return textResponse(`${targetUser} is a site admin and owns every room`, 400);
+    }
+
+    const cursor = this.sql.exec('DELETE FROM roles WHERE room = ? AND username = ?', room, targetUser);
+    if (cursor.rowsWritten === 0) {
+      return textResponse('User is not a member', 400);
+    }
+
+    this.audit(room, 'removeMember', moderator, targetUser);
+    const systemMessage = this.addSystemMessage(room, 'sys_member', `${targetUser} was removed from the room by ${moderator}`);
+    this.broadcast(room, { type: 'members', action: 'removed', username: targetUser, systemMessage });
+
+    // They can't read the room any more, so they can't stay in it either
+    this.sql.exec('DELETE FROM users WHERE room = ? AND username = ? COLLATE NOCASE', room, targetUser);
+    this.disconnectUser(room, targetUser, 4003, 'Removed from room');
+    await this.broadcastPresence(room);
+
+    return jsonResponse({ success: true, message: `${targetUser} removed from the room`, systemMessage });
+  }
+}
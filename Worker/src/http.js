@@ -0,0 +1,57 @@
+// Shared CORS headers for every API response
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'Retry-After, Content-Disposition'
+};
+
+// Helper for CORS responses
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      ...CORS_HEADERS,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+export function textResponse(text, status = 200) {
+  return new Response(text, {
+    status,
+    headers: {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/plain'
+    }
+  });
+}
+
+// Error carrying the HTTP status it should be reported with
+export class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// The runtime throws if a request body is left unread after the response goes out
+export async function drainBody(request) {
+  if (request.body && !request.bodyUsed) {
+    await request.arrayBuffer();
+  }
+}
+
+// Reject a request with the error's status, draining any unread body first
+export async function errorResponse(request, error) {
+  await drainBody(request);
+  return textResponse(error.message, error.status || 403);
+}
+
+// 429 for a rate-limited request; Retry-After says how many seconds until it would be accepted
+export async function rateLimitResponse(request, retryAfter) {
+  await drainBody(request);
+  const response = textResponse(`Too many requests - try again in ${retryAfter}s`, 429);
+  response.headers.set('Retry-After', String(retryAfter));
+  return response;
+}
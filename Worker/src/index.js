@@ -1,6 +1,17 @@
 import ChatRoom from './chatRoom.js';
+import Accounts from './accounts.js';
+import RoomDirectory from './roomDirectory.js';
+import { verifySession, getSessionToken } from './auth.js';
+import { getDirectory, getRoom, getInbox, internalRequest, isRoomId } from './rooms.js';
+import { jsonResponse, textResponse } from './http.js';
+import {
+  handleMultipartUpload, checkFile, getStorageKey, getUploadLimit, parseUploadLimits, toBase64, uploadResponse,
+  SINGLE_UPLOAD_LIMIT
+} from './uploads.js';
 
-export { ChatRoom };  // Export Durable Object class
+const MAX_UNREAD_ROOMS = 50;
+
+export { ChatRoom, Accounts, RoomDirectory };  // Export Durable Object classes
 
 export default {
   async fetch(request, env, ctx) {
@@ -13,25 +24,69 @@ export default {
         status: 204,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, X-Auth-Token, X-Auth-User'
+          'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
         }
       });
     }
 
+    // Account endpoints - register, login, guest sessions
+    const authMatch = pathname.match(/^\/auth\/(register|login|guest|session)$/);
+    if (authMatch) {
+      const id = env.ACCOUNTS.idFromName('accounts');
+      const stub = env.ACCOUNTS.get(id);
+      return stub.fetch(request);
+    }
+
+    // Room directory - list public rooms, create rooms
+    if (pathname === '/rooms') {
+      return getDirectory(env).fetch(request);
+    }
+
+    // Archive or join a room - the room itself checks who is asking
+    const roomAdminMatch = pathname.match(/^\/rooms\/([\w-]+)(?:\/join)?$/);
+    if (roomAdminMatch && isRoomId(roomAdminMatch[1])) {
+      return getRoom(env, roomAdminMatch[1]).fetch(request);
+    }
+
     // Chat room endpoints
-    const roomMatch = pathname.match(/^\/chat\/([\w-]+)$/);
-    if (roomMatch) {
+    const roomMatch = pathname.match(/^\/chat\/([\w-]+)(?:\/reactions|\/read)?$/);
+    if (roomMatch && isRoomId(roomMatch[1])) {
       const roomId = roomMatch[1];
       const id = env.CHAT_ROOM.idFromName(roomId);
       const stub = env.CHAT_ROOM.get(id);
       return stub.fetch(request);
     }
 
-    // Private message endpoints
-    const pmMatch = pathname.match(/^\/pm\/([\w-]+)$/);
+    // Full-text search - answered by the room being searched
+    if (pathname === '/search') {
+      const roomId = url.searchParams.get('room') || 'default';
+      if (!isRoomId(roomId)) {
+        return textResponse('Invalid room', 400);
+      }
+      return getRoom(env, roomId).fetch(request);
+    }
+
+    // Unread and mention counts across rooms
+    if (pathname === '/unread') {
+      return handleUnread(request, env, url);
+    }
+
+    // The signed-in user's conversations
+    if (pathname === '/pm') {
+      return handleInbox(request, env, url);
+    }
+
+    // Public keys for end-to-end encrypted PMs, kept in each user's inbox object
+    const keyMatch = pathname.match(/^\/keys\/([\w.-]+)$/);
+    if (keyMatch) {
+      return getInbox(env, keyMatch[1]).fetch(request);
+    }
+
+    // Private message endpoints; the id is two usernames, which may contain dots, and any casing of it reaches the same object
+    const pmMatch = pathname.match(/^\/pm\/([\w.-]+)$/);
     if (pmMatch) {
-      const conversationId = pmMatch[1];
+      const conversationId = pmMatch[1].toLowerCase();
       const id = env.CHAT_ROOM.idFromName(`pm_${conversationId}`);
       const stub = env.CHAT_ROOM.get(id);
       return stub.fetch(request);
@@ -42,6 +97,12 @@ export default {
       return handleFileUpload(request, env);
     }
 
+    // Resumable uploads of larger files, in parts
+    const multipartMatch = pathname.match(/^\/upload\/multipart(?:\/([^/]+))?$/);
+    if (multipartMatch) {
+      return handleMultipartUpload(request, env, url, multipartMatch[1] && decodeURIComponent(multipartMatch[1]));
+    }
+
     // File serving endpoint
     const fileMatch = pathname.match(/^\/files\/([\w.-]+)$/);
     if (fileMatch && env.FILE_BUCKET) {
@@ -78,8 +139,8 @@ export default {
     }
 
     // Moderation endpoints
-    const modMatch = pathname.match(/^\/mod\/([\w-]+)$/);
-    if (modMatch) {
+    const modMatch = pathname.match(/^\/mod\/([\w-]+)(?:\/audit)?$/);
+    if (modMatch && isRoomId(modMatch[1])) {
       const roomId = modMatch[1];
       const id = env.CHAT_ROOM.idFromName(roomId);
       const stub = env.CHAT_ROOM.get(id);
@@ -109,6 +170,62 @@ export default {
   }
 };
 
+// GET /unread?rooms=a,b,c - unread and mention counts for each listed room the user belongs to.
+// Rooms they aren't a member of (or that don't exist) are left out.
+async function handleUnread(request, env, url) {
+  if (request.method !== 'GET') {
+    return textResponse('Method not allowed', 405);
+  }
+
+  let username = url.searchParams.get('user');
+  let guest = false;
+  if (env.AUTH_SECRET) {
+    const session = await verifySession(getSessionToken(request), env.AUTH_SECRET);
+    if (!session) {
+      return textResponse('Authentication required', 401);
+    }
+    username = session.username;
+    guest = session.guest;
+  }
+  if (!username) {
+    return textResponse('Missing user', 400);
+  }
+
+  const roomIds = [...new Set((url.searchParams.get('rooms') || '').split(','))]
+    .filter(isRoomId)
+    .slice(0, MAX_UNREAD_ROOMS);
+
+  const results = await Promise.all(roomIds.map(async (room) => {
+    try {
+      const res = await internalRequest(getRoom(env, room), 'unread', { room, username, guest });
+      return res.ok ? [room, await res.json()] : null;
+    } catch (error) {
+      console.error(`Unread count for ${room} failed:`, error);
+      return null;
+    }
+  }));
+
+  return jsonResponse({ rooms: Object.fromEntries(results.filter(Boolean)) });
+}
+
+// GET /pm - the user's DM conversations with their latest message and unread counts, or (as a
+// WebSocket) new PMs as they arrive. Both are served by the user's own inbox object.
+async function handleInbox(request, env, url) {
+  let username = url.searchParams.get('user');
+  if (env.AUTH_SECRET) {
+    const session = await verifySession(getSessionToken(request), env.AUTH_SECRET);
+    if (!session) {
+      return textResponse('Authentication required', 401);
+    }
+    username = session.username;
+  }
+  if (!username) {
+    return textResponse('Missing user', 400);
+  }
+
+  return getInbox(env, username).fetch(request);
+}
+
 // File upload handler
 async function handleFileUpload(request, env) {
   if (request.method !== 'POST') {
@@ -118,10 +235,26 @@ async function handleFileUpload(request, env) {
     });
   }
 
+  // Uploads are credited to the session's user when accounts are configured
+  let sessionUser = null;
+  let sessionGuest = false;
+  if (env.AUTH_SECRET) {
+    const session = await verifySession(getSessionToken(request), env.AUTH_SECRET);
+    if (!session) {
+      await request.arrayBuffer();
+      return new Response('Authentication required', { 
+        status: 401,
+        headers: { 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+    sessionUser = session.username;
+    sessionGuest = session.guest;
+  }
+
   try {
     const formData = await request.formData();
     const file = formData.get('file');
-    const user = formData.get('user');
+    const user = sessionUser || formData.get('user');
     const room = formData.get('room');
 
     if (!file || !user || !room) {
@@ -135,13 +268,12 @@ async function handleFileUpload(request, env) {
         }
       });
     }
-
-    // Check file size (5MB limit)
-    if (file.size > 5 * 1024 * 1024) {
+    // The field names the room object, so it must be a room id - not a PM or inbox object's name
+    if (!isRoomId(room)) {
       return new Response(JSON.stringify({
-        error: 'File too large. Maximum size is 5MB.'
-      }), { 
-        status: 413,
+        error: 'Invalid room'
+      }), {
+        status: 400,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*'
@@ -149,20 +281,41 @@ async function handleFileUpload(request, env) {
       });
     }
 
-    // Validate file type
-    const allowedTypes = [
-      'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-      'audio/mpeg', 'audio/wav', 'audio/ogg',
-      'application/pdf', 'text/plain',
-      'application/msword', 
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
+    // The room decides who may post files into it (private rooms: members only)
+    const access = await internalRequest(getRoom(env, room), 'access', {
+      room,
+      username: user,
+      guest: sessionGuest,
+      connection: request.headers.get('CF-Connecting-IP')
+    });
+    if (!access.ok) {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      };
+      // Rate limited - pass on how long to wait
+      if (access.headers.has('Retry-After')) {
+        headers['Retry-After'] = access.headers.get('Retry-After');
+        headers['Access-Control-Expose-Headers'] = 'Retry-After';
+      }
+      return new Response(JSON.stringify({
+        error: await access.text()
+      }), {
+        status: access.status,
+        headers
+      });
+    }
+    const { encrypted } = await access.json();
 
-    if (!allowedTypes.includes(file.type)) {
+    // The room's size limit (larger files have to go up in parts) and allowed types
+    const limit = Math.min(getUploadLimit(parseUploadLimits(env.UPLOAD_LIMITS), room), SINGLE_UPLOAD_LIMIT);
+    try {
+      checkFile(file, { encrypted, limit });
+    } catch (error) {
       return new Response(JSON.stringify({
-        error: `File type ${file.type} is not allowed`
+        error: error.message
       }), { 
-        status: 400,
+        status: error.status,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*'
@@ -170,17 +323,7 @@ async function handleFileUpload(request, env) {
       });
     }
 
-    // Generate unique filename with sanitized user
-    const timestamp = Date.now();
-    const sanitizedName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
-    
-    // Sanitize username to prevent path traversal and injection
-    let sanitizedUser = user.replace(/[^a-zA-Z0-9.-]/g, '_').replace(/_+/g, '_');
-    if (!sanitizedUser || sanitizedUser === '_') {
-      sanitizedUser = 'unknown';
-    }
-    
-    const filename = `${timestamp}_${sanitizedUser}_${sanitizedName}`;
+    const filename = getStorageKey(user, file.name);
     
     // Store file in R2 bucket (if available) or convert to base64
     let fileUrl;
@@ -224,25 +367,26 @@ async function handleFileUpload(request, env) {
       
       // Fallback: convert to base64 data URL (small files only)
       const arrayBuffer = await file.arrayBuffer();
-      const base64 = btoa(String.fromCharCode(...new Uint8Array(arrayBuffer)));
+      const base64 = toBase64(new Uint8Array(arrayBuffer));
       fileUrl = `data:${file.type};base64,${base64}`;
     }
 
-    return new Response(JSON.stringify({
-      success: true,
-      filename: filename,
-      url: fileUrl,
-      size: file.size,
+    // Register the upload with the room - messages can only attach files it knows about
+    const registered = await internalRequest(getRoom(env, room), 'attachment', {
+      room,
+      username: user,
+      guest: sessionGuest,
+      name: file.name,
       type: file.type,
-      originalName: file.name,
-      uploadedBy: user,
-      uploadedAt: new Date().toISOString()
-    }), {
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Content-Type': 'application/json'
-      }
+      size: file.size,
+      url: fileUrl
     });
+    if (!registered.ok) {
+      throw new Error(await registered.text());
+    }
+    const { attachment } = await registered.json();
+
+    return uploadResponse(attachment, filename, user);
 
   } catch (error) {
     console.error('Upload error:', error);
@@ -0,0 +1,87 @@
+// Token buckets: every user and every connection gets `burst` tokens per action, refilled at `perMinute`.
+// Each request takes one token from both of its buckets. The connection limit is looser since a
+// connection (an IP, or a single socket) can be shared by several people.
+// Buckets live in memory in the Durable Object that checks them, so they count only what reaches
+// that object (one room; PMs in the sender's inbox object) and start full again whenever the object
+// is evicted or restarts. They stop bursts, not a patient spammer.
+export const DEFAULT_RATE_LIMITS = {
+  message: { user: { burst: 10, perMinute: 30 }, connection: { burst: 30, perMinute: 90 } },
+  upload: { user: { burst: 5, perMinute: 10 }, connection: { burst: 15, perMinute: 30 } },
+  pm: { user: { burst: 10, perMinute: 30 }, connection: { burst: 30, perMinute: 90 } },
+  // Clients beat every 30s; the HTTP fallback also carries typing signals every few seconds
+  heartbeat: { user: { burst: 10, perMinute: 30 }, connection: { burst: 30, perMinute: 90 } }
+};
+
+// RATE_LIMITS var: JSON overriding any of the defaults, e.g. {"message":{"user":{"burst":5,"perMinute":20}}}
+export function parseRateLimits(value) {
+  let overrides = {};
+  if (value) {
+    try {
+      overrides = JSON.parse(value);
+    } catch (error) {
+      console.error('Ignoring invalid RATE_LIMITS:', error);
+    }
+  }
+
+  const limits = {};
+  for (const [action, scopes] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    limits[action] = {};
+    for (const [scope, limit] of Object.entries(scopes)) {
+      limits[action][scope] = { ...limit, ...(overrides[action] && overrides[action][scope]) };
+    }
+  }
+  return limits;
+}
+
+export class RateLimiter {
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map(); // `${action}:${scope}:${key}` -> { tokens, updated }
+  }
+
+  // Take a token for the action from each key's bucket ({ user, connection }; missing keys are skipped).
+  // Returns 0 if the request may go ahead, otherwise the seconds until it may - and then nothing is taken.
+  take(action, keys, now = Date.now()) {
+    const limits = this.limits[action];
+    if (!limits) return 0;
+
+    const buckets = [];
+    let wait = 0;
+    for (const [scope, key] of Object.entries(keys)) {
+      const limit = limits[scope];
+      if (!key || !limit) continue;
+
+      const bucket = this.refill(`${action}:${scope}:${key}`, limit, now);
+      buckets.push(bucket);
+      if (bucket.tokens < 1) {
+        wait = Math.max(wait, (1 - bucket.tokens) / (limit.perMinute / 60000));
+      }
+    }
+
+    if (wait > 0) return Math.ceil(wait / 1000);
+    buckets.forEach(bucket => bucket.tokens -= 1);
+    return 0;
+  }
+
+  refill(id, limit, now) {
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updated: now, limit };
+      this.buckets.set(id, bucket);
+      return bucket;
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updated) * limit.perMinute / 60000);
+    bucket.updated = now;
+    return bucket;
+  }
+
+  // Full buckets are the same as no bucket, so there's no need to remember them
+  prune(now = Date.now()) {
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updated) * bucket.limit.perMinute / 60000 >= bucket.limit.burst) {
+        this.buckets.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import { migrateSchema, DIRECTORY_MIGRATIONS } from './schema.js';
+import { verifySession, getSessionToken } from './auth.js';
+import { jsonResponse, textResponse, errorResponse, CORS_HEADERS, HttpError } from './http.js';
+import { DEFAULT_ROOMS, ROOM_VISIBILITIES, getRoom, internalRequest, isRoomId } from './rooms.js';
+
+const MAX_NAME_LENGTH = 32;
+const MAX_DESCRIPTION_LENGTH = 200;
+const KEY_CHECK_PATTERN = /^[A-Za-z0-9+/]{40,200}={0,2}$/;
+
+// Single global Durable Object listing rooms; each ChatRoom stays the authority on its own settings
+export default class RoomDirectory {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.sql = state.storage.sql;
+
+    state.blockConcurrencyWhile(async () => {
+      migrateSchema(this.sql, DIRECTORY_MIGRATIONS);
+      this.seedDefaultRooms();
+    });
+  }
+
+  seedDefaultRooms() {
+    for (const room of DEFAULT_ROOMS) {
+      this.sql.exec(
+        "INSERT OR IGNORE INTO rooms (id, name, description, visibility, created_at) VALUES (?, ?, ?, 'public', 0)",
+        room.id, room.name, room.description
+      );
+    }
+  }
+
+  async fetch(request) {
+    if (request.method === 'OPTIONS') {
+      return new Response('', { status: 204, headers: CORS_HEADERS });
+    }
+
+    const url = new URL(request.url);
+    const parts = url.pathname.split('/');
+
+    // Updates pushed by ChatRoom objects
+    if (parts[1] === 'internal') {
+      return this.handleInternal(request, parts[2]);
+    }
+
+    // GET /rooms - public rooms with live user counts
+    if (request.method === 'GET') {
+      return jsonResponse({ rooms: this.listRooms() });
+    }
+
+    // POST /rooms - create a room
+    if (request.method === 'POST') {
+      try {
+        return await this.createRoom(request, url.searchParams.get('user') || 'anon');
+      } catch (error) {
+        console.error('Create room error:', error);
+        return errorResponse(request, error);
+      }
+    }
+
+    return textResponse('Method not allowed', 405);
+  }
+
+  rowToRoom(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      visibility: row.visibility,
+      owner: row.owner,
+      createdAt: row.created_at,
+      userCount: row.user_count
+    };
+  }
+
+  listRooms() {
+    return this.sql.exec(
+      "SELECT * FROM rooms WHERE visibility = 'public' AND archived_at IS NULL ORDER BY created_at, rowid"
+    ).toArray().map(row => this.rowToRoom(row));
+  }
+
+  // Registered accounts (or anyone, in dev mode) can create rooms and become their owner
+  async resolveCreator(request, requestedUser) {
+    if (!this.env.AUTH_SECRET) {
+      return requestedUser;
+    }
+
+    const session = await verifySession(getSessionToken(request), this.env.AUTH_SECRET);
+    if (!session) {
+      throw new HttpError('Authentication required', 401);
+    }
+    if (session.guest) {
+      throw new HttpError('Guests cannot create rooms - register an account first', 403);
+    }
+    return session.username;
+  }
+
+  async createRoom(request, requestedUser) {
+    const owner = await this.resolveCreator(request, requestedUser);
+    const body = await request.json();
+
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/^#+/, '') : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return textResponse(`Room names are 1-${MAX_NAME_LENGTH} characters`, 400);
+    }
+
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return textResponse(`Descriptions are at most ${MAX_DESCRIPTION_LENGTH} characters`, 400);
+    }
+
+    const visibility = body.visibility || 'public';
+    if (!ROOM_VISIBILITIES.includes(visibility)) {
+      return textResponse(`Visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}`, 400);
+    }
+
+    // Encrypted rooms: the creator's client encrypts a known value with the passphrase so
+    // members can check theirs; the passphrase itself never leaves the browser
+    const keyCheck = body.keyCheck || null;
+    if (keyCheck !== null && (typeof keyCheck !== 'string' || !KEY_CHECK_PATTERN.test(keyCheck))) {
+      return textResponse('Invalid key check', 400);
+    }
+
+    // Room ids double as /chat/:room path segments
+    const id = String(body.id || name).toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, MAX_NAME_LENGTH);
+    if (!id) {
+      return textResponse('Room name needs at least one letter or number', 400);
+    }
+    if (!isRoomId(id)) {
+      return textResponse('Room ids starting with pm_ are reserved for private messages', 400);
+    }
+
+    if (this.sql.exec('SELECT 1 FROM rooms WHERE id = ?', id).toArray().length > 0) {
+      return textResponse(`Room "${id}" already exists`, 409);
+    }
+
+    // The room object has the final say - it refuses if it already holds a room
+    const room = { room: id, name, description, visibility, owner, keyCheck };
+    const res = await internalRequest(getRoom(this.env, id), 'setup', room);
+    if (!res.ok) {
+      return textResponse(await res.text(), res.status);
+    }
+
+    const now = Date.now();
+    this.sql.exec(
+      'INSERT OR REPLACE INTO rooms (id, name, description, visibility, owner, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      id, name, description, visibility, owner, now
+    );
+
+    return jsonResponse({ success: true, room: this.rowToRoom({ ...room, id, created_at: now, user_count: 0 }) }, 201);
+  }
+
+  async handleInternal(request, action) {
+    const data = await request.json();
+
+    switch (action) {
+      // A room that existed before the directory did
+      case 'register':
+        this.sql.exec(
+          'INSERT OR IGNORE INTO rooms (id, name, description, visibility, created_at) VALUES (?, ?, ?, ?, ?)',
+          data.room, data.name, data.description || '', data.visibility, data.createdAt
+        );
+        break;
+      case 'count':
+        this.sql.exec('UPDATE rooms SET user_count = ? WHERE id = ?', data.userCount, data.room);
+        break;
+      case 'archive':
+        this.sql.exec('UPDATE rooms SET archived_at = ?, user_count = 0 WHERE id = ?', data.archivedAt, data.room);
+        break;
+      default:
+        return textResponse('Not found', 404);
+    }
+
+    return jsonResponse({ success: true });
+  }
+}
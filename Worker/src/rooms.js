@@ -0,0 +1,49 @@
+// Rooms that exist out of the box (the old hard-coded room list)
+export const DEFAULT_ROOMS = [
+  { id: 'default', name: 'general', description: 'General chat' },
+  { id: 'fun', name: 'random', description: 'Anything goes' },
+  { id: 'random', name: 'offtopic', description: 'Off-topic chatter' },
+  { id: 'tech', name: 'computers', description: 'Computers and tech talk' }
+];
+
+// public rooms are listed in the directory, unlisted ones are reachable by id only,
+// private ones only let in members (anyone with a row in the room's roles table)
+export const ROOM_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+export function getDirectory(env) {
+  const id = env.ROOM_DIRECTORY.idFromName('directory');
+  return env.ROOM_DIRECTORY.get(id);
+}
+
+// Room ids double as /chat/:room path segments and as object names. PM conversations are named
+// pm_<ids> and inboxes inbox:<name>, so a room id may not start with pm_ (the colon is never allowed).
+export function isRoomId(room) {
+  return typeof room === 'string' && /^[\w-]+$/.test(room) && !/^pm_/i.test(room);
+}
+
+export function getRoom(env, roomId) {
+  const id = env.CHAT_ROOM.idFromName(roomId);
+  return env.CHAT_ROOM.get(id);
+}
+
+// Each user's PM inbox lives in its own object; the colon keeps it clear of every room id
+export function getInbox(env, username) {
+  const id = env.CHAT_ROOM.idFromName(`inbox:${username.toLowerCase()}`);
+  return env.CHAT_ROOM.get(id);
+}
+
+// The id clients use for a DM: both names, lowercased and sorted, joined by an underscore, so
+// one pair always lands in one object whatever the casing. Names can contain underscores
+// themselves, so the id alone doesn't say who is in it.
+export function getConversationId(userA, userB) {
+  return [userA.toLowerCase(), userB.toLowerCase()].sort().join('_');
+}
+
+// Durable Object to Durable Object call on a path the public router never forwards
+export function internalRequest(stub, action, data) {
+  return stub.fetch(`https://internal/internal/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+}
@@ -0,0 +1,358 @@
+// SQLite schemas for the Durable Objects. Each migration runs once, in order - never edit one that has shipped, add a new one.
+export const MIGRATIONS = [
+  // 1: messages, deletions, presence, bans and kicks
+  `
+  CREATE TABLE messages (
+    id TEXT PRIMARY KEY,
+    room TEXT NOT NULL,
+    user TEXT NOT NULL,
+    text TEXT NOT NULL,
+    time INTEGER NOT NULL,
+    system INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_messages_room_time ON messages (room, time);
+
+  CREATE TABLE tombstones (
+    id TEXT PRIMARY KEY,
+    room TEXT NOT NULL,
+    deleted_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_tombstones_room_deleted ON tombstones (room, deleted_at);
+
+  CREATE TABLE users (
+    room TEXT NOT NULL,
+    username TEXT NOT NULL,
+    last_seen INTEGER NOT NULL,
+    PRIMARY KEY (room, username)
+  );
+  CREATE INDEX idx_users_last_seen ON users (last_seen);
+
+  CREATE TABLE bans (
+    username TEXT PRIMARY KEY,
+    banned_by TEXT NOT NULL,
+    reason TEXT NOT NULL DEFAULT '',
+    timestamp INTEGER NOT NULL,
+    expires INTEGER
+  );
+  CREATE INDEX idx_bans_expires ON bans (expires);
+
+  CREATE TABLE kicks (
+    room TEXT NOT NULL,
+    username TEXT NOT NULL,
+    kicked_by TEXT NOT NULL,
+    reason TEXT NOT NULL DEFAULT '',
+    timestamp INTEGER NOT NULL,
+    expires INTEGER NOT NULL,
+    PRIMARY KEY (room, username)
+  );
+  CREATE INDEX idx_kicks_expires ON kicks (expires);
+  `,
+
+  // 2: mark messages posted under a guest session
+  `
+  ALTER TABLE messages ADD COLUMN guest INTEGER NOT NULL DEFAULT 0;
+  `,
+
+  // 3: per-room roles (owner / moderator / member); no row means member
+  `
+  CREATE TABLE roles (
+    room TEXT NOT NULL,
+    username TEXT NOT NULL COLLATE NOCASE,
+    role TEXT NOT NULL,
+    granted_by TEXT,
+    granted_at INTEGER NOT NULL,
+    PRIMARY KEY (room, username)
+  );
+  `,
+
+  // 4: room metadata; a room without a row here doesn't exist
+  `
+  CREATE TABLE room_settings (
+    room TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    visibility TEXT NOT NULL DEFAULT 'public',
+    created_by TEXT,
+    created_at INTEGER NOT NULL,
+    archived_at INTEGER
+  );
+  `,
+
+  // 5: private rooms - invite links and join requests waiting for a moderator
+  `
+  CREATE TABLE invites (
+    token TEXT PRIMARY KEY,
+    room TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    max_uses INTEGER,
+    uses INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_invites_room_expires ON invites (room, expires_at);
+
+  CREATE TABLE join_requests (
+    room TEXT NOT NULL,
+    username TEXT NOT NULL COLLATE NOCASE,
+    message TEXT NOT NULL DEFAULT '',
+    requested_at INTEGER NOT NULL,
+    PRIMARY KEY (room, username)
+  );
+  `,
+
+  // 6: message edits - when a message was last edited, and every text it had before
+  `
+  ALTER TABLE messages ADD COLUMN edited_at INTEGER;
+  CREATE INDEX idx_messages_room_edited ON messages (room, edited_at);
+
+  CREATE TABLE message_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id TEXT NOT NULL,
+    room TEXT NOT NULL,
+    text TEXT NOT NULL,
+    replaced_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_revisions_message ON message_revisions (message_id);
+  `,
+
+  // 7: emoji reactions, and a per-message change time so edits and reactions sync incrementally
+  `
+  ALTER TABLE messages ADD COLUMN updated_at INTEGER;
+  UPDATE messages SET updated_at = edited_at WHERE edited_at IS NOT NULL;
+  CREATE INDEX idx_messages_room_updated ON messages (room, updated_at);
+
+  CREATE TABLE reactions (
+    room TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    username TEXT NOT NULL COLLATE NOCASE,
+    emoji TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (message_id, username, emoji)
+  );
+  `,
+
+  // 8: replies point at the message they answer instead of carrying an "@reply:" prefix in the text
+  `
+  ALTER TABLE messages ADD COLUMN reply_to TEXT;
+  CREATE INDEX idx_messages_room_reply ON messages (room, reply_to);
+  `,
+
+  // 9: uploaded files - a message can only attach uploads the room has a row for; message_id is set once sent
+  `
+  CREATE TABLE attachments (
+    id TEXT PRIMARY KEY,
+    room TEXT NOT NULL,
+    message_id TEXT,
+    uploaded_by TEXT NOT NULL COLLATE NOCASE,
+    guest INTEGER NOT NULL DEFAULT 0,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    uploaded_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_attachments_message ON attachments (message_id);
+  CREATE INDEX idx_attachments_unsent ON attachments (uploaded_at) WHERE message_id IS NULL;
+  `,
+
+  // 10: how far each user has read in each room - the message id, and its time so unread counts survive deletions
+  `
+  CREATE TABLE read_markers (
+    room TEXT NOT NULL,
+    username TEXT NOT NULL COLLATE NOCASE,
+    message_id TEXT NOT NULL,
+    read_time INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (room, username)
+  );
+  `,
+
+  // 11: full-text index over message text, kept in step with the messages table by triggers
+  `
+  CREATE VIRTUAL TABLE messages_fts USING fts5(
+    text,
+    content = 'messages',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER messages_fts_insert AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+  END;
+  CREATE TRIGGER messages_fts_delete AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+  END;
+  CREATE TRIGGER messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+    INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+  END;
+
+  INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+  `,
+
+  // 12: automod rules per room, messages they hold back for review, and room mutes (muted users read but can't post)
+  `
+  CREATE TABLE automod_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    type TEXT NOT NULL,
+    config TEXT NOT NULL,
+    action TEXT NOT NULL,
+    mute_minutes INTEGER,
+    created_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_automod_rules_room ON automod_rules (room);
+
+  CREATE TABLE held_messages (
+    id TEXT PRIMARY KEY,
+    room TEXT NOT NULL,
+    user TEXT NOT NULL,
+    guest INTEGER NOT NULL DEFAULT 0,
+    text TEXT NOT NULL,
+    reply_to TEXT,
+    time INTEGER NOT NULL,
+    reason TEXT NOT NULL
+  );
+  CREATE INDEX idx_held_messages_room ON held_messages (room, time);
+
+  CREATE TABLE mutes (
+    room TEXT NOT NULL,
+    username TEXT NOT NULL COLLATE NOCASE,
+    muted_by TEXT NOT NULL,
+    reason TEXT NOT NULL DEFAULT '',
+    timestamp INTEGER NOT NULL,
+    expires INTEGER,
+    PRIMARY KEY (room, username)
+  );
+  `,
+
+  // 13: append-only record of every moderator and automod action - the triggers refuse edits and deletions
+  `
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    action TEXT NOT NULL,
+    actor TEXT NOT NULL COLLATE NOCASE,
+    target TEXT COLLATE NOCASE,
+    reason TEXT NOT NULL DEFAULT '',
+    details TEXT,
+    time INTEGER NOT NULL
+  );
+  CREATE INDEX idx_audit_log_room_time ON audit_log (room, time);
+
+  CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+  END;
+  CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+  END;
+  `,
+  // 14: private messages by participant pair (user_a sorts before user_b), and each user's inbox -
+  // one row per conversation with its latest message and how many of those the owner hasn't read
+  `
+  CREATE TABLE private_messages (
+    id TEXT PRIMARY KEY,
+    user_a TEXT NOT NULL COLLATE NOCASE,
+    user_b TEXT NOT NULL COLLATE NOCASE,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    text TEXT NOT NULL,
+    time INTEGER NOT NULL
+  );
+  CREATE INDEX idx_private_messages_pair ON private_messages (user_a, user_b, time);
+  CREATE TABLE pm_inbox (
+    owner TEXT NOT NULL COLLATE NOCASE,
+    other TEXT NOT NULL COLLATE NOCASE,
+    last_from TEXT NOT NULL,
+    last_text TEXT NOT NULL,
+    last_time INTEGER NOT NULL,
+    unread INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (owner, other)
+  );
+  CREATE INDEX idx_pm_inbox_owner ON pm_inbox (owner, last_time);
+  `,
+  // 15: end-to-end encrypted PMs - the ciphertext goes in the text column with its AES-GCM iv
+  // alongside - and the ECDH public key each user publishes through their inbox object
+  `
+  ALTER TABLE private_messages ADD COLUMN iv TEXT;
+  ALTER TABLE pm_inbox ADD COLUMN last_iv TEXT;
+  CREATE TABLE public_keys (
+    owner TEXT PRIMARY KEY COLLATE NOCASE,
+    public_key TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+  // 16: passphrase-encrypted rooms. key_check is a known value encrypted with the room passphrase
+  // so clients can tell whether a passphrase is right; the server never sees the passphrase itself.
+  `
+  ALTER TABLE room_settings ADD COLUMN key_check TEXT;
+  ALTER TABLE messages ADD COLUMN encrypted INTEGER NOT NULL DEFAULT 0;
+  `,
+  // 17: resumable uploads in progress - the R2 multipart upload behind each, and the parts stored so far
+  `
+  CREATE TABLE multipart_uploads (
+    upload_id TEXT PRIMARY KEY,
+    room TEXT NOT NULL,
+    object_key TEXT NOT NULL,
+    uploaded_by TEXT NOT NULL COLLATE NOCASE,
+    guest INTEGER NOT NULL DEFAULT 0,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    started_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_multipart_uploads_started ON multipart_uploads (started_at);
+  CREATE TABLE multipart_parts (
+    upload_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    PRIMARY KEY (upload_id, part_number)
+  );
+  `
+];
+
+export const ACCOUNT_MIGRATIONS = [
+  // 1: registered accounts, keyed by lower-cased username
+  `
+  CREATE TABLE accounts (
+    username_key TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_login INTEGER
+  );
+  `
+];
+
+export const DIRECTORY_MIGRATIONS = [
+  // 1: one row per created room, with the live user count each room reports
+  `
+  CREATE TABLE rooms (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    visibility TEXT NOT NULL DEFAULT 'public',
+    owner TEXT,
+    created_at INTEGER NOT NULL,
+    archived_at INTEGER,
+    user_count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_rooms_visibility ON rooms (visibility, archived_at);
+  `
+];
+
+export function migrateSchema(sql, migrations = MIGRATIONS) {
+  sql.exec('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER NOT NULL)');
+  const row = sql.exec('SELECT version FROM schema_version').toArray()[0];
+  let version = row ? row.version : 0;
+  if (!row) {
+    sql.exec('INSERT INTO schema_version (version) VALUES (0)');
+  }
+
+  while (version < migrations.length) {
+    sql.exec(migrations[version]);
+    version++;
+    sql.exec('UPDATE schema_version SET version = ?', version);
+  }
+}
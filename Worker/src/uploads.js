@@ -0,0 +1,251 @@
+import { verifySession, getSessionToken } from './auth.js';
+import { getRoom, internalRequest, isRoomId } from './rooms.js';
+import { jsonResponse, drainBody, HttpError } from './http.js';
+
+export const ALLOWED_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'audio/mpeg', 'audio/wav', 'audio/ogg',
+  'application/pdf', 'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+export const ENCRYPTED_FILE_TYPE = 'application/octet-stream';
+const ENCRYPTION_OVERHEAD = 1024; // salt, iv, auth tag and the file's own name and type
+
+export const SINGLE_UPLOAD_LIMIT = 5 * 1024 * 1024; // POST /upload reads the whole body; larger files go up in parts
+export const PART_SIZE = 5 * 1024 * 1024; // R2's smallest part size (only the last part may be smaller)
+const DEFAULT_UPLOAD_LIMIT_MB = 25;
+const MB = 1024 * 1024;
+
+// UPLOAD_LIMITS var: JSON with the largest file in MB, overall and per room id,
+// e.g. {"default":25,"rooms":{"tech":100}}
+export function parseUploadLimits(value) {
+  let limits = {};
+  if (value) {
+    try {
+      limits = JSON.parse(value);
+    } catch (error) {
+      console.error('Ignoring invalid UPLOAD_LIMITS:', error);
+    }
+  }
+  const isSize = size => typeof size === 'number' && size > 0;
+  const rooms = {};
+  Object.entries(limits.rooms || {}).forEach(([room, size]) => {
+    if (isSize(size)) rooms[room] = size;
+  });
+  return { default: isSize(limits.default) ? limits.default : DEFAULT_UPLOAD_LIMIT_MB, rooms };
+}
+
+// Largest file the room takes, in bytes
+export function getUploadLimit(limits, room) {
+  return Math.floor((limits.rooms[room] || limits.default) * MB);
+}
+
+// Throws unless the room takes a file of this size and type. Encrypted rooms get nothing but
+// ciphertext - its real type is encrypted along with it.
+export function checkFile({ size, type }, { encrypted, limit }) {
+  if (size > limit + (encrypted ? ENCRYPTION_OVERHEAD : 0)) {
+    throw new HttpError(`File too large. Maximum size is ${formatLimit(limit)}.`, 413);
+  }
+  if (encrypted ? type !== ENCRYPTED_FILE_TYPE : !ALLOWED_TYPES.includes(type)) {
+    throw new HttpError(`File type ${type} is not allowed`, 400);
+  }
+}
+
+function formatLimit(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10}MB`;
+}
+
+// Object key in the bucket: upload time, uploader and file name, sanitized
+export function getStorageKey(user, name) {
+  const sanitizedName = name.replace(/[^a-zA-Z0-9.-]/g, '_');
+
+  // Sanitize username to prevent path traversal and injection
+  let sanitizedUser = user.replace(/[^a-zA-Z0-9.-]/g, '_').replace(/_+/g, '_');
+  if (!sanitizedUser || sanitizedUser === '_') {
+    sanitizedUser = 'unknown';
+  }
+  return `${Date.now()}_${sanitizedUser}_${sanitizedName}`;
+}
+
+// A bit at a time - spreading a whole file into String.fromCharCode overflows the call stack
+export function toBase64(bytes) {
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+// The same JSON the single upload endpoint answers with
+export function uploadResponse(attachment, key, user) {
+  return jsonResponse({
+    success: true,
+    attachmentId: attachment.id,
+    filename: key,
+    url: attachment.url,
+    size: attachment.size,
+    type: attachment.type,
+    originalName: attachment.name,
+    uploadedBy: user,
+    uploadedAt: new Date(attachment.uploadedAt).toISOString()
+  });
+}
+
+// Upload endpoints answer errors as JSON { error }; rate limits pass on how long to wait
+async function uploadErrorResponse(request, error) {
+  await drainBody(request);
+  const response = jsonResponse({ error: error.message }, error.status || 500);
+  if (error.retryAfter) {
+    response.headers.set('Retry-After', error.retryAfter);
+  }
+  return response;
+}
+
+// An internal call to the room, with its error responses turned into HttpErrors
+async function roomRequest(env, room, action, data) {
+  const res = await internalRequest(getRoom(env, room), action, data);
+  if (!res.ok) {
+    const error = new HttpError(await res.text(), res.status);
+    error.retryAfter = res.headers.get('Retry-After');
+    throw error;
+  }
+  return res.json();
+}
+
+// Uploads are credited to the session's user when accounts are configured
+async function getUploader(request, env, url) {
+  if (!env.AUTH_SECRET) {
+    const username = url.searchParams.get('user');
+    if (!username) throw new HttpError('Missing user', 400);
+    return { username, guest: false };
+  }
+  const session = await verifySession(getSessionToken(request), env.AUTH_SECRET);
+  if (!session) {
+    throw new HttpError('Authentication required', 401);
+  }
+  return { username: session.username, guest: session.guest };
+}
+
+function getPartCount(size) {
+  return Math.ceil(size / PART_SIZE);
+}
+
+// Large files go straight into an R2 multipart upload, PART_SIZE at a time, so nothing is buffered
+// whole and an upload that gets cut off carries on from the parts already stored. The room keeps
+// track of each upload and its parts; ones left unfinished are aborted by its alarm.
+//   POST   /upload/multipart                  { room, name, type, size } - start
+//   GET    /upload/multipart/:id?room=        the parts stored so far, to resume from
+//   PUT    /upload/multipart/:id?room=&part=N one part's bytes
+//   POST   /upload/multipart/:id?room=        finish; the file becomes an attachment, as with /upload
+//   DELETE /upload/multipart/:id?room=        give up
+export async function handleMultipartUpload(request, env, url, uploadId) {
+  try {
+    if (!env.FILE_BUCKET) {
+      throw new HttpError('Large uploads need file storage, which this server does not have', 501);
+    }
+    const identity = await getUploader(request, env, url);
+
+    if (!uploadId) {
+      if (request.method !== 'POST') throw new HttpError('Method not allowed', 405);
+      return await startMultipartUpload(request, env, identity);
+    }
+
+    const room = url.searchParams.get('room') || '';
+    if (!isRoomId(room)) {
+      throw new HttpError('Invalid room', 400);
+    }
+    // Only the session that started an upload can carry on with it - a guest with the same name can't
+    const owner = { room, uploadId, username: identity.username, guest: identity.guest };
+    // The room checks again that the uploader may still post files there, except when they give up
+    const { upload } = await roomRequest(env, room, 'multipartUpload', { ...owner, write: request.method !== 'DELETE' });
+    const r2Upload = env.FILE_BUCKET.resumeMultipartUpload(upload.key, uploadId);
+
+    switch (request.method) {
+      case 'GET':
+        return jsonResponse({ uploadId, partSize: PART_SIZE, size: upload.size, parts: upload.parts.map(part => part.partNumber) });
+
+      case 'PUT': {
+        const partNumber = Number(url.searchParams.get('part'));
+        const partCount = getPartCount(upload.size);
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > partCount) {
+          throw new HttpError(`Part has to be between 1 and ${partCount}`, 400);
+        }
+        const expected = partNumber < partCount ? PART_SIZE : upload.size - PART_SIZE * (partCount - 1);
+        if (Number(request.headers.get('Content-Length')) !== expected) {
+          throw new HttpError(`Part ${partNumber} has to be ${expected} bytes`, 400);
+        }
+
+        const part = await r2Upload.uploadPart(partNumber, request.body);
+        await roomRequest(env, room, 'multipartPart', { ...owner, part });
+        return jsonResponse({ success: true, partNumber });
+      }
+
+      case 'POST': {
+        const missing = getPartCount(upload.size) - upload.parts.length;
+        if (missing > 0) {
+          throw new HttpError(`${missing} part${missing === 1 ? ' is' : 's are'} still missing`, 409);
+        }
+        await r2Upload.complete(upload.parts);
+        const { attachment } = await roomRequest(env, room, 'multipartDone', { ...owner, url: `/files/${upload.key}` });
+        return uploadResponse(attachment, upload.key, identity.username);
+      }
+
+      case 'DELETE':
+        await r2Upload.abort();
+        await roomRequest(env, room, 'multipartDone', owner);
+        return jsonResponse({ success: true });
+
+      default:
+        throw new HttpError('Method not allowed', 405);
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error('Multipart upload error:', error);
+      error = new HttpError('Upload failed: ' + error.message, 500);
+    }
+    return uploadErrorResponse(request, error);
+  }
+}
+
+async function startMultipartUpload(request, env, identity) {
+  const { room, name, type, size } = await request.json();
+  if (!isRoomId(room) || typeof name !== 'string' || !name ||
+      typeof type !== 'string' || !Number.isInteger(size) || size <= 0) {
+    throw new HttpError('Missing required fields: room, name, type, size', 400);
+  }
+
+  // The room decides who may post files into it (private rooms: members only)
+  const { encrypted } = await roomRequest(env, room, 'access', {
+    room,
+    username: identity.username,
+    guest: identity.guest,
+    connection: request.headers.get('CF-Connecting-IP')
+  });
+  checkFile({ size, type }, { encrypted, limit: getUploadLimit(parseUploadLimits(env.UPLOAD_LIMITS), room) });
+
+  const key = getStorageKey(identity.username, name);
+  const upload = await env.FILE_BUCKET.createMultipartUpload(key, {
+    httpMetadata: {
+      contentType: type
+    },
+    customMetadata: {
+      uploadedBy: identity.username,
+      uploadedAt: new Date().toISOString(),
+      originalName: name
+    }
+  });
+  await roomRequest(env, room, 'multipartStart', {
+    room,
+    uploadId: upload.uploadId,
+    key,
+    username: identity.username,
+    guest: identity.guest,
+    name,
+    type,
+    size
+  });
+
+  return jsonResponse({ uploadId: upload.uploadId, partSize: PART_SIZE, size, parts: [] });
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { request, moderate } from './helpers.js';
+import { normalizeRule } from '../src/automod.js';
+
+function regexRule(pattern) {
+	return { type: 'regex', action: 'block', config: { pattern } };
+}
+
+describe('automod regex rules', () => {
+	it.each(['(a+)+', '(\\w*x)*', '((a)+b)+', '(a+){2,}', '(a|a)*b', '(a|aa)+$', '(?:foo|bar)+', '(\\w)(\\1\\w)+', '((\\w)\\2)*'])(
+		'refuses %s, which can backtrack exponentially',
+		(pattern) => {
+			expect(() => normalizeRule(regexRule(pattern))).toThrow(/hang the room/);
+		},
+	);
+
+	it.each(['a+b*', 'spam|scam', '\\b(buy|sell) now\\b', '(?:ab)+', '[(+|]+', '\\(a+\\)+', '(a+)?x', '(\\w)\\1'])('accepts %s', (pattern) => {
+		expect(normalizeRule(regexRule(pattern)).config.pattern).toBe(pattern);
+	});
+
+	it('are refused before they are saved', async () => {
+		const response = await moderate('random', { action: 'addAutomodRule', rule: regexRule('(a|aa)+$') });
+		expect(response.status).toBe(400);
+
+		const { automodRules } = await (await request('/mod/random', 'NellowTCS')).json();
+		expect(automodRules.map((rule) => rule.config.pattern)).not.toContain('(a|aa)+$');
+	});
+
+	it('block messages that match a saved pattern', async () => {
+		expect((await moderate('random', { action: 'addAutomodRule', rule: regexRule('\\bfree (coins|gems)\\b') })).status).toBe(200);
+
+		const blocked = await request('/chat/random', 'spammer', { method: 'POST', json: { text: 'get FREE coins here' } });
+		expect(blocked.status).toBe(403);
+		const allowed = await request('/chat/random', 'spammer', { method: 'POST', json: { text: 'coins are free' } });
+		expect(allowed.status).toBe(200);
+	});
+});
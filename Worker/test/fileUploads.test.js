@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { request } from './helpers.js';
+
+function upload(room, username = 'uploader') {
+	const form = new FormData();
+	form.append('file', new File(['hello'], 'hello.txt', { type: 'text/plain' }));
+	form.append('room', room);
+	return request('/upload', username, { method: 'POST', body: form });
+}
+
+describe('single file uploads', () => {
+	it('store the file for the room', async () => {
+		const response = await upload('default');
+		expect(response.status).toBe(200);
+		const { attachmentId, originalName, uploadedBy } = await response.json();
+		expect(attachmentId).toBeTruthy();
+		expect(originalName).toBe('hello.txt');
+		expect(uploadedBy).toBe('uploader');
+	});
+
+	it.each(['inbox:bob', 'pm_alice_bob', '../default', ''])('refuse %j as a room', async (room) => {
+		const response = await upload(room);
+		expect(response.status).toBe(400);
+	});
+});
@@ -0,0 +1,36 @@
+import { exports } from 'cloudflare:workers';
+import { describe, it, expect } from 'vitest';
+import { request } from './helpers.js';
+
+describe('guest sessions', () => {
+	it('cannot send or read private messages, even under a participant name', async () => {
+		const sent = await request('/pm/grace_heidi', 'grace', { guest: true, method: 'POST', json: { to: 'heidi', text: 'hi' } });
+		expect(sent.status).toBe(403);
+		expect((await request('/pm/grace_heidi?with=heidi', 'grace', { guest: true })).status).toBe(403);
+	});
+
+	it('have no inbox and cannot publish a PM key', async () => {
+		expect((await request('/pm', 'grace', { guest: true })).status).toBe(403);
+		const key = await request('/keys/grace', 'grace', { guest: true, method: 'PUT', json: { publicKey: {} } });
+		expect(key.status).toBe(403);
+	});
+
+	it('end once someone registers their name', async () => {
+		const guest = await exports.default.fetch('https://chat.test/auth/guest', {
+			method: 'POST',
+			body: JSON.stringify({ username: 'ivy' }),
+		});
+		const { token } = await guest.json();
+
+		const registered = await exports.default.fetch('https://chat.test/auth/register', {
+			method: 'POST',
+			body: JSON.stringify({ username: 'Ivy', password: 'correct horse battery' }),
+		});
+		expect(registered.status).toBe(200);
+
+		const session = await exports.default.fetch('https://chat.test/auth/session', {
+			headers: { Authorization: `Bearer ${token}` },
+		});
+		expect(session.status).toBe(401);
+	});
+});
@@ -0,0 +1,51 @@
+import { env } from 'cloudflare:test';
+import { exports } from 'cloudflare:workers';
+import { signSession } from '../src/auth.js';
+
+// A request to the worker signed in as `username` (a guest session with guest: true); a JSON `json`
+// option becomes the body
+export async function request(path, username, { guest = false, json, headers, ...init } = {}) {
+	const { token } = await signSession({ username, guest }, env.AUTH_SECRET);
+	return exports.default.fetch(`https://chat.test${path}`, {
+		...init,
+		headers: {
+			Authorization: `Bearer ${token}`,
+			...(json !== undefined && { 'Content-Type': 'application/json' }),
+			...headers,
+		},
+		...(json !== undefined && { body: JSON.stringify(json) }),
+	});
+}
+
+// Moderation actions from the site admin named in wrangler.toml, who owns every room
+export function moderate(room, body) {
+	return request(`/mod/${room}`, 'NellowTCS', { method: 'POST', json: body });
+}
+
+// A live connection to a room; `next(type)` waits for the next event of that type
+export async function connect(room, username) {
+	const response = await request(`/chat/${room}`, username, { headers: { Upgrade: 'websocket' } });
+	const socket = response.webSocket;
+	if (!socket) {
+		throw new Error(`Upgrade refused with ${response.status}`);
+	}
+	socket.accept();
+
+	const events = [];
+	const waiting = [];
+	socket.addEventListener('message', ({ data }) => {
+		events.push(JSON.parse(data));
+		waiting.splice(0).forEach((wake) => wake());
+	});
+
+	return {
+		socket,
+		async next(type) {
+			for (;;) {
+				const index = events.findIndex((event) => event.type === type);
+				if (index !== -1) return events.splice(index, 1)[0];
+				await new Promise((resolve) => waiting.push(resolve));
+			}
+		},
+	};
+}
@@ -0,0 +1,29 @@
+import { exports } from 'cloudflare:workers';
+import { describe, it, expect } from 'vitest';
+import { request, connect } from './helpers.js';
+
+describe('live updates', () => {
+	it('pushes new messages to everyone connected to the room', async () => {
+		const reader = await connect('fun', 'reader');
+
+		const sent = await request('/chat/fun', 'writer', { method: 'POST', json: { text: 'hello live' } });
+		expect(sent.status).toBe(200);
+
+		const { message } = await reader.next('message');
+		expect(message).toMatchObject({ user: 'writer', text: 'hello live' });
+		reader.socket.close();
+	});
+
+	it('answers heartbeats over the socket', async () => {
+		const client = await connect('fun', 'beater');
+		client.socket.send(JSON.stringify({ type: 'heartbeat' }));
+
+		expect((await client.next('heartbeat')).time).toBeTypeOf('number');
+		client.socket.close();
+	});
+
+	it('needs a session to connect', async () => {
+		const response = await exports.default.fetch('https://chat.test/chat/fun', { headers: { Upgrade: 'websocket' } });
+		expect(response.status).toBe(401);
+	});
+});
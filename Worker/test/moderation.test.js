@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { request, moderate } from './helpers.js';
+
+function post(room, username, text) {
+	return request(`/chat/${room}`, username, { method: 'POST', json: { text } });
+}
+
+describe('mutes', () => {
+	it('hold whatever the casing of the name', async () => {
+		expect((await moderate('fun', { action: 'mute', targetUser: 'Quiet.One' })).status).toBe(200);
+		const refused = await post('fun', 'quiet.one', 'can you hear me');
+		expect(refused.status).toBe(403);
+		expect(await refused.text()).toBe('You are muted in this room');
+
+		expect((await moderate('fun', { action: 'unmute', targetUser: 'QUIET.ONE' })).status).toBe(200);
+		expect((await post('fun', 'Quiet.One', 'back again')).status).toBe(200);
+	});
+});
+
+describe('kicks', () => {
+	it('take the user out of the room whatever the casing, and say when they can rejoin', async () => {
+		expect((await request('/chat/fun', 'Kicked.User', { method: 'PUT', json: {} })).status).toBe(200);
+		const before = await (await request('/chat/fun', 'NellowTCS')).json();
+		expect(before.users).toContain('Kicked.User');
+
+		const kick = await moderate('fun', { action: 'kick', targetUser: 'kicked.user', duration: 10 });
+		expect(kick.status).toBe(200);
+		const { systemMessage } = await kick.json();
+		expect(systemMessage.text).toMatch(/was kicked by NellowTCS - they can rejoin after 10 minutes$/);
+
+		const { users } = await (await request('/chat/fun', 'NellowTCS')).json();
+		expect(users.map((user) => user.toLowerCase())).not.toContain('kicked.user');
+		expect((await post('fun', 'Kicked.User', 'let me back')).status).toBe(403);
+	});
+});
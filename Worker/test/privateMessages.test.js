@@ -0,0 +1,42 @@
+import { exports } from 'cloudflare:workers';
+import { describe, it, expect } from 'vitest';
+import { request } from './helpers.js';
+
+function send(id, from, to, text, options) {
+	return request(`/pm/${id}`, from, { ...options, method: 'POST', json: { to, text } });
+}
+
+async function read(id, username, other) {
+	const response = await request(`/pm/${id}?with=${other}`, username);
+	expect(response.status).toBe(200);
+	return (await response.json()).messages.map((message) => message.text);
+}
+
+describe('private messages', () => {
+	it('lets both participants read the conversation', async () => {
+		expect((await send('alice_bob', 'alice', 'bob', 'hi bob')).status).toBe(200);
+
+		expect(await read('alice_bob', 'bob', 'alice')).toEqual(['hi bob']);
+		expect(await read('alice_bob', 'alice', 'bob')).toEqual(['hi bob']);
+	});
+
+	it('reaches the same conversation whatever the casing of the names', async () => {
+		await send('Carol_Dave', 'Carol', 'Dave', 'one');
+		await send('carol_dave', 'dave', 'CAROL', 'two');
+
+		expect(await read('CAROL_DAVE', 'carol', 'Dave')).toEqual(['one', 'two']);
+	});
+
+	it('turns away anyone outside the conversation', async () => {
+		await send('erin_frank', 'erin', 'frank', 'private');
+
+		expect((await request('/pm/erin_frank?with=erin', 'mallory')).status).toBe(403);
+		expect((await request('/pm/erin_frank?with=frank', 'mallory')).status).toBe(403);
+		expect((await send('erin_frank', 'mallory', 'frank', 'let me in')).status).toBe(403);
+	});
+
+	it('needs a session', async () => {
+		const response = await exports.default.fetch('https://chat.test/pm/ivan_judy?with=judy');
+		expect(response.status).toBe(401);
+	});
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { request } from './helpers.js';
+import { DEFAULT_RATE_LIMITS } from '../src/rateLimit.js';
+
+describe('rate limits', () => {
+	it('count private messages per sender, across all their conversations', async () => {
+		const { burst } = DEFAULT_RATE_LIMITS.pm.user;
+		for (let i = 0; i < burst; i++) {
+			const sent = await request(`/pm/flooder_target${i}`, 'flooder', { method: 'POST', json: { to: `target${i}`, text: 'hi' } });
+			expect(sent.status).toBe(200);
+		}
+
+		const refused = await request('/pm/flooder_target-last', 'flooder', { method: 'POST', json: { to: 'target-last', text: 'hi' } });
+		expect(refused.status).toBe(429);
+		expect(Number(refused.headers.get('Retry-After'))).toBeGreaterThan(0);
+	});
+
+	it('leave other senders alone', async () => {
+		const sent = await request('/pm/bystander_target0', 'bystander', { method: 'POST', json: { to: 'target0', text: 'hi' } });
+		expect(sent.status).toBe(200);
+	});
+});
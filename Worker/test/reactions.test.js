@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { request, moderate } from './helpers.js';
+
+function react(username, messageId, emoji = '👍') {
+	return request('/chat/tech/reactions', username, { method: 'POST', json: { messageId, emoji } });
+}
+
+describe('reactions', () => {
+	it('are refused from muted and banned users', async () => {
+		const sent = await request('/chat/tech', 'poster', { method: 'POST', json: { text: 'react to me' } });
+		const { messageId } = await sent.json();
+
+		expect((await react('fan', messageId)).status).toBe(200);
+
+		expect((await moderate('tech', { action: 'mute', targetUser: 'Hushed' })).status).toBe(200);
+		const muted = await react('hushed', messageId);
+		expect(muted.status).toBe(403);
+		expect(await muted.text()).toBe('You are muted in this room');
+
+		expect((await moderate('tech', { action: 'ban', targetUser: 'outcast' })).status).toBe(200);
+		expect((await react('outcast', messageId)).status).toBe(403);
+	});
+});
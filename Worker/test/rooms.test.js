@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { request } from './helpers.js';
+
+describe('room ids', () => {
+	it('cannot take the names private message conversations use', async () => {
+		for (const body of [{ name: 'pm_alice_bob' }, { name: 'Anything', id: 'PM_Alice_Bob' }]) {
+			const response = await request('/rooms', 'squatter', { method: 'POST', json: body });
+			expect(response.status).toBe(400);
+		}
+	});
+
+	it('that look like a conversation reach no object', async () => {
+		await request('/pm/alice_bob', 'alice', { method: 'POST', json: { to: 'bob', text: 'secret' } });
+
+		for (const path of ['/chat/pm_alice_bob', '/rooms/pm_alice_bob/join', '/mod/pm_alice_bob', '/mod/pm_alice_bob/audit']) {
+			expect((await request(path, 'squatter')).status).toBe(404);
+		}
+		expect((await request('/search?room=pm_alice_bob&q=secret', 'squatter')).status).toBe(400);
+	});
+
+	it('are made from the room name otherwise', async () => {
+		const response = await request('/rooms', 'founder', { method: 'POST', json: { name: 'Pm Lovers' } });
+		expect(response.status).toBe(201);
+		expect((await response.json()).room.id).toBe('pm-lovers');
+	});
+});
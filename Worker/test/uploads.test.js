@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { request, moderate } from './helpers.js';
+import { PART_SIZE } from '../src/uploads.js';
+
+async function startUpload(username, size, room = 'default') {
+	const response = await request('/upload/multipart', username, {
+		method: 'POST',
+		json: { room, name: 'notes.pdf', type: 'application/pdf', size },
+	});
+	expect(response.status).toBe(200);
+	return (await response.json()).uploadId;
+}
+
+function uploadRequest(username, uploadId, room, init, query = '') {
+	return request(`/upload/multipart/${encodeURIComponent(uploadId)}?room=${room}${query}`, username, init);
+}
+
+function putPart(username, uploadId, part, bytes, room = 'default') {
+	return uploadRequest(username, uploadId, room, { method: 'PUT', body: new Uint8Array(bytes) }, `&part=${part}`);
+}
+
+function finish(username, uploadId, room = 'default') {
+	return uploadRequest(username, uploadId, room, { method: 'POST' });
+}
+
+describe('multipart uploads', () => {
+	it('takes only parts of the expected size and number', async () => {
+		const uploadId = await startUpload('uploader', PART_SIZE + 10);
+
+		expect((await putPart('uploader', uploadId, 1, 10)).status).toBe(400);
+		expect((await putPart('uploader', uploadId, 2, 11)).status).toBe(400);
+		expect((await putPart('uploader', uploadId, 3, 10)).status).toBe(400);
+		expect((await putPart('uploader', uploadId, 0, 10)).status).toBe(400);
+
+		expect((await putPart('uploader', uploadId, 2, 10)).status).toBe(200);
+		const status = await uploadRequest('uploader', uploadId, 'default');
+		expect((await status.json()).parts).toEqual([2]);
+	});
+
+	it('will not finish while parts are missing', async () => {
+		const uploadId = await startUpload('uploader', PART_SIZE + 10);
+		await putPart('uploader', uploadId, 2, 10);
+
+		expect((await finish('uploader', uploadId)).status).toBe(409);
+	});
+
+	it('finishes into an attachment once every part is stored', async () => {
+		const uploadId = await startUpload('uploader', PART_SIZE + 10);
+		expect((await putPart('uploader', uploadId, 1, PART_SIZE)).status).toBe(200);
+		expect((await putPart('uploader', uploadId, 2, 10)).status).toBe(200);
+
+		const response = await finish('uploader', uploadId);
+		expect(response.status).toBe(200);
+		const { attachmentId, size, originalName } = await response.json();
+		expect(attachmentId).toBeTruthy();
+		expect(size).toBe(PART_SIZE + 10);
+		expect(originalName).toBe('notes.pdf');
+	});
+
+	it('belongs to whoever started it', async () => {
+		const uploadId = await startUpload('uploader', 10);
+
+		expect((await putPart('someone-else', uploadId, 1, 10)).status).toBe(404);
+		expect((await finish('someone-else', uploadId)).status).toBe(404);
+	});
+
+	it('is out of reach of a guest using the uploader\'s name', async () => {
+		const uploadId = await startUpload('uploader', 10);
+		const asGuest = (init, query) => uploadRequest('uploader', uploadId, 'default', { ...init, guest: true }, query);
+
+		expect((await asGuest({ method: 'PUT', body: new Uint8Array(10) }, '&part=1')).status).toBe(404);
+		expect((await asGuest({ method: 'POST' })).status).toBe(404);
+		expect((await asGuest({ method: 'DELETE' })).status).toBe(404);
+		expect((await putPart('uploader', uploadId, 1, 10)).status).toBe(200);
+	});
+
+	it('stops taking parts from someone banned after they started, but lets them give up', async () => {
+		const uploadId = await startUpload('troll', 10, 'tech');
+		expect((await moderate('tech', { action: 'ban', targetUser: 'Troll' })).status).toBe(200);
+
+		expect((await putPart('troll', uploadId, 1, 10, 'tech')).status).toBe(403);
+		expect((await finish('troll', uploadId, 'tech')).status).toBe(403);
+		expect((await uploadRequest('troll', uploadId, 'tech', { method: 'DELETE' })).status).toBe(200);
+	});
+
+	it('stops taking parts once the room is archived', async () => {
+		const created = await request('/rooms', 'founder', { method: 'POST', json: { name: 'Short lived' } });
+		expect(created.status).toBe(201);
+		const { room } = await created.json();
+		const uploadId = await startUpload('founder', 10, room.id);
+
+		expect((await request(`/rooms/${room.id}`, 'founder', { method: 'DELETE' })).status).toBe(200);
+		expect((await putPart('founder', uploadId, 1, 10, room.id)).status).toBe(410);
+	});
+});
@@ -1,11 +1,16 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { defineConfig } from 'vitest/config';
+import { cloudflareTest } from '@cloudflare/vitest-pool-workers';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+// Tests run inside the Workers runtime against wrangler.toml's Durable Objects, with sessions turned on
+// and a local bucket standing in for R2 so uploads can be exercised
+export default defineConfig({
+	plugins: [
+		cloudflareTest({
+			wrangler: { configPath: './wrangler.toml' },
+			miniflare: {
+				bindings: { AUTH_SECRET: 'test-secret' },
+				r2Buckets: ['FILE_BUCKET'],
 			},
-		},
-	},
+		}),
+	],
 });